@@ -5,13 +5,53 @@
 
 'use strict';
 
+importScripts(
+    '/shared/messages.js',
+    '/shared/domains.js',
+    '/shared/domain-policy.js',
+    '/shared/export.js',
+    '/shared/redaction.js',
+    '/shared/settings.js',
+    '/background/key-store.js',
+    '/background/text.js',
+    '/background/sentiment.js',
+    '/background/keywords.js',
+    '/background/entities.js',
+    '/background/summarizer.js',
+    '/background/providers.js',
+    '/background/qa.js',
+    '/background/translator.js',
+    '/background/history-store.js',
+    '/background/search-index.js',
+    '/background/job-queue.js',
+    '/background/progress-channel.js'
+);
+
 // Extension state management
 const extensionState = {
     isInitialized: false,
-    activeProcesses: new Map(),
     userSettings: {}
 };
 
+// Analyses run as persisted jobs; jobs interrupted by a worker restart are resumed
+BearPeekJobQueue.registerHandler('analyzePage', runPageAnalysisJob);
+BearPeekJobQueue.registerHandler('analyzeSelection', runSelectionAnalysisJob);
+BearPeekJobQueue.registerHandler('reanalyze', runReanalyzeJob);
+BearPeekJobQueue.registerHandler('translate', runTranslateJob);
+BearPeekJobQueue.onChange(job => BearPeekProgressChannel.publishJob(job));
+BearPeekJobQueue.resume().catch(error => console.error('Failed to resume jobs:', error));
+
+// Keys saved in clear text by earlier versions are moved into the encrypted key store
+BearPeekKeyStore.migrateLegacyKey().catch(error => console.error('Failed to migrate API key:', error.message));
+
+// Deleted analyses (also by the retention policy) leave the search index
+BearPeekHistoryStore.onRemove(processIds => {
+    BearPeekSearchIndex.remove(processIds).catch(error => console.error('Failed to update search index:', error));
+});
+
+// The popup follows jobs over a long-lived port; subscribing returns the current job list
+BearPeekProgressChannel.init(async () => ({ jobs: await BearPeekJobQueue.list() }));
+
 /**
  * Initialize the extension on install/startup
  */
@@ -46,16 +86,24 @@ chrome.runtime.onStartup.addListener(() => {
  * Handle messages from popup and content scripts
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('Background received message:', request);
+    console.log('Background received message:', BearPeekMessages.redactRequest(request));
+    
+    // Malformed requests fail with a coded error before reaching a handler
+    const invalid = BearPeekMessages.validateRequest(request, 'background');
+    if (invalid) {
+        console.error('Rejected message:', invalid.message);
+        sendResponse(BearPeekMessages.toErrorResponse(invalid));
+        return false;
+    }
     
     // Handle async operations properly
     handleMessage(request, sender)
         .then(result => {
-            sendResponse({ success: true, data: result });
+            sendResponse(BearPeekMessages.toResponse(result));
         })
         .catch(error => {
             console.error('Message handling error:', error);
-            sendResponse({ success: false, error: error.message });
+            sendResponse(BearPeekMessages.toErrorResponse(error));
         });
     
     // Return true to indicate async response
@@ -63,7 +111,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 /**
- * Main message handler
+ * Main message handler (requests are validated against BearPeekMessages.ACTIONS)
  */
 async function handleMessage(request, sender) {
     const { action, data } = request;
@@ -78,64 +126,166 @@ async function handleMessage(request, sender) {
         case 'saveSettings':
             return await saveUserSettings(data);
             
+        case 'getProviders':
+            return BearPeekProviders.listProviders();
+            
+        case 'getApiKeyStatus':
+            return await BearPeekKeyStore.getStatus();
+            
+        case 'setApiKey':
+            return await BearPeekKeyStore.setKey(data?.apiKey, data?.passphrase);
+            
+        case 'unlockApiKey':
+            return await BearPeekKeyStore.unlock(data?.passphrase);
+            
+        case 'lockApiKey':
+            return await BearPeekKeyStore.lock();
+            
+        case 'exportAnalysis':
+            return await exportAnalysis(data);
+            
+        case 'getHistory':
+            return await getHistory();
+            
+        case 'searchHistory':
+            return await BearPeekSearchIndex.search(data);
+            
+        case 'getAnalysis':
+            return await BearPeekHistoryStore.getAnnotated(data?.processId);
+            
+        case 'askQuestion':
+            return await askQuestion(data);
+            
+        case 'clearChat':
+            return await clearChat(data?.processId);
+            
+        case 'translateAnalysis':
+            return await translateAnalysis(data);
+            
+        case 'annotateAnalysis':
+            return await BearPeekHistoryStore.annotate(data?.processId, data);
+            
+        case 'getLabels':
+            return await BearPeekHistoryStore.getLabels();
+            
+        case 'exportCollection':
+            return await exportCollection(data);
+            
+        case 'deleteAnalysis':
+            return await deleteStoredContent(data?.processId);
+            
+        case 'reanalyze':
+            return await queueReanalyze(data?.processId, data?.tabId);
+            
+        case 'getJobs':
+            return await BearPeekJobQueue.list();
+            
+        case 'cancelJob':
+            return await BearPeekJobQueue.cancel(data?.jobId);
+            
+        case 'setPinned':
+            return await BearPeekHistoryStore.setPinned(data?.processId, data?.pinned);
+            
+        case 'getStorageUsage':
+            return await BearPeekHistoryStore.getUsage(await getRetentionPolicy());
+            
         case 'contentChanged':
-            // Handle content change notifications from content script
+            // The page navigated (e.g. SPA route change): earlier results no longer apply
             console.log('Content changed on page:', data?.url);
-            return { acknowledged: true };
+            return await handleContentChanged(data, sender);
+            
+        case 'getTabAnalysis':
+            return await getTabAnalysis(data?.tabId, data?.url);
             
         case 'ping':
             return { status: 'pong', timestamp: Date.now() };
             
         default:
-            console.log('Unknown message action:', action);
-            return { acknowledged: true, warning: `Unknown action: ${action}` };
+            throw BearPeekMessages.createError(
+                BearPeekMessages.ERROR_CODES.UNKNOWN_ACTION,
+                `Unknown action: ${action}`
+            );
     }
 }
 
 /**
- * Process extracted content from content scripts
+ * Queue extracted content for analysis and wait for the result
  */
 async function processExtractedContent(data, sender) {
-    const { content, url, title } = data;
+    const tabId = sender?.tab?.id ?? data.tabId;
+    const trigger = data.trigger || 'manual';
+    
+    await assertPolicyAllows(sender?.tab?.url || data.url);
+    
+    console.log('Queueing content:', { contentLength: data.content?.content?.length, url: data.url, trigger });
+    
+    await setTabAnalysis(tabId, { status: 'processing', url: data.url, trigger });
+    
+    return await BearPeekJobQueue.run('analyzePage', {
+        content: data.content,
+        url: data.url,
+        title: data.title,
+        trigger: trigger
+    }, {
+        tabId: tabId,
+        title: data.title || data.url
+    });
+}
+
+/**
+ * Refuse pages whose domain policy blocks Bear Peek (blocked sites, private networks)
+ */
+async function assertPolicyAllows(url) {
+    const policy = BearPeekDomainPolicy.evaluate(url, await getUserSettings());
+    if (!policy.allowed) {
+        console.log('Domain policy blocks page:', policy.reason);
+        throw BearPeekMessages.createError(BearPeekMessages.ERROR_CODES.POLICY_BLOCKED, policy.reason);
+    }
+}
+
+/**
+ * Job handler: analyze and store extracted page content
+ */
+async function runPageAnalysisJob(job, { signal, onProgress }) {
+    const { content, url, title, trigger } = job.data;
+    const tabId = job.tabId ?? undefined;
     const processId = generateProcessId();
     
     try {
-        console.log('Processing content:', { contentLength: content?.content?.length, url, title });
-        
-        // Store process in active processes
-        extensionState.activeProcesses.set(processId, {
-            content,
-            url,
-            title,
-            startTime: Date.now(),
-            status: 'processing'
-        });
+        await setTabAnalysis(tabId, { status: 'processing', processId, url, trigger });
         
         // Notify popup of processing start
-        notifyPopup('updateStatus', {
-            type: 'loading',
+        BearPeekProgressChannel.publishStatus({
+            jobId: job.id,
+            tabId: tabId,
+            status: 'loading',
             message: 'Processing content...'
         });
         
         // Extract actual content string from the data structure
         const contentText = content?.content || content || '';
         
-        // Here you would integrate with AI APIs or other processing services
-        const processedResult = await performContentAnalysis(contentText, url, title);
+        const processedResult = await performContentAnalysis(contentText, url, title, {
+            ...createProgressReporter(job, onProgress),
+            signal
+        });
         
-        // Store processed result
-        await storeProcessedContent(processId, processedResult);
+        signal.throwIfAborted();
         
-        // Update process status
-        extensionState.activeProcesses.set(processId, {
-            ...extensionState.activeProcesses.get(processId),
-            status: 'completed',
-            result: processedResult,
-            completedTime: Date.now()
+        // Store processed result together with the content it was derived from
+        await storeProcessedContent(processId, {
+            ...processedResult,
+            content: contentText,
+            markdown: content?.markdown || '',
+            metadata: content?.metadata || {}
         });
         
+        await setTabAnalysis(tabId, { status: 'completed', processId, url, trigger });
+        
         // Notify popup of completion
-        notifyPopup('contentProcessed', {
+        BearPeekProgressChannel.publishCompleted({
+            jobId: job.id,
+            tabId: tabId,
             success: true,
             processId: processId,
             result: processedResult
@@ -144,22 +294,24 @@ async function processExtractedContent(data, sender) {
         return { processId, result: processedResult };
         
     } catch (error) {
-        console.error('Content processing failed:', error);
-        
-        // Update process status
-        if (extensionState.activeProcesses.has(processId)) {
-            extensionState.activeProcesses.set(processId, {
-                ...extensionState.activeProcesses.get(processId),
-                status: 'failed',
-                error: error.message,
-                failedTime: Date.now()
-            });
-        }
+        const cancelled = signal.aborted;
+        console.error(cancelled ? 'Content processing cancelled' : 'Content processing failed:', error);
+        
+        await setTabAnalysis(tabId, {
+            status: cancelled ? 'cancelled' : 'failed',
+            processId,
+            url,
+            trigger,
+            error: cancelled ? null : error.message
+        }).catch(storageError => console.error('Failed to record tab analysis:', storageError));
         
         // Notify popup of failure
-        notifyPopup('contentProcessed', {
+        BearPeekProgressChannel.publishCompleted({
+            jobId: job.id,
+            tabId: tabId,
             success: false,
-            error: error.message
+            cancelled: cancelled,
+            error: cancelled ? 'Analysis cancelled' : error.message
         });
         
         throw error;
@@ -167,169 +319,439 @@ async function processExtractedContent(data, sender) {
 }
 
 /**
- * Perform content analysis (placeholder for AI integration)
+ * Progress callbacks of a job that also stream its status and partial results to the popup
+ */
+function createProgressReporter(job, onProgress) {
+    const tabId = job.tabId ?? undefined;
+    
+    return {
+        onProgress: progress => {
+            onProgress(progress);
+            BearPeekProgressChannel.publishStatus({
+                jobId: job.id,
+                tabId: tabId,
+                status: 'loading',
+                message: describeProgress(progress),
+                progress: progress
+            });
+        },
+        onPartial: partial => {
+            BearPeekProgressChannel.publishPartial({ jobId: job.id, tabId: tabId, ...partial });
+        }
+    };
+}
+
+/**
+ * Remember the latest analysis of a tab so the popup can show it when opened
+ */
+async function setTabAnalysis(tabId, entry) {
+    if (tabId === undefined || tabId === null) return;
+    
+    await chrome.storage.session.set({
+        [`tabAnalysis_${tabId}`]: { ...entry, tabId: tabId, updatedAt: Date.now() }
+    });
+}
+
+/**
+ * Latest analysis of a tab, if it still belongs to the given URL
+ */
+async function getTabAnalysis(tabId, url) {
+    const key = `tabAnalysis_${tabId}`;
+    const stored = await chrome.storage.session.get(key);
+    const entry = stored[key];
+    
+    if (!entry || (url && stripHash(entry.url) !== stripHash(url))) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Drop a tab's analysis once the tab shows a different page
  */
-async function performContentAnalysis(content, url, title) {
-    // Simulate processing time
-    await delay(1000);
+async function handleContentChanged(data, sender) {
+    const tabId = sender?.tab?.id;
     
+    if (tabId !== undefined && !(await getTabAnalysis(tabId, data?.url))) {
+        await chrome.storage.session.remove(`tabAnalysis_${tabId}`);
+    }
+    return { acknowledged: true };
+}
+
+function stripHash(url) {
+    return (url || '').split('#')[0];
+}
+
+/**
+ * Perform content analysis with the configured AI provider.
+ * Long content is analyzed in chunks; `onProgress` receives { stage, completed, total },
+ * `onPartial` receives partial results (e.g. the summary streamed so far)
+ * and `signal` (an AbortSignal) stops the analysis between chunks and requests.
+ */
+async function performContentAnalysis(content, url, title, { onProgress, onPartial, signal } = {}) {
     // Ensure content is a string
     if (typeof content !== 'string') {
         console.warn('Content is not a string:', typeof content);
         content = String(content || '');
     }
     
-    // This is where you would integrate with AI APIs like:
-    // - OpenAI GPT for summarization
-    // - Claude for analysis
-    // - Custom NLP services
+    const settings = await getAnalysisSettings();
+    const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+    
+    // Content of never-send (and blocked) sites is analyzed locally whatever the provider setting
+    const policy = BearPeekDomainPolicy.evaluate(url, settings);
+    const blockedDomain = settings.aiProvider !== 'local' && !policy.sendToProvider
+        ? policy.neverSendDomain || getDomain(url) || url
+        : undefined;
+    if (blockedDomain) {
+        console.log('Never-send site, analyzing locally:', blockedDomain);
+        settings.aiProvider = 'local';
+    }
+    
+    // Document frequencies of earlier analyses weight the local keywords (TF-IDF)
+    const keywordStats = await BearPeekKeywords.loadStats().catch(error => {
+        console.error('Failed to load keyword statistics:', error);
+        return null;
+    });
+    
+    const insights = await BearPeekProviders.analyzeChunked(
+        content,
+        { url, title, keywordStats, signal, onPartial },
+        settings,
+        onProgress
+    );
     
     const analysis = {
-        summary: generateBasicSummary(content),
-        wordCount: content.split(/\s+/).filter(word => word.length > 0).length,
-        readingTime: Math.ceil(content.split(/\s+/).filter(word => word.length > 0).length / 200), // ~200 WPM
-        keyTopics: extractKeyTopics(content),
-        sentiment: 'neutral', // Placeholder
+        summary: insights.summary,
+        wordCount: wordCount,
+        readingTime: Math.ceil(wordCount / 200), // ~200 WPM
+        keyTopics: insights.keyTopics,
+        // Always extracted on the device, whichever provider wrote the summary
+        entities: BearPeekEntities.extract(content),
+        sentiment: insights.sentiment,
+        provider: insights.provider,
+        model: insights.model,
         extractedAt: new Date().toISOString(),
         url: url,
         title: title,
-        contentLength: content.length
+        contentLength: content.length,
+        chunkCount: insights.chunkCount || 1
     };
     
+    if (insights.summarySentences) {
+        // Positions of the extracted summary sentences in the content
+        analysis.summarySentences = insights.summarySentences;
+    }
+    
+    if (insights.providerError) {
+        analysis.providerError = insights.providerError;
+    }
+    
+    if (blockedDomain) {
+        analysis.redaction = { blockedDomain: blockedDomain };
+    } else if (insights.redaction) {
+        // What was masked in the content sent to the provider
+        analysis.redaction = {
+            counts: insights.redaction,
+            total: Object.values(insights.redaction).reduce((sum, count) => sum + count, 0)
+        };
+    }
+    
     return analysis;
 }
 
 /**
- * Generate a basic summary (placeholder implementation)
+ * Status text for a chunked analysis step
  */
-function generateBasicSummary(content) {
-    // Ensure content is a string
-    if (typeof content !== 'string') {
-        console.warn('generateBasicSummary: content is not a string:', typeof content);
-        content = String(content || '');
+function describeProgress(progress) {
+    if (progress.stage === 'translate') {
+        return `Translating part ${progress.completed + 1} of ${progress.total}...`;
     }
-    
-    if (!content || content.length < 50) {
-        return 'Content too short to summarize.';
-    }
-    
-    try {
-        // Simple extractive summary - take first few sentences
-        const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 20);
-        const summaryLength = Math.min(3, sentences.length);
-        
-        if (sentences.length === 0) {
-            return 'No clear sentences found for summary.';
-        }
-        
-        return sentences.slice(0, summaryLength).join('. ').trim() + '.';
-    } catch (error) {
-        console.error('Error generating summary:', error);
-        return 'Error generating summary.';
+    if (progress.stage === 'combine') {
+        return `Combining ${progress.total} parts...`;
     }
+    return `Analyzing part ${progress.completed + 1} of ${progress.total}...`;
 }
 
 /**
- * Extract key topics (basic implementation)
+ * Store processed content in local storage
  */
-function extractKeyTopics(content) {
+async function storeProcessedContent(processId, result) {
     try {
-        // Ensure content is a string
-        if (typeof content !== 'string') {
-            content = String(content || '');
-        }
+        const settings = await getUserSettings();
         
-        if (!content) {
-            return [];
-        }
+        // Stores the record and applies the retention policy
+        const record = await BearPeekHistoryStore.add(
+            processId,
+            result,
+            BearPeekHistoryStore.getRetentionPolicy(settings)
+        );
         
-        // Simple keyword extraction
-        const words = content.toLowerCase()
-            .replace(/[^\w\s]/g, '')
-            .split(/\s+/)
-            .filter(word => word.length > 4);
+        await BearPeekSearchIndex.add(record)
+            .catch(error => console.error('Failed to index analysis for search:', error));
         
-        const wordCount = {};
-        words.forEach(word => {
-            wordCount[word] = (wordCount[word] || 0) + 1;
-        });
+        // Count the page in the keyword document frequencies used for TF-IDF
+        await BearPeekKeywords.addDocument(result.content || '', settings.language)
+            .catch(error => console.error('Failed to update keyword statistics:', error));
         
-        // Get top 5 most frequent words
-        return Object.entries(wordCount)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([word]) => word);
+        return record;
     } catch (error) {
-        console.error('Error extracting key topics:', error);
-        return [];
+        console.error('Failed to store processed content:', error);
+        throw error;
     }
 }
 
 /**
- * Store processed content in local storage
+ * Load a stored analysis by process ID
  */
-async function storeProcessedContent(processId, result) {
-    try {
-        const storageKey = `processed_${processId}`;
-        await chrome.storage.local.set({
-            [storageKey]: {
-                ...result,
-                processId: processId,
-                storedAt: Date.now()
-            }
+async function getStoredContent(processId) {
+    return await BearPeekHistoryStore.get(processId);
+}
+
+/**
+ * List stored analyses, most recent first, without their content
+ */
+async function getHistory() {
+    return await BearPeekHistoryStore.list();
+}
+
+/**
+ * Delete a stored analysis
+ */
+async function deleteStoredContent(processId) {
+    // Throws if the analysis does not exist
+    await getStoredContent(processId);
+    await BearPeekHistoryStore.remove([processId]);
+    
+    console.log('Deleted stored analysis:', processId);
+    return { processId, deleted: true };
+}
+
+/**
+ * Run analysis again on a stored item's content (e.g. after changing provider settings)
+ */
+async function reanalyzeStoredContent(processId, { signal, onProgress, onPartial } = {}) {
+    const record = await getStoredContent(processId);
+    
+    if (!record.content) {
+        throw new Error('This analysis has no stored content to re-analyze');
+    }
+    
+    const result = await performContentAnalysis(record.content, record.url, record.title, {
+        onProgress,
+        onPartial,
+        signal
+    });
+    signal?.throwIfAborted();
+    const updated = {
+        ...record,
+        ...result,
+        processId: processId,
+        reanalyzedAt: Date.now()
+    };
+    
+    await BearPeekHistoryStore.update(processId, updated, await getRetentionPolicy());
+    await BearPeekSearchIndex.add(updated)
+        .catch(error => console.error('Failed to index analysis for search:', error));
+    return updated;
+}
+
+/**
+ * Answer a question about a stored analysis and keep the exchange with it.
+ * Returns the question and answer messages.
+ */
+async function askQuestion({ processId, question }) {
+    const record = await getStoredContent(processId);
+    const settings = await getAnalysisSettings();
+    
+    // Never-send (and blocked) sites are answered from the article alone
+    if (!BearPeekDomainPolicy.evaluate(record.url, settings).sendToProvider) {
+        settings.aiProvider = 'local';
+    }
+    
+    const askedAt = Date.now();
+    const history = Array.isArray(record.chat) ? record.chat : [];
+    const answer = await BearPeekQa.ask(record, question, history, settings);
+    const messages = [{ role: 'user', content: question.trim(), askedAt: askedAt }, answer];
+    
+    // Re-read the record so a re-analysis finished meanwhile isn't undone
+    const latest = await getStoredContent(processId);
+    await BearPeekHistoryStore.update(processId, {
+        ...latest,
+        chat: [...(Array.isArray(latest.chat) ? latest.chat : []), ...messages]
+    }, await getRetentionPolicy());
+    
+    console.log('Answered question about analysis:', processId, `(${answer.provider})`);
+    return { processId, messages };
+}
+
+/**
+ * Forget the questions asked about a stored analysis
+ */
+async function clearChat(processId) {
+    const record = await getStoredContent(processId);
+    const { chat, ...rest } = record;
+    
+    await BearPeekHistoryStore.update(processId, rest, await getRetentionPolicy());
+    return { processId, cleared: Array.isArray(chat) ? chat.length : 0 };
+}
+
+/**
+ * Translation of a stored analysis into `language` (default: the language setting), side by side
+ * with the original paragraphs. Cached translations are returned right away; others run as a job.
+ */
+async function translateAnalysis({ processId, language, refresh = false, tabId }) {
+    const record = await getStoredContent(processId);
+    const settings = await getUserSettings();
+    const target = language || settings.language;
+    
+    if (!BearPeekTranslator.LANGUAGE_NAMES[target]) {
+        throw BearPeekMessages.createError(
+            BearPeekMessages.ERROR_CODES.INVALID_PAYLOAD,
+            `Unsupported language: ${target}`
+        );
+    }
+    
+    // Translation sends the article to the provider, which never-send (and blocked) sites rule out
+    const policy = BearPeekDomainPolicy.evaluate(record.url, settings);
+    if (!policy.sendToProvider) {
+        throw BearPeekMessages.createError(
+            BearPeekMessages.ERROR_CODES.POLICY_BLOCKED,
+            `Translation needs an AI provider, and content of ${policy.neverSendDomain || getDomain(record.url) || 'this site'} is never sent to one`
+        );
+    }
+    
+    let translation = refresh ? null : await BearPeekTranslator.getCached(record, target);
+    if (!translation) {
+        await BearPeekJobQueue.run('translate', { processId, language: target }, {
+            tabId: tabId,
+            title: `Translate: ${record.title || record.url || processId}`
         });
-        
-        // Clean up old stored content (keep only last 10)
-        await cleanupOldContent();
-        
-    } catch (error) {
-        console.error('Failed to store processed content:', error);
-        throw error;
+        translation = await BearPeekTranslator.getCached(record, target);
     }
+    
+    return {
+        ...translation,
+        processId: processId,
+        sourceSummary: record.summary || '',
+        paragraphs: BearPeekText.splitParagraphs(record.content).map((text, index) => ({
+            source: text,
+            text: translation.paragraphs[index]
+        }))
+    };
+}
+
+/**
+ * Job handler: translate a stored analysis (the result is cached by the translator)
+ */
+async function runTranslateJob(job, { signal, onProgress }) {
+    const { processId, language } = job.data;
+    const record = await getStoredContent(processId);
+    
+    await BearPeekTranslator.translate(record, language, await getAnalysisSettings(), {
+        refresh: true,
+        onProgress: createProgressReporter(job, onProgress).onProgress,
+        signal
+    });
+    return { processId, language };
+}
+
+/**
+ * Re-analyze a stored analysis as a job and wait for the updated record.
+ * Progress is streamed to popups following `tabId`.
+ */
+async function queueReanalyze(processId, tabId) {
+    const record = await getStoredContent(processId);
+    
+    await BearPeekJobQueue.run('reanalyze', { processId }, {
+        tabId: tabId,
+        title: `Re-analyze: ${record.title || record.url || processId}`
+    });
+    return await getStoredContent(processId);
+}
+
+/**
+ * Job handler: re-run the analysis of a stored record
+ */
+async function runReanalyzeJob(job, { signal, onProgress }) {
+    await reanalyzeStoredContent(job.data.processId, {
+        ...createProgressReporter(job, onProgress),
+        signal
+    });
+    return { processId: job.data.processId };
+}
+
+/**
+ * Download a stored analysis as Markdown, JSON or HTML
+ */
+async function exportAnalysis({ processId, format }) {
+    const record = await BearPeekHistoryStore.getAnnotated(processId);
+    const settings = await getUserSettings();
+    const file = BearPeekExport.createExport(record, format, settings.exportFilenameTemplate);
+    
+    const downloadId = await downloadFile(file);
+    
+    console.log('Exported analysis:', processId, file.filename);
+    return { downloadId, filename: file.filename };
 }
 
 /**
- * Clean up old stored content to prevent storage bloat
+ * Download every analysis of a collection as one file
+ */
+async function exportCollection({ name, format }) {
+    const entries = await BearPeekHistoryStore.listCollection(name);
+    if (entries.length === 0) {
+        throw new Error(`Collection not found: ${name}`);
+    }
+    
+    const records = await Promise.all(entries.map(entry => BearPeekHistoryStore.getAnnotated(entry.processId)));
+    // Use the stored spelling of the collection name
+    const collectionName = entries[0].collections.find(item => item.toLowerCase() === name.toLowerCase());
+    const file = BearPeekExport.createCollectionExport(collectionName, records, format);
+    
+    const downloadId = await downloadFile(file);
+    
+    console.log('Exported collection:', collectionName, `(${records.length} analyses)`, file.filename);
+    return { downloadId, filename: file.filename, count: records.length };
+}
+
+async function downloadFile(file) {
+    // Service workers cannot create blob URLs, so the file is passed as a data URL
+    return await chrome.downloads.download({
+        url: `data:${file.mimeType};charset=utf-8,${encodeURIComponent(file.content)}`,
+        filename: file.filename,
+        saveAs: false
+    });
+}
+
+/**
+ * Clean up old stored content according to the retention settings
  */
 async function cleanupOldContent() {
     try {
-        const allStorage = await chrome.storage.local.get();
-        const processedKeys = Object.keys(allStorage)
-            .filter(key => key.startsWith('processed_'))
-            .sort((a, b) => {
-                const timeA = allStorage[a].storedAt || 0;
-                const timeB = allStorage[b].storedAt || 0;
-                return timeB - timeA; // Most recent first
-            });
-        
-        // Keep only the 10 most recent
-        if (processedKeys.length > 10) {
-            const keysToRemove = processedKeys.slice(10);
-            await chrome.storage.local.remove(keysToRemove);
-            console.log(`Cleaned up ${keysToRemove.length} old processed content entries`);
-        }
+        return await BearPeekHistoryStore.applyRetention(await getRetentionPolicy());
     } catch (error) {
         console.error('Failed to cleanup old content:', error);
+        return [];
     }
 }
 
+/**
+ * Retention policy of the current settings
+ */
+async function getRetentionPolicy() {
+    return BearPeekHistoryStore.getRetentionPolicy(await getUserSettings());
+}
+
 /**
  * Initialize default settings
  */
 async function initializeDefaultSettings() {
     try {
-        const existingSettings = await chrome.storage.sync.get([
-            'language',
-            'summaryLength',
-            'autoExtract',
-            'apiKey'
-        ]);
+        const existingSettings = await chrome.storage.sync.get(BearPeekSettings.SETTINGS_KEYS);
         
         const defaultSettings = {
-            language: 'english',
-            summaryLength: 'medium',
-            autoExtract: false,
-            apiKey: '', // Users need to set their own API key
+            ...BearPeekSettings.DEFAULT_SETTINGS,
             ...existingSettings
         };
         
@@ -348,12 +770,10 @@ async function initializeDefaultSettings() {
  */
 async function getUserSettings() {
     try {
-        const settings = await chrome.storage.sync.get([
-            'language',
-            'summaryLength',
-            'autoExtract',
-            'apiKey'
-        ]);
+        const settings = {
+            ...BearPeekSettings.DEFAULT_SETTINGS,
+            ...await chrome.storage.sync.get(BearPeekSettings.SETTINGS_KEYS)
+        };
         
         extensionState.userSettings = settings;
         return settings;
@@ -364,15 +784,45 @@ async function getUserSettings() {
 }
 
 /**
- * Save user settings
+ * User settings plus the decrypted API key, for provider requests only (never sent to UI contexts)
+ */
+async function getAnalysisSettings() {
+    const settings = { ...await getUserSettings(), apiKey: '' };
+    
+    try {
+        settings.apiKey = await BearPeekKeyStore.getKey();
+    } catch (error) {
+        // Locked or unreadable key: remote providers fall back to local analysis with this reason
+        settings.apiKeyError = error.message;
+    }
+    return settings;
+}
+
+/**
+ * Save user settings (partial updates are allowed)
  */
 async function saveUserSettings(settings) {
+    const validation = BearPeekSettings.validateSettings(settings);
+    
+    if (!validation.valid) {
+        const details = Object.values(validation.errors).join('; ');
+        throw BearPeekMessages.createError(
+            BearPeekMessages.ERROR_CODES.INVALID_PAYLOAD,
+            `Invalid settings: ${details}`
+        );
+    }
+    
     try {
-        await chrome.storage.sync.set(settings);
-        extensionState.userSettings = { ...extensionState.userSettings, ...settings };
+        await chrome.storage.sync.set(validation.settings);
+        extensionState.userSettings = { ...extensionState.userSettings, ...validation.settings };
         
-        console.log('Settings saved:', settings);
-        return settings;
+        console.log('Settings saved:', validation.settings);
+        
+        // A stricter retention policy applies right away
+        if (Object.keys(validation.settings).some(key => key.startsWith('retention'))) {
+            await cleanupOldContent();
+        }
+        return validation.settings;
     } catch (error) {
         console.error('Failed to save settings:', error);
         throw error;
@@ -403,28 +853,68 @@ async function setupContextMenus() {
 /**
  * Handle context menu clicks
  */
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+chrome.contextMenus.onClicked.addListener((info, tab) => {
     if (info.menuItemId === 'bearPeekAnalyze' && info.selectionText) {
-        try {
-            const result = await performContentAnalysis(
-                info.selectionText,
-                tab.url,
-                `Selected text from ${tab.title}`
-            );
-            
-            // Store the result
-            const processId = generateProcessId();
-            await storeProcessedContent(processId, result);
-            
-            // Notify user
-            chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'icons/icon48.png',
-                title: 'Bear Peek',
-                message: 'Selected text analyzed successfully!'
+        assertPolicyAllows(tab.url)
+            .then(() => BearPeekJobQueue.enqueue('analyzeSelection', {
+                text: info.selectionText,
+                url: tab.url,
+                pageTitle: tab.title
+            }, {
+                title: `Selected text from ${tab.title}`
+            }))
+            .catch(error => {
+                if (error.code !== BearPeekMessages.ERROR_CODES.POLICY_BLOCKED) {
+                    console.error('Failed to queue selection analysis:', error);
+                    return;
+                }
+                chrome.notifications.create({
+                    type: 'basic',
+                    iconUrl: 'icons/icon48.png',
+                    title: 'Bear Peek',
+                    message: `Not analyzed: ${error.message}`
+                });
             });
-            
-        } catch (error) {
+    }
+});
+
+/**
+ * Job handler: analyze and store text selected on a page
+ */
+async function runSelectionAnalysisJob(job, { signal }) {
+    const { text, url, pageTitle } = job.data;
+    
+    try {
+        const result = await performContentAnalysis(text, url, `Selected text from ${pageTitle}`, { signal });
+        
+        signal.throwIfAborted();
+        
+        // Store the result
+        const processId = generateProcessId();
+        await storeProcessedContent(processId, {
+            ...result,
+            content: text,
+            markdown: text,
+            metadata: {
+                title: result.title,
+                url: url,
+                domain: getDomain(url),
+                source: 'selection'
+            }
+        });
+        
+        // Notify user
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: 'Bear Peek',
+            message: 'Selected text analyzed successfully!'
+        });
+        
+        return { processId };
+        
+    } catch (error) {
+        if (!signal.aborted) {
             console.error('Context menu analysis failed:', error);
             
             chrome.notifications.create({
@@ -434,34 +924,35 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
                 message: 'Failed to analyze selected text'
             });
         }
+        throw error;
     }
-});
+}
 
 /**
- * Notify popup of updates
+ * Forget analyses of closed tabs
  */
-function notifyPopup(action, data) {
-    chrome.runtime.sendMessage({
-        action: action,
-        ...data
-    }).catch(error => {
-        // Popup might be closed, which is normal
-        console.log('Could not notify popup (probably closed):', error.message);
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(`tabAnalysis_${tabId}`).catch(error => {
+        console.error('Failed to clear tab analysis:', error);
     });
-}
+});
 
 /**
- * Generate unique process ID
+ * Get the hostname of a URL (empty for invalid URLs)
  */
-function generateProcessId() {
-    return `process_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function getDomain(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
 }
 
 /**
- * Utility function for delays
+ * Generate unique process ID
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function generateProcessId() {
+    return `process_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
 /**
@@ -477,8 +968,7 @@ self.addEventListener('activate', (event) => {
 chrome.runtime.onSuspend.addListener(() => {
     console.log('Bear Peek extension suspending, cleaning up...');
     
-    // Clean up active processes
-    extensionState.activeProcesses.clear();
+    // Queued and running jobs stay in session storage and are resumed on the next start
     extensionState.isInitialized = false;
 });
 
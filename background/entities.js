@@ -0,0 +1,423 @@
+/**
+ * Bear Peek Extension - Named Entities
+ * Offline extraction of ticker symbols, organizations, people, places, dates, currency amounts and
+ * percentages from English and Vietnamese text, with rules and small gazetteers tuned for financial news.
+ * (load after background/text.js and background/keywords.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Entity types in display order; a span matched by several rules goes to the earlier type
+    const ENTITY_TYPES = [
+        { type: 'ticker', label: 'Tickers & indices' },
+        { type: 'organization', label: 'Organizations' },
+        { type: 'place', label: 'Places' },
+        { type: 'person', label: 'People' },
+        { type: 'date', label: 'Dates' },
+        { type: 'amount', label: 'Amounts' },
+        { type: 'percentage', label: 'Percentages' }
+    ];
+
+    // Entities listed per type (most frequent first)
+    const MAX_PER_TYPE = 15;
+
+    const WORD_START = '(?<![\\p{L}\\p{N}])';
+    const WORD_END = '(?![\\p{L}\\p{N}])';
+
+    // A capitalized word ("Nguyễn", "Hòa"; not acronyms such as "HĐQT")
+    const NAME_WORD = '\\p{Lu}[\\p{Ll}\\p{M}]*(?![\\p{L}\\p{M}])';
+    // Capitalized words; a lowercase word only between two of them ("Ngoại thương Việt Nam")
+    const NAME = `${NAME_WORD}(?:\\s+(?:${NAME_WORD}|\\p{Ll}+(?=\\s+\\p{Lu}))){0,5}`;
+    // Acronyms may appear in English organization names ("BRG Group", "JPMorgan Chase & Co.")
+    const ORG_WORD = '(?:\\p{Lu}[\\p{L}\\p{M}]*|&)';
+
+    const NUMBER = '\\d{1,3}(?:[.,]\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?';
+    const SCALE = 'nghìn tỷ|ngàn tỷ|nghìn|ngàn|triệu|tỷ|tỉ|thousand|million|billion|trillion';
+    const CURRENCY = 'đồng|VNĐ|VND|USD|US\\$|đô la Mỹ|đô la|EUR|euros?|yên|yen|nhân dân tệ|dollars?|đ';
+    const MONTH = '(?:January|February|March|April|May|June|July|August|September|October|November|December|' +
+        'Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\\.?';
+
+    // Vietnamese surnames starting a full name ("Nguyễn Văn A"); ones that are also common words are left out
+    const SURNAMES = [
+        'Nguyễn', 'Trần', 'Lê', 'Phạm', 'Hoàng', 'Huỳnh', 'Phan', 'Vũ', 'Võ', 'Đặng', 'Bùi', 'Đỗ', 'Hồ', 'Ngô',
+        'Dương', 'Lý', 'Đinh', 'Trương', 'Lương', 'Mai', 'Đào', 'Lâm', 'Trịnh', 'Đoàn', 'Vương', 'Tạ', 'Thái',
+        'Kiều', 'Quách', 'Triệu', 'Lưu', 'Hà', 'Tô', 'Châu'
+    ];
+
+    // Gazetteers: each entry lists the spellings of one entity as [Vietnamese name, English name, ...others];
+    // the name in the language of the text is displayed. One name means it is the same in both languages.
+    const ORGANIZATIONS = [
+        ['Ngân hàng Nhà nước', 'State Bank of Vietnam', 'NHNN', 'SBV'],
+        ['Bộ Tài chính', 'Ministry of Finance'],
+        ['Bộ Công Thương', 'Ministry of Industry and Trade', 'Bộ Công thương'],
+        ['Bộ Kế hoạch và Đầu tư', 'Ministry of Planning and Investment'],
+        ['Bộ Xây dựng', 'Ministry of Construction'],
+        ['Chính phủ'],
+        ['Quốc hội', 'National Assembly'],
+        ['Ủy ban Chứng khoán Nhà nước', 'State Securities Commission', 'Uỷ ban Chứng khoán Nhà nước', 'UBCKNN'],
+        ['Tổng cục Thống kê', 'General Statistics Office', 'GSO'],
+        ['HoSE', 'Ho Chi Minh Stock Exchange', 'HOSE', 'HSX', 'Sở Giao dịch Chứng khoán TP.HCM'],
+        ['HNX', 'Hanoi Stock Exchange', 'Sở Giao dịch Chứng khoán Hà Nội'],
+        ['Vingroup'], ['Vinhomes'], ['VinFast'], ['Vinamilk'], ['Masan'], ['Hòa Phát', 'Hoa Phat'],
+        ['Thế Giới Di Động', 'Mobile World'], ['Novaland'], ['Sabeco'], ['Viettel'], ['VNPT'], ['Petrolimex'],
+        ['PetroVietnam', 'PetroVietnam', 'Petrovietnam', 'PVN'], ['EVN'], ['Vietjet', 'Vietjet', 'Vietjet Air'],
+        ['Vietnam Airlines'], ['Vietcombank'], ['BIDV'], ['VietinBank', 'VietinBank', 'Vietinbank'], ['Agribank'],
+        ['Techcombank'], ['VPBank'], ['MB Bank', 'MB Bank', 'MBBank'], ['Sacombank'], ['HDBank'], ['TPBank'],
+        ['SeABank'],
+        ['Fed', 'Federal Reserve', 'Cục Dự trữ Liên bang Mỹ'],
+        ['IMF', 'International Monetary Fund', 'Quỹ Tiền tệ Quốc tế'],
+        ['Ngân hàng Thế giới', 'World Bank', 'WB'],
+        ['ADB', 'Asian Development Bank', 'Ngân hàng Phát triển châu Á'],
+        ['ECB', 'European Central Bank'], ['OPEC'], ['WTO'], ['ASEAN'],
+        ['Moody\'s'], ['Fitch', 'Fitch', 'Fitch Ratings'], ['S&P Global'], ['MSCI'], ['FTSE Russell'],
+        ['Reuters'], ['Bloomberg'],
+        ['Apple'], ['Google'], ['Alphabet'], ['Microsoft'], ['Amazon'], ['Meta'], ['Nvidia', 'Nvidia', 'NVIDIA'],
+        ['Tesla'], ['Samsung'], ['Intel'], ['Foxconn'], ['LG'], ['Toyota']
+    ];
+
+    const PLACES = [
+        ['Việt Nam', 'Vietnam', 'Viet Nam'],
+        ['Hà Nội', 'Hanoi', 'Ha Noi', 'Thủ đô Hà Nội'],
+        ['TP.HCM', 'Ho Chi Minh City', 'TP HCM', 'TP. HCM', 'TPHCM', 'TP. Hồ Chí Minh', 'TP Hồ Chí Minh',
+            'Thành phố Hồ Chí Minh', 'HCMC', 'Sài Gòn', 'Saigon'],
+        ['Đà Nẵng', 'Da Nang', 'Danang'], ['Hải Phòng', 'Hai Phong'], ['Cần Thơ', 'Can Tho'], ['Huế', 'Hue'],
+        ['An Giang'], ['Bà Rịa - Vũng Tàu', 'Ba Ria - Vung Tau', 'Bà Rịa-Vũng Tàu', 'Vũng Tàu', 'Bà Rịa'],
+        ['Bắc Giang'], ['Bắc Kạn'], ['Bạc Liêu'], ['Bắc Ninh', 'Bac Ninh'], ['Bến Tre'], ['Bình Định'],
+        ['Bình Dương', 'Binh Duong'], ['Bình Phước'], ['Bình Thuận'], ['Cà Mau'], ['Cao Bằng'],
+        ['Đắk Lắk', 'Dak Lak', 'Đắc Lắk'], ['Đắk Nông'], ['Điện Biên'], ['Đồng Nai', 'Dong Nai'], ['Đồng Tháp'],
+        ['Gia Lai'], ['Hà Giang'], ['Hà Nam'], ['Hà Tĩnh'], ['Hải Dương'], ['Hậu Giang'], ['Hòa Bình'],
+        ['Hưng Yên'], ['Khánh Hòa', 'Khanh Hoa'], ['Nha Trang'], ['Kiên Giang'], ['Phú Quốc', 'Phu Quoc'],
+        ['Kon Tum'], ['Lai Châu'], ['Lâm Đồng', 'Lam Dong'], ['Đà Lạt', 'Da Lat', 'Dalat'], ['Lạng Sơn'],
+        ['Lào Cai'], ['Long An'], ['Nam Định'], ['Nghệ An'], ['Ninh Bình'], ['Ninh Thuận'], ['Phú Thọ'],
+        ['Phú Yên'], ['Quảng Bình'], ['Quảng Nam'], ['Quảng Ngãi'], ['Quảng Ninh', 'Quang Ninh'],
+        ['Hạ Long', 'Ha Long', 'Halong'], ['Quảng Trị'], ['Sóc Trăng'], ['Sơn La'], ['Tây Ninh'], ['Thái Bình'],
+        ['Thái Nguyên'], ['Thanh Hóa', 'Thanh Hoa', 'Thanh Hoá'], ['Tiền Giang'], ['Trà Vinh'], ['Tuyên Quang'],
+        ['Vĩnh Long'], ['Vĩnh Phúc'], ['Yên Bái'], ['Thủ Đức', 'Thu Duc'],
+        ['Mỹ', 'United States', 'Hoa Kỳ', 'U.S.', 'US', 'USA'], ['Trung Quốc', 'China'], ['Nhật Bản', 'Japan'],
+        ['Hàn Quốc', 'South Korea', 'Korea'], ['Singapore'], ['Thái Lan', 'Thailand'], ['Malaysia'],
+        ['Indonesia'], ['Philippines'], ['Campuchia', 'Cambodia'], ['Lào', 'Laos'], ['Ấn Độ', 'India'],
+        ['Đài Loan', 'Taiwan'], ['Hồng Kông', 'Hong Kong'], ['Nga', 'Russia'], ['Ukraine'], ['Đức', 'Germany'],
+        ['Pháp', 'France'], ['Úc', 'Australia'], ['Canada'],
+        // Not the bare "Anh", which is also a pronoun and a given name
+        ['Vương quốc Anh', 'United Kingdom', 'nước Anh', 'Anh Quốc', 'UK', 'Britain'],
+        ['châu Âu', 'Europe', 'Châu Âu'], ['EU', 'European Union', 'Liên minh châu Âu'],
+        ['châu Á', 'Asia', 'Châu Á'], ['Đông Nam Á', 'Southeast Asia'], ['Trung Đông', 'Middle East'],
+        ['Washington'], ['New York'], ['London'], ['Tokyo'], ['Bắc Kinh', 'Beijing'], ['Thượng Hải', 'Shanghai']
+    ];
+
+    // Vietnamese blue chips and market indices, recognized wherever they appear in capitals
+    // (symbols that are also common abbreviations, such as VND, only count in ticker contexts)
+    const TICKERS = [
+        'ACB', 'BCM', 'BID', 'BVH', 'CTG', 'FPT', 'GAS', 'GVR', 'HDB', 'HPG', 'MBB', 'MSN', 'MWG', 'PLX', 'POW',
+        'SAB', 'SHB', 'SSB', 'SSI', 'STB', 'TCB', 'TPB', 'VCB', 'VHM', 'VIB', 'VIC', 'VJC', 'VNM', 'VPB', 'VRE',
+        'DGC', 'DIG', 'DXG', 'EIB', 'HSG', 'KBC', 'KDH', 'LPB', 'NVL', 'OCB', 'PDR', 'PNJ', 'REE', 'VCI'
+    ];
+    const INDICES = [
+        'VN-Index', 'VN30-Index', 'VN30', 'HNX-Index', 'HNX30', 'UPCoM-Index', 'VNDiamond',
+        'S&P 500', 'Dow Jones', 'Nasdaq Composite', 'Nikkei 225', 'Hang Seng', 'MSCI World'
+    ];
+
+    // Capitalized three-letter words that are not tickers when seen in ticker-like contexts
+    const NOT_TICKERS = new Set([
+        'USD', 'EUR', 'GDP', 'CPI', 'PMI', 'FDI', 'ODA', 'IPO', 'ETF', 'CEO', 'CFO', 'COO', 'HCM', 'TMCP', 'HĐQT',
+        'ĐHĐCĐ', 'BĐS', 'NHNN', 'VAT', 'M&A', 'ESG', 'EPS', 'ROE', 'ROA', 'NIM', 'P/E', 'KCN', 'DN'
+    ]);
+
+    // A ticker symbol, optionally with its market suffix ("VNM", "GOOGL", "VNM.HM")
+    const SYMBOL = '[A-Z][A-Z\\d]{1,5}(?:\\.[A-Z]{1,2})?';
+
+    // Organization names a job title may be followed by instead of a person: "Bộ trưởng Bộ Tài chính"
+    const ORG_PREFIX = /^(?:Bộ|Ngân hàng|Tập đoàn|Tổng công ty|Công ty|Tổng cục|Ủy ban|Uỷ ban|Sở|Quỹ)(?![\p{L}\p{M}])/u;
+
+    // Honorifics are followed by a name, even one spelled like a place ("ông Đức")
+    const HONORIFICS = /^(?:[Ôô]ng|[Bb]à|anh|chị|Mr\.?|Mrs\.?|Ms\.?|Dr\.?)$/u;
+
+    const SENTENCE_WORDS = new Set(['The', 'This', 'That', 'These', 'Those', 'A', 'An', 'In', 'On', 'At', 'For']);
+
+    /**
+     * Entities of a text, grouped by type: [{ type, label, items: [{ text, count }] }].
+     * Types without entities are left out.
+     */
+    function extract(text) {
+        const source = (text || '').normalize('NFC');
+        if (!source.trim()) return [];
+
+        // Gazetteer entities are displayed in the language of the text
+        const language = global.BearPeekText.detectLanguage(source, 'english');
+
+        const spans = [
+            ...findTickers(source),
+            ...findOrganizations(source, language),
+            ...findPeople(source),
+            ...findPlaces(source, language),
+            ...findDates(source),
+            ...findAmounts(source),
+            ...findPercentages(source)
+        ];
+
+        return groupEntities(selectSpans(spans));
+    }
+
+    function findTickers(text) {
+        const known = new Set(TICKERS);
+
+        // Symbols named as such: "mã VNM", "cổ phiếu HPG", "(HOSE: FPT)", "shares of AAPL"
+        // (case-insensitive for the context words; the symbol itself must be in capitals)
+        const contexts = [
+            new RegExp(`${WORD_START}(?:mã(?: cổ phiếu| chứng khoán)?|cổ phiếu|cp|ticker|shares of|symbol)\\s*:?\\s+(${SYMBOL})${WORD_END}`, 'giu'),
+            new RegExp(`\\(\\s*(?:HOSE|HSX|HoSE|HNX|UPCoM|UPCOM|NYSE|NASDAQ|Nasdaq)\\s*:\\s*([A-Z][A-Z\\d.]{0,5})\\s*\\)`, 'gu'),
+            new RegExp(`${WORD_START}(?:HOSE|HSX|HoSE|HNX|UPCoM|NYSE|NASDAQ|Nasdaq)\\s*:\\s*(${SYMBOL})${WORD_END}`, 'gu')
+        ];
+        contexts.forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                if (/^[A-Z][A-Z\d.]*$/.test(match[1]) && !NOT_TICKERS.has(match[1])) {
+                    known.add(match[1]);
+                }
+            }
+        });
+
+        const symbols = Array.from(known).sort((a, b) => b.length - a.length).map(escapeRegExp);
+        return [
+            ...matchAll(text, new RegExp(`${WORD_START}(?:${symbols.join('|')})(?![\\p{L}\\p{N}-])`, 'gu'), 'ticker'),
+            ...matchGazetteer(text, INDICES.map(name => [name]), 'ticker')
+        ];
+    }
+
+    function findOrganizations(text, language) {
+        const spans = matchGazetteer(text, ORGANIZATIONS, 'organization', language);
+
+        // "Công ty Cổ phần Sữa Việt Nam", "tập đoàn Hòa Phát", "Ngân hàng TMCP Ngoại thương Việt Nam"
+        const vietnamese = new RegExp(`${WORD_START}((?:[Cc]ông ty(?: [Cc]ổ phần| CP| TNHH)?(?: [Cc]hứng khoán)?|` +
+            `[Tt]ập đoàn|[Tt]ổng [Cc]ông ty|[Nn]gân hàng(?: TMCP)?|[Qq]uỹ|[Hh]iệp hội|[Tt]ổng cục|` +
+            `[Ủủ]y ban|[Uu]ỷ ban|[Tt]rường Đại học|Đại học)\\s+)((?:\\p{Lu}{2,}\\s+)?${NAME})`, 'gu');
+        for (const match of text.matchAll(vietnamese)) {
+            const name = match[2];
+            // "ngân hàng Mỹ" is about a country's banks, not one bank
+            if (findCanonical(PLACES, name, language)) continue;
+
+            spans.push({
+                type: 'organization',
+                start: match.index,
+                end: match.index + match[0].length,
+                // "Tập đoàn Hòa Phát" counts as "Hòa Phát"
+                text: findCanonical(ORGANIZATIONS, name, language) || capitalize(match[1] + name)
+            });
+        }
+
+        // "Apple Inc.", "Dragon Capital Group", "Bank of America"
+        const english = new RegExp(`${WORD_START}(?:(?:Bank|Ministry|Department|University) of(?:\\s+${ORG_WORD}){1,3}|` +
+            `(?:${ORG_WORD}\\s+){1,4}(?:Inc\\.?|Corp\\.?|Corporation|Co\\.|Ltd\\.?|Limited|Group|Holdings|JSC|PLC|` +
+            `LLC|Bank|Securities|Airlines|Capital|Partners|Fund|Association|Agency|Exchange|Commission)` +
+            `(?!\\s+of\\s))${WORD_END}`, 'gu');
+        for (const match of text.matchAll(english)) {
+            // "The Bank of America" -> "Bank of America"; "The Bank" alone is no name
+            const words = match[0].split(/\s+/);
+            let start = match.index;
+            while (words.length > 1 && SENTENCE_WORDS.has(words[0])) {
+                start += match[0].indexOf(words[1], start - match.index) - (start - match.index);
+                words.shift();
+            }
+            if (words.length < 2) continue;
+
+            spans.push({ type: 'organization', start, end: match.index + match[0].length, text: words.join(' ') });
+        }
+
+        return spans;
+    }
+
+    function findPeople(text) {
+        const spans = [];
+        const stopwords = global.BearPeekKeywords.STOPWORDS.english;
+
+        // Titles before a name: "ông Trần Đình Long", "Thống đốc Nguyễn Thị Hồng", "CEO Jensen Huang"
+        const titled = new RegExp(`${WORD_START}([Ôô]ng|[Bb]à|anh|chị|[Cc]hủ tịch(?: HĐQT)?|[Pp]hó [Cc]hủ tịch|` +
+            `[Tt]ổng [Gg]iám đốc|[Gg]iám đốc|[Pp]hó [Tt]hủ tướng|[Tt]hủ tướng|[Bb]ộ trưởng|[Pp]hó [Tt]hống đốc|` +
+            `[Tt]hống đốc|[Cc]huyên gia|[Nn]hà phân tích|TS\\.|ThS\\.|PGS\\.|GS\\.|Mr\\.?|Mrs\\.?|Ms\\.?|Dr\\.?|` +
+            `CEO|Chairman|Chairwoman|President|Governor|Minister|Prime Minister|Chief Executive|analyst|economist)` +
+            `\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,3})`, 'gu');
+        const leadingEntity = new RegExp(`^(?:${[...ORGANIZATIONS, ...PLACES].flat()
+            .sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})${WORD_END}\\s*`, 'u');
+        for (const match of text.matchAll(titled)) {
+            let name = match[2];
+            if (!HONORIFICS.test(match[1])) {
+                // "Chủ tịch HĐQT Hòa Phát", "Bộ trưởng Bộ Tài chính": an organization, not a person
+                if (ORG_PREFIX.test(name)) continue;
+                // "CEO Nvidia Jensen Huang" -> "Jensen Huang"
+                name = name.replace(leadingEntity, '');
+                if (!name) continue;
+            }
+
+            // The span covers the title, so "ông Đức" outweighs the place "Đức"; a trimmed
+            // organization keeps its own span
+            const end = match.index + match[0].length;
+            const start = name === match[2] ? match.index : end - name.length;
+            spans.push({ type: 'person', start: start, end: end, text: name });
+        }
+
+        // Full Vietnamese names: "Nguyễn Văn Bình"
+        const named = new RegExp(`${WORD_START}(?:${SURNAMES.join('|')})(?:\\s+${NAME_WORD}){1,3}`, 'gu');
+        spans.push(...matchAll(text, named, 'person'));
+
+        // "Jerome Powell said", "Le Anh Tuan, an analyst at ..."
+        const quoted = new RegExp(`${WORD_START}(${NAME_WORD}(?:\\s+${NAME_WORD}){1,2})` +
+            `(?=,?\\s+(?:said|says|told|added|noted|wrote|an? (?:analyst|economist|director)))`, 'gu');
+        for (const match of text.matchAll(quoted)) {
+            if (match[1].split(/\s+/).some(word => stopwords.has(word.toLowerCase()))) continue;
+            // "Nvidia Jensen Huang said" -> "Jensen Huang"
+            const name = match[1].replace(leadingEntity, '');
+            if (!name.includes(' ')) continue;
+
+            const end = match.index + match[1].length;
+            spans.push({ type: 'person', start: end - name.length, end: end, text: name });
+        }
+
+        return spans;
+    }
+
+    function findPlaces(text, language) {
+        const spans = matchGazetteer(text, PLACES, 'place', language);
+
+        // "tỉnh Bình Dương", "huyện Cần Giờ", "KCN Yên Phong"
+        const prefixed = new RegExp(`${WORD_START}(?:[Tt]ỉnh|[Tt]hành phố|TP\\.?|[Qq]uận|[Hh]uyện|[Tt]hị xã|` +
+            `[Pp]hường|[Xx]ã|[Kk]hu công nghiệp|KCN)\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`, 'gu');
+        for (const match of text.matchAll(prefixed)) {
+            spans.push({
+                type: 'place',
+                start: match.index,
+                end: match.index + match[0].length,
+                text: findCanonical(PLACES, match[1], language) || match[1]
+            });
+        }
+
+        return spans;
+    }
+
+    function findDates(text) {
+        const patterns = [
+            // 15/10/2024, 2024-10-15
+            `\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{4}`,
+            `\\d{4}-\\d{2}-\\d{2}`,
+            // ngày 15/10, ngày 15 tháng 10 năm 2024
+            `[Nn]gày\\s+\\d{1,2}(?:\\s+tháng\\s+\\d{1,2}|/\\d{1,2})(?:(?:\\s+năm\\s+|/)\\d{4})?`,
+            // tháng 10, tháng 10/2024, tháng 10 năm 2024
+            `[Tt]háng\\s+(?:1[0-2]|0?[1-9])(?:(?:\\s+năm\\s+|/)\\d{4})?`,
+            // quý 3/2024, quý III năm 2024, Q3 2024
+            `[Qq]uý\\s+(?:[1-4]|IV|I{1,3})(?:(?:\\s+năm\\s+|/)\\d{4})?`,
+            `Q[1-4](?:[\\s/]\\d{4})?`,
+            `FY\\s?\\d{4}`,
+            // năm 2024
+            `[Nn]ăm\\s+(?:19|20)\\d{2}`,
+            // October 15, 2024 / 15 October 2024 / October 2024
+            `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+            `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}(?:,?\\s+\\d{4})?`,
+            `${MONTH}\\s+\\d{4}`,
+            // in 2024
+            `(?<=\\b(?:in|since|by|until|during|from)\\s)(?:19|20)\\d{2}`
+        ];
+        return matchAll(text, new RegExp(`${WORD_START}(?:${patterns.join('|')})${WORD_END}`, 'gu'), 'date');
+    }
+
+    function findAmounts(text) {
+        // "1.200 tỷ đồng", "5 triệu USD", "$1.2 billion", "VND10,000 billion", "20.000đ"
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}.,])(?:(?:${NUMBER})\\s*(?:(?:${SCALE})\\s*)?(?:${CURRENCY})|` +
+            `(?:US\\$|\\$|€|£|¥|USD|VND|EUR)\\s?(?:${NUMBER})(?:\\s?(?:${SCALE}|bn|mn|m|k))?)${WORD_END}`, 'gu');
+        return matchAll(text, pattern, 'amount');
+    }
+
+    function findPercentages(text) {
+        // "12%", "0,5 điểm phần trăm", "3.2 percentage points"
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}.,])[-+]?(?:${NUMBER})\\s?(?:%|điểm phần trăm|phần trăm|` +
+            `percentage points?|percent|pct)(?![\\p{L}\\p{N}])`, 'gu');
+        return matchAll(text, pattern, 'percentage');
+    }
+
+    /**
+     * Spans of every spelling in a gazetteer, labeled with the entry's name in `language`
+     */
+    function matchGazetteer(text, gazetteer, type, language) {
+        const names = new Map();
+        gazetteer.forEach(entry => entry.forEach(name => names.set(name, displayName(entry, language))));
+
+        const alternatives = Array.from(names.keys()).sort((a, b) => b.length - a.length).map(escapeRegExp);
+        const pattern = new RegExp(`${WORD_START}(?:${alternatives.join('|')})${WORD_END}`, 'gu');
+        return matchAll(text, pattern, type, name => names.get(name));
+    }
+
+    function matchAll(text, pattern, type, display = name => name) {
+        return Array.from(text.matchAll(pattern), match => ({
+            type: type,
+            start: match.index,
+            end: match.index + match[0].length,
+            text: display(match[0].replace(/\s+/g, ' '))
+        }));
+    }
+
+    /**
+     * Display name (in `language`) of a gazetteer entry one of whose spellings is `name`
+     */
+    function findCanonical(gazetteer, name, language) {
+        const entry = gazetteer.find(spellings => spellings.includes(name));
+        return entry ? displayName(entry, language) : null;
+    }
+
+    function displayName(entry, language) {
+        return language === 'vietnamese' ? entry[0] : entry[1] || entry[0];
+    }
+
+    /**
+     * Non-overlapping spans: longer matches first ("Ngân hàng Nhà nước" over "Nhà nước"),
+     * then by type order ("Hà Nội" is a place, not a person)
+     */
+    function selectSpans(spans) {
+        const priority = new Map(ENTITY_TYPES.map((item, index) => [item.type, index]));
+        const selected = [];
+
+        spans
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start) ||
+                priority.get(a.type) - priority.get(b.type) || a.start - b.start)
+            .forEach(span => {
+                if (!selected.some(other => span.start < other.end && other.start < span.end)) {
+                    selected.push(span);
+                }
+            });
+
+        return selected.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Entities per type with their counts, most frequent (then first mentioned) first
+     */
+    function groupEntities(spans) {
+        return ENTITY_TYPES
+            .map(({ type, label }) => {
+                const counts = new Map();
+                spans.filter(span => span.type === type).forEach(span => {
+                    const key = span.text.toLowerCase();
+                    const item = counts.get(key) || { text: span.text, count: 0 };
+                    item.count++;
+                    counts.set(key, item);
+                });
+
+                // Map keeps first-mention order, which the stable sort preserves among equal counts
+                const items = Array.from(counts.values())
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, MAX_PER_TYPE);
+                return { type, label, items };
+            })
+            .filter(group => group.items.length > 0);
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    global.BearPeekEntities = {
+        ENTITY_TYPES,
+        extract
+    };
+})(globalThis);
@@ -0,0 +1,448 @@
+/**
+ * Bear Peek Extension - History Store
+ * Stored analyses with an index key, annotations (tags, collections, notes, stars),
+ * retention policy and quota reporting
+ * (load after shared/messages.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Each analysis lives under its own key; the index lists them without content
+    const RECORD_PREFIX = 'processed_';
+    const INDEX_KEY = 'processedIndex';
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+    const BYTES_PER_MB = 1024 * 1024;
+
+    // Annotations live on the index entry, so listing and filtering never load records
+    const ANNOTATION_DEFAULTS = Object.freeze({
+        starred: false,
+        tags: [],
+        collections: [],
+        note: ''
+    });
+
+    const MAX_LABELS = 20;
+    const MAX_LABEL_LENGTH = 60;
+    const MAX_NOTE_LENGTH = 5000;
+
+    // Index mutations are serialized so concurrent stores don't lose entries
+    let pendingWrite = Promise.resolve();
+
+    // Called with the process IDs of removed analyses (deleted or by retention)
+    const removeListeners = [];
+
+    function serialize(task) {
+        const run = pendingWrite.then(task, task);
+        pendingWrite = run.catch(() => {});
+        return run;
+    }
+
+    function recordKey(processId) {
+        return `${RECORD_PREFIX}${processId}`;
+    }
+
+    /**
+     * Load the index, building it from stored records the first time
+     */
+    async function loadIndex() {
+        const stored = await chrome.storage.local.get(INDEX_KEY);
+        if (Array.isArray(stored[INDEX_KEY])) {
+            return stored[INDEX_KEY];
+        }
+
+        // One-time migration from the layout without an index
+        const allStorage = await chrome.storage.local.get();
+        const index = Object.keys(allStorage)
+            .filter(key => key.startsWith(RECORD_PREFIX))
+            .map(key => createIndexEntry(allStorage[key]))
+            .sort((a, b) => b.storedAt - a.storedAt);
+
+        await chrome.storage.local.set({ [INDEX_KEY]: index });
+        console.log(`History index built for ${index.length} stored analyses`);
+        return index;
+    }
+
+    /**
+     * Index entry: everything the history list needs, without the content
+     */
+    function createIndexEntry(record, previous = {}) {
+        return {
+            processId: record.processId,
+            title: record.title || record.metadata?.title || 'Untitled',
+            url: record.url || '',
+            domain: record.metadata?.domain || getDomain(record.url),
+            source: record.metadata?.source || 'page',
+            storedAt: record.storedAt || 0,
+            readingTime: record.readingTime || 0,
+            keyTopics: record.keyTopics || [],
+            bytes: measureBytes(record),
+            pinned: Boolean(previous.pinned),
+            ...getAnnotations(previous)
+        };
+    }
+
+    function getAnnotations(entry) {
+        return {
+            starred: Boolean(entry.starred),
+            tags: entry.tags || ANNOTATION_DEFAULTS.tags,
+            collections: entry.collections || ANNOTATION_DEFAULTS.collections,
+            note: entry.note || ANNOTATION_DEFAULTS.note
+        };
+    }
+
+    /**
+     * Starred, tagged, collected and annotated analyses are kept by the retention policy like pinned ones
+     */
+    function isKept(entry) {
+        return Boolean(entry.pinned || entry.starred || entry.tags?.length || entry.collections?.length || entry.note);
+    }
+
+    /**
+     * Store a new analysis and apply the retention policy (which keeps the new one)
+     */
+    function add(processId, result, policy) {
+        return serialize(async () => {
+            const record = { ...result, processId: processId, storedAt: Date.now() };
+            const index = await loadIndex();
+            const entry = createIndexEntry(record);
+
+            const updatedIndex = [entry, ...index.filter(item => item.processId !== processId)];
+
+            await chrome.storage.local.set({
+                [recordKey(processId)]: record,
+                [INDEX_KEY]: updatedIndex
+            });
+
+            await applyRetentionToIndex(updatedIndex, policy, processId);
+            return record;
+        });
+    }
+
+    /**
+     * Replace a stored analysis (keeps its position and pin) and apply the retention policy,
+     * as the record may have grown (e.g. chat messages)
+     */
+    function update(processId, record, policy) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            const position = index.findIndex(item => item.processId === processId);
+            if (position === -1) {
+                throw new Error(`Analysis not found: ${processId}`);
+            }
+
+            index[position] = createIndexEntry(record, index[position]);
+            await chrome.storage.local.set({
+                [recordKey(processId)]: record,
+                [INDEX_KEY]: index
+            });
+
+            await applyRetentionToIndex(index, policy, processId);
+            return record;
+        });
+    }
+
+    async function get(processId) {
+        const key = recordKey(processId);
+        const stored = await chrome.storage.local.get(key);
+
+        if (!stored[key]) {
+            throw new Error(`Analysis not found: ${processId}`);
+        }
+        return stored[key];
+    }
+
+    /**
+     * A stored analysis with its annotations (tags, collections, note, star)
+     */
+    async function getAnnotated(processId) {
+        const [record, index] = await Promise.all([get(processId), loadIndex()]);
+        const entry = index.find(item => item.processId === processId) || {};
+        return { ...record, ...getAnnotations(entry) };
+    }
+
+    /**
+     * History entries, most recent first
+     */
+    async function list() {
+        const index = await loadIndex();
+        return index
+            .map(entry => ({ ...entry, ...getAnnotations(entry) }))
+            .sort((a, b) => b.storedAt - a.storedAt);
+    }
+
+    /**
+     * Change the annotations of an analysis: any of `starred`, `tags`, `collections` and `note`.
+     * Tags are lowercase; collection names keep their case but match case-insensitively.
+     */
+    function annotate(processId, changes) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            const entry = index.find(item => item.processId === processId);
+            if (!entry) {
+                throw new Error(`Analysis not found: ${processId}`);
+            }
+
+            if (changes.starred !== undefined) {
+                entry.starred = Boolean(changes.starred);
+            }
+            if (changes.tags !== undefined) {
+                entry.tags = normalizeLabels(changes.tags, 'Tags', tag => tag.replace(/^#+/, '').toLowerCase());
+            }
+            if (changes.collections !== undefined) {
+                // Reuse the spelling of existing collections ("q3 banking" joins "Q3 Banking")
+                const existing = new Map(index
+                    .filter(item => item !== entry)
+                    .flatMap(item => item.collections || [])
+                    .map(name => [name.toLowerCase(), name]));
+                entry.collections = normalizeLabels(changes.collections, 'Collections',
+                    name => existing.get(name.toLowerCase()) || name);
+            }
+            if (changes.note !== undefined) {
+                const note = String(changes.note).trim();
+                if (note.length > MAX_NOTE_LENGTH) {
+                    throw invalid(`Note is too long (max ${MAX_NOTE_LENGTH} characters)`);
+                }
+                entry.note = note;
+            }
+
+            await chrome.storage.local.set({ [INDEX_KEY]: index });
+            return { ...entry, ...getAnnotations(entry) };
+        });
+    }
+
+    function normalizeLabels(values, label, transform) {
+        const seen = new Set();
+        const labels = [];
+
+        values.forEach(value => {
+            const name = transform(String(value).replace(/\s+/g, ' ').trim());
+            if (!name || seen.has(name.toLowerCase())) return;
+            if (name.length > MAX_LABEL_LENGTH) {
+                throw invalid(`${label}: "${name}" is too long (max ${MAX_LABEL_LENGTH} characters)`);
+            }
+            seen.add(name.toLowerCase());
+            labels.push(name);
+        });
+
+        if (labels.length > MAX_LABELS) {
+            throw invalid(`${label}: at most ${MAX_LABELS} per analysis`);
+        }
+        return labels;
+    }
+
+    function invalid(message) {
+        return global.BearPeekMessages.createError(global.BearPeekMessages.ERROR_CODES.INVALID_PAYLOAD, message);
+    }
+
+    /**
+     * Tags and collections in use, with the number of analyses carrying each
+     */
+    async function getLabels() {
+        const index = await loadIndex();
+        const count = field => {
+            const counts = new Map();
+            index.forEach(entry => (entry[field] || []).forEach(name => {
+                const key = name.toLowerCase();
+                const current = counts.get(key) || { name: name, count: 0 };
+                current.count++;
+                counts.set(key, current);
+            }));
+            return Array.from(counts.values()).sort((a, b) => a.name.localeCompare(b.name));
+        };
+
+        return { tags: count('tags'), collections: count('collections') };
+    }
+
+    /**
+     * Analyses of a collection, most recent first
+     */
+    async function listCollection(name) {
+        const key = name.toLowerCase();
+        return (await list()).filter(entry => entry.collections.some(item => item.toLowerCase() === key));
+    }
+
+    function remove(processIds) {
+        return serialize(async () => {
+            const ids = new Set(processIds);
+            const index = await loadIndex();
+
+            await chrome.storage.local.remove(Array.from(ids).map(recordKey));
+            await chrome.storage.local.set({
+                [INDEX_KEY]: index.filter(item => !ids.has(item.processId))
+            });
+            notifyRemoved(Array.from(ids));
+            return Array.from(ids);
+        });
+    }
+
+    function onRemove(listener) {
+        removeListeners.push(listener);
+    }
+
+    function notifyRemoved(processIds) {
+        removeListeners.forEach(listener => {
+            try {
+                listener(processIds);
+            } catch (error) {
+                console.error('History listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Pinned analyses are never removed by the retention policy
+     */
+    function setPinned(processId, pinned) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            const entry = index.find(item => item.processId === processId);
+            if (!entry) {
+                throw new Error(`Analysis not found: ${processId}`);
+            }
+
+            entry.pinned = Boolean(pinned);
+            await chrome.storage.local.set({ [INDEX_KEY]: index });
+            return entry;
+        });
+    }
+
+    /**
+     * Apply a retention policy outside of a store (e.g. after settings change)
+     */
+    function applyRetention(policy) {
+        return serialize(async () => applyRetentionToIndex(await loadIndex(), policy));
+    }
+
+    /**
+     * Remove entries that are too old, over the entry limit or over the size limit,
+     * except pinned, starred and annotated ones (see isKept). Kept entries still count towards
+     * the entry and size limits; when they alone exceed one a warning is logged (see getUsage).
+     * `writtenId` is the analysis just written, which is never removed by its own write.
+     * Works on the index only; records are removed by key.
+     */
+    async function applyRetentionToIndex(index, policy = {}, writtenId = null) {
+        const now = Date.now();
+        const isExempt = item => isKept(item) || item.processId === writtenId;
+        const candidates = index
+            .filter(item => !isExempt(item))
+            .sort((a, b) => b.storedAt - a.storedAt);
+        const exempt = index.filter(isExempt);
+        const removed = new Set();
+
+        if (policy.maxAgeDays > 0) {
+            const cutoff = now - policy.maxAgeDays * MS_PER_DAY;
+            candidates.filter(item => item.storedAt < cutoff).forEach(item => removed.add(item.processId));
+        }
+
+        let kept = candidates.filter(item => !removed.has(item.processId));
+
+        if (policy.maxEntries > 0) {
+            const allowed = Math.max(policy.maxEntries - exempt.length, 0);
+            kept.slice(allowed).forEach(item => removed.add(item.processId));
+            kept = kept.slice(0, allowed);
+
+            if (exempt.length > policy.maxEntries) {
+                console.warn(`${exempt.length} analyses are kept, over the limit of ${policy.maxEntries}; ` +
+                    'unpin, unstar or unlabel some to make room');
+            }
+        }
+
+        if (policy.maxBytes > 0) {
+            let totalBytes = exempt.reduce((sum, item) => sum + item.bytes, 0) +
+                kept.reduce((sum, item) => sum + item.bytes, 0);
+
+            // Drop the oldest entries until the total fits
+            for (let i = kept.length - 1; i >= 0 && totalBytes > policy.maxBytes; i--) {
+                removed.add(kept[i].processId);
+                totalBytes -= kept[i].bytes;
+            }
+
+            if (totalBytes > policy.maxBytes) {
+                console.warn(`Kept analyses use ${totalBytes} bytes, over the ${policy.maxBytes} byte limit; ` +
+                    'unpin, unstar or unlabel some to free space');
+            }
+        }
+
+        if (removed.size === 0) {
+            return [];
+        }
+
+        await chrome.storage.local.remove(Array.from(removed).map(recordKey));
+        await chrome.storage.local.set({
+            [INDEX_KEY]: index.filter(item => !removed.has(item.processId))
+        });
+
+        console.log(`Retention policy removed ${removed.size} stored analyses`);
+        notifyRemoved(Array.from(removed));
+        return Array.from(removed);
+    }
+
+    /**
+     * Storage usage against the chrome.storage.local quota and the retention policy's limits
+     * (`overLimit` when kept analyses alone exceed the size limit, `overEntryLimit` when they fill the entry limit)
+     */
+    async function getUsage(policy = {}) {
+        const index = await loadIndex();
+        const keptBytes = index.filter(isKept).reduce((sum, item) => sum + item.bytes, 0);
+        const keptCount = index.filter(isKept).length;
+        const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+        const quotaBytes = chrome.storage.local.QUOTA_BYTES || 10 * BYTES_PER_MB;
+
+        return {
+            bytesInUse: bytesInUse,
+            quotaBytes: quotaBytes,
+            percentUsed: Math.round((bytesInUse / quotaBytes) * 1000) / 10,
+            analysesBytes: index.reduce((sum, item) => sum + item.bytes, 0),
+            entryCount: index.length,
+            pinnedCount: index.filter(item => item.pinned).length,
+            keptCount: keptCount,
+            keptBytes: keptBytes,
+            maxBytes: policy.maxBytes || 0,
+            maxEntries: policy.maxEntries || 0,
+            overLimit: policy.maxBytes > 0 && keptBytes > policy.maxBytes,
+            overEntryLimit: policy.maxEntries > 0 && keptCount >= policy.maxEntries
+        };
+    }
+
+    /**
+     * Convert retention settings into a policy
+     */
+    function getRetentionPolicy(settings) {
+        return {
+            maxEntries: Number(settings.retentionMaxEntries) || 0,
+            maxAgeDays: Number(settings.retentionMaxAgeDays) || 0,
+            maxBytes: Math.round((Number(settings.retentionMaxMegabytes) || 0) * BYTES_PER_MB)
+        };
+    }
+
+    function measureBytes(value) {
+        return new TextEncoder().encode(JSON.stringify(value)).length;
+    }
+
+    function getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    global.BearPeekHistoryStore = {
+        add,
+        update,
+        get,
+        getAnnotated,
+        list,
+        listCollection,
+        annotate,
+        getLabels,
+        remove,
+        onRemove,
+        setPinned,
+        applyRetention,
+        getUsage,
+        getRetentionPolicy
+    };
+})(globalThis);
@@ -0,0 +1,344 @@
+/**
+ * Bear Peek Extension - Job Queue
+ * Analysis jobs persisted in chrome.storage.session so they survive service worker restarts
+ */
+
+'use strict';
+
+(function (global) {
+    const STORAGE_KEY = 'jobs';
+
+    const STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+    // A job interrupted this many times by worker restarts is marked failed
+    const MAX_ATTEMPTS = 3;
+
+    // Finished jobs kept for the popup's job list
+    const MAX_FINISHED_JOBS = 20;
+
+    const handlers = {};
+    const listeners = [];
+
+    // In-memory state of this worker instance
+    const waiters = new Map();
+    const controllers = new Map();
+    let processing = false;
+
+    // Storage updates are serialized so concurrent changes don't overwrite each other
+    let pendingWrite = Promise.resolve();
+
+    function serialize(task) {
+        const run = pendingWrite.then(task, task);
+        pendingWrite = run.catch(() => {});
+        return run;
+    }
+
+    async function loadJobs() {
+        const stored = await chrome.storage.session.get(STORAGE_KEY);
+        return Array.isArray(stored[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+    }
+
+    async function saveJobs(jobs) {
+        const active = jobs.filter(job => isActive(job));
+        const finished = jobs
+            .filter(job => !isActive(job))
+            .sort((a, b) => b.finishedAt - a.finishedAt)
+            .slice(0, MAX_FINISHED_JOBS);
+
+        await chrome.storage.session.set({ [STORAGE_KEY]: [...active, ...finished] });
+    }
+
+    /**
+     * Apply a change to one job and notify listeners.
+     * With `expectedStatus`, the change is skipped (returning null) if the job has moved on.
+     */
+    function updateJob(jobId, changes, expectedStatus) {
+        return serialize(async () => {
+            const jobs = await loadJobs();
+            const job = jobs.find(item => item.id === jobId);
+            if (!job) {
+                throw new Error(`Job not found: ${jobId}`);
+            }
+            if (expectedStatus && job.status !== expectedStatus) {
+                return null;
+            }
+
+            Object.assign(job, changes, { updatedAt: Date.now() });
+            if (!isActive(job)) {
+                // The payload (page content) is no longer needed once the job has finished
+                delete job.data;
+            }
+
+            await saveJobs(jobs);
+            emit(job);
+            return job;
+        });
+    }
+
+    /**
+     * Register the function that runs jobs of a type.
+     * It receives (job, { signal, onProgress }) and returns the job result.
+     */
+    function registerHandler(type, handler) {
+        handlers[type] = handler;
+    }
+
+    /**
+     * Listen for job changes (called with a summary of the changed job)
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Add a job to the queue and start processing
+     */
+    function enqueue(type, data, options = {}) {
+        if (!handlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const job = {
+            id: options.id || generateJobId(),
+            type: type,
+            status: 'queued',
+            title: options.title || '',
+            tabId: options.tabId ?? null,
+            data: data,
+            progress: null,
+            result: null,
+            error: null,
+            attempts: 0,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        return serialize(async () => {
+            const jobs = await loadJobs();
+            jobs.push(job);
+            await saveJobs(jobs);
+            emit(job);
+
+            processQueue();
+            return job;
+        });
+    }
+
+    /**
+     * Promise for the result of a job started by this worker instance
+     */
+    function waitFor(jobId) {
+        return new Promise((resolve, reject) => {
+            waiters.set(jobId, { resolve, reject });
+        });
+    }
+
+    /**
+     * Enqueue a job and wait for its result
+     */
+    async function run(type, data, options = {}) {
+        // Wait before enqueueing so a fast job cannot finish unobserved
+        const jobId = generateJobId();
+        const result = waitFor(jobId);
+
+        try {
+            await enqueue(type, data, { ...options, id: jobId });
+        } catch (error) {
+            waiters.delete(jobId);
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * Cancel a queued or running job
+     */
+    async function cancel(jobId) {
+        const jobs = await loadJobs();
+        const job = jobs.find(item => item.id === jobId);
+        if (!job) {
+            throw new Error(`Job not found: ${jobId}`);
+        }
+        if (!isActive(job)) {
+            return summarize(job);
+        }
+
+        if (controllers.has(jobId)) {
+            // The running handler stops at its next check; the job is finished in runJob
+            controllers.get(jobId).abort();
+            return summarize(job);
+        }
+
+        // Queued, or left running by a worker that was stopped
+        const cancelled = await updateJob(jobId, { status: 'cancelled', finishedAt: Date.now() }, job.status);
+        if (!cancelled) {
+            // Its status changed in the meantime (e.g. it just started)
+            return cancel(jobId);
+        }
+        settle(jobId, null, new Error('Job cancelled'));
+        return summarize(cancelled);
+    }
+
+    /**
+     * Jobs without their payload, newest first
+     */
+    async function list() {
+        const jobs = await loadJobs();
+        return jobs
+            .map(summarize)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async function get(jobId) {
+        const jobs = await loadJobs();
+        const job = jobs.find(item => item.id === jobId);
+        return job ? summarize(job) : null;
+    }
+
+    /**
+     * Requeue jobs interrupted by a worker restart and continue processing
+     */
+    async function resume() {
+        await serialize(async () => {
+            const jobs = await loadJobs();
+            let changed = false;
+
+            jobs.filter(job => job.status === 'running').forEach(job => {
+                changed = true;
+                if (job.attempts >= MAX_ATTEMPTS) {
+                    Object.assign(job, {
+                        status: 'failed',
+                        error: 'Interrupted too many times',
+                        finishedAt: Date.now()
+                    });
+                    delete job.data;
+                } else {
+                    Object.assign(job, { status: 'queued', progress: null });
+                }
+            });
+
+            if (changed) {
+                await saveJobs(jobs);
+                console.log('Resumed interrupted jobs');
+            }
+        });
+
+        processQueue();
+    }
+
+    /**
+     * Run queued jobs one at a time, oldest first
+     */
+    async function processQueue() {
+        if (processing) return;
+        processing = true;
+
+        try {
+            let next;
+            while ((next = (await loadJobs()).find(job => job.status === 'queued'))) {
+                await runJob(next);
+            }
+        } catch (error) {
+            console.error('Job queue failed:', error);
+        } finally {
+            processing = false;
+        }
+    }
+
+    async function runJob(job) {
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+
+        const running = await updateJob(job.id, {
+            status: 'running',
+            attempts: job.attempts + 1,
+            startedAt: Date.now()
+        }, 'queued');
+
+        if (!running) {
+            // Cancelled before it started
+            controllers.delete(job.id);
+            return;
+        }
+
+        try {
+            const result = await handlers[job.type](running, {
+                signal: controller.signal,
+                onProgress: progress => {
+                    updateJob(job.id, { progress: progress })
+                        .catch(error => console.error('Failed to record job progress:', error));
+                }
+            });
+
+            if (controller.signal.aborted) {
+                throw new Error('Job cancelled');
+            }
+
+            await updateJob(job.id, { status: 'done', result: result ?? null, finishedAt: Date.now() });
+            settle(job.id, result);
+        } catch (error) {
+            const cancelled = controller.signal.aborted;
+            console.error(`Job ${job.id} ${cancelled ? 'cancelled' : 'failed'}:`, error);
+
+            await updateJob(job.id, {
+                status: cancelled ? 'cancelled' : 'failed',
+                error: cancelled ? null : error.message,
+                finishedAt: Date.now()
+            });
+            settle(job.id, null, cancelled ? new Error('Job cancelled') : error);
+        } finally {
+            controllers.delete(job.id);
+        }
+    }
+
+    function settle(jobId, result, error) {
+        const waiter = waiters.get(jobId);
+        if (!waiter) return;
+
+        waiters.delete(jobId);
+        if (error) {
+            waiter.reject(error);
+        } else {
+            waiter.resolve(result);
+        }
+    }
+
+    function emit(job) {
+        const summary = summarize(job);
+        listeners.forEach(listener => {
+            try {
+                listener(summary);
+            } catch (error) {
+                console.error('Job listener failed:', error);
+            }
+        });
+    }
+
+    function generateJobId() {
+        return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    function summarize(job) {
+        const { data, ...summary } = job;
+        return summary;
+    }
+
+    function isActive(job) {
+        return job.status === 'queued' || job.status === 'running';
+    }
+
+    global.BearPeekJobQueue = {
+        STATUSES,
+        registerHandler,
+        onChange,
+        enqueue,
+        waitFor,
+        run,
+        cancel,
+        list,
+        get,
+        resume
+    };
+})(globalThis);
@@ -0,0 +1,270 @@
+/**
+ * Bear Peek Extension - API Key Store
+ * Keeps the provider API key in chrome.storage.local, encrypted with AES-GCM (WebCrypto).
+ * The encryption key is either a non-extractable device key kept in IndexedDB or derived
+ * from a user passphrase; the clear key never leaves the background worker.
+ * (load after shared/settings.js)
+ */
+
+'use strict';
+
+(function (global) {
+    const VAULT_KEY = 'apiKeyVault';
+
+    // Derived passphrase key for this browser session, so the key is unlocked once
+    const SESSION_KEY = 'apiKeyUnlocked';
+
+    // Where the non-extractable device key lives (CryptoKeys cannot be put in chrome.storage)
+    const DATABASE_NAME = 'bear-peek-keys';
+    const DATABASE_STORE = 'keys';
+    const DEVICE_KEY_ID = 'device';
+
+    const PBKDF2_ITERATIONS = 310000;
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    /**
+     * What the UI may know about the stored key: whether there is one, how it is protected,
+     * whether it is locked and a masked hint ("…f3a9")
+     */
+    async function getStatus() {
+        const vault = await loadVault();
+        if (!vault) {
+            return { hasKey: false, mode: null, locked: false, hint: '' };
+        }
+
+        return {
+            hasKey: true,
+            mode: vault.mode,
+            locked: vault.mode === 'passphrase' && !(await loadSessionKey()),
+            hint: vault.hint,
+            updatedAt: vault.updatedAt
+        };
+    }
+
+    /**
+     * Encrypt and store a key; an empty key removes the stored one.
+     * With a passphrase, the key must be unlocked once per browser session.
+     */
+    async function setKey(apiKey, passphrase) {
+        const key = (apiKey || '').trim();
+        if (!key) {
+            await clearKey();
+            return getStatus();
+        }
+
+        const error = global.BearPeekSettings.validateApiKey(key);
+        if (error) {
+            throw new Error(error);
+        }
+        if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const vault = {
+            mode: passphrase ? 'passphrase' : 'device',
+            hint: maskKey(key),
+            updatedAt: Date.now()
+        };
+
+        let cryptoKey;
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            cryptoKey = await deriveKey(passphrase, salt);
+            vault.salt = toBase64(salt);
+        } else {
+            cryptoKey = await getDeviceKey();
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, encoder.encode(key));
+        vault.iv = toBase64(iv);
+        vault.ciphertext = toBase64(new Uint8Array(ciphertext));
+
+        await chrome.storage.local.set({ [VAULT_KEY]: vault });
+        if (passphrase) {
+            await saveSessionKey(cryptoKey);
+        } else {
+            await chrome.storage.session.remove(SESSION_KEY);
+        }
+
+        console.log(`API key stored (${vault.mode} encryption)`);
+        return getStatus();
+    }
+
+    /**
+     * The clear key for provider requests: '' when none is stored.
+     * Throws when the key is protected by a passphrase that was not entered this session.
+     */
+    async function getKey() {
+        const vault = await loadVault();
+        if (!vault) return '';
+
+        const cryptoKey = vault.mode === 'passphrase' ? await loadSessionKey() : await getDeviceKey();
+        if (!cryptoKey) {
+            throw new Error('API key is locked - unlock it in settings');
+        }
+        return decrypt(vault, cryptoKey);
+    }
+
+    /**
+     * Unlock a passphrase-protected key for the rest of the browser session
+     */
+    async function unlock(passphrase) {
+        const vault = await loadVault();
+        if (!vault || vault.mode !== 'passphrase') {
+            return getStatus();
+        }
+
+        const cryptoKey = await deriveKey(passphrase || '', fromBase64(vault.salt));
+        try {
+            await decrypt(vault, cryptoKey);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        await saveSessionKey(cryptoKey);
+        return getStatus();
+    }
+
+    /**
+     * Forget the unlocked passphrase key
+     */
+    async function lock() {
+        await chrome.storage.session.remove(SESSION_KEY);
+        return getStatus();
+    }
+
+    async function clearKey() {
+        await chrome.storage.local.remove(VAULT_KEY);
+        await chrome.storage.session.remove(SESSION_KEY);
+        console.log('API key removed');
+    }
+
+    /**
+     * Move a key stored in clear text by earlier versions (synced `apiKey` setting) into the store
+     */
+    async function migrateLegacyKey() {
+        const { apiKey } = await chrome.storage.sync.get('apiKey');
+        if (apiKey === undefined) return;
+
+        if (typeof apiKey === 'string' && apiKey.trim() && !(await loadVault())) {
+            await setKey(apiKey);
+            console.log('Moved the synced API key into encrypted local storage');
+        }
+        await chrome.storage.sync.remove('apiKey');
+    }
+
+    async function decrypt(vault, cryptoKey) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(vault.iv) },
+            cryptoKey,
+            fromBase64(vault.ciphertext)
+        );
+        return decoder.decode(plaintext);
+    }
+
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+        // Extractable so the unlocked key can be kept in session storage
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function saveSessionKey(cryptoKey) {
+        const raw = await crypto.subtle.exportKey('raw', cryptoKey);
+        await chrome.storage.session.set({ [SESSION_KEY]: toBase64(new Uint8Array(raw)) });
+    }
+
+    async function loadSessionKey() {
+        const stored = await chrome.storage.session.get(SESSION_KEY);
+        if (!stored[SESSION_KEY]) return null;
+
+        return crypto.subtle.importKey('raw', fromBase64(stored[SESSION_KEY]), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    }
+
+    async function loadVault() {
+        const stored = await chrome.storage.local.get(VAULT_KEY);
+        return stored[VAULT_KEY] || null;
+    }
+
+    /**
+     * The device key, created on first use
+     */
+    async function getDeviceKey() {
+        const existing = await readDatabase(DEVICE_KEY_ID);
+        if (existing) return existing;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await writeDatabase(DEVICE_KEY_ID, key);
+        return key;
+    }
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DATABASE_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DATABASE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function readDatabase(id) {
+        const db = await openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(DATABASE_STORE, 'readonly').objectStore(DATABASE_STORE).get(id);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    async function writeDatabase(id, value) {
+        const db = await openDatabase();
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction(DATABASE_STORE, 'readwrite');
+                transaction.objectStore(DATABASE_STORE).put(value, id);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Last characters of a key, enough to recognize it
+     */
+    function maskKey(key) {
+        return key.length > 12 ? `…${key.slice(-4)}` : '••••';
+    }
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    global.BearPeekKeyStore = {
+        getStatus,
+        setKey,
+        getKey,
+        unlock,
+        lock,
+        migrateLegacyKey
+    };
+})(globalThis);
@@ -0,0 +1,273 @@
+/**
+ * Bear Peek Extension - Keyword Extraction
+ * Unicode-aware key phrases for English and Vietnamese, weighted by TF-IDF against stored analyses
+ * (load after background/text.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // chrome.storage.local key holding document frequencies of the analyzed pages
+    const STATS_KEY = 'keywordStats';
+
+    // Distinct terms counted per document and kept overall
+    const MAX_TERMS_PER_DOCUMENT = 300;
+    const MAX_VOCABULARY = 5000;
+
+    // Every so many documents all counts are halved, so terms of older pages make room for new ones
+    const DECAY_INTERVAL = 500;
+
+    const DEFAULT_LIMIT = 5;
+
+    // Punctuation that ends a phrase
+    const PHRASE_BOUNDARY = /[.,;:!?…()[\]{}"“”‘’«»\n\r\t/|–—•·]+|\s-\s/;
+
+    const STOPWORDS = {
+        english: new Set([
+            'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+            'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+            'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'few', 'for', 'from',
+            'further', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+            'him', 'himself', 'his', 'how', 'however', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+            'just', 'last', 'like', 'made', 'make', 'many', 'may', 'me', 'might', 'more', 'most', 'much', 'must',
+            'my', 'myself', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or',
+            'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'per', 'said', 'same', 'say', 'says',
+            'she', 'should', 'since', 'so', 'some', 'still', 'such', 'than', 'that', 'the', 'their', 'theirs',
+            'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'though', 'through', 'to',
+            'too', 'two', 'under', 'until', 'up', 'us', 'use', 'used', 'very', 'was', 'way', 'we', 'well',
+            'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within',
+            'without', 'would', 'year', 'years', 'yet', 'you', 'your', 'yours', 'yourself', 'yourselves',
+            "it's", "don't", "doesn't", "didn't", "can't", "won't", "isn't", "aren't", "wasn't", "weren't"
+        ]),
+        vietnamese: new Set([
+            'à', 'ạ', 'ai', 'anh', 'bà', 'bạn', 'bao', 'bằng', 'bị', 'bởi', 'cả', 'các', 'cái', 'cần', 'càng',
+            'chỉ', 'chị', 'cho', 'chớ', 'chứ', 'chưa', 'chúng', 'có', 'còn', 'của', 'cũng', 'cùng', 'đã',
+            'đang', 'đây', 'để', 'đến', 'đều', 'điều', 'do', 'đó', 'được', 'gì', 'hay', 'hãy', 'hầu', 'hết',
+            'họ', 'hoặc', 'hơn', 'khi', 'không', 'là', 'lại', 'lên', 'lúc', 'mà', 'mỗi', 'một', 'mình', 'này',
+            'nào', 'nếu', 'nên', 'ngày', 'nhau', 'nhiều', 'như', 'nhưng', 'những', 'nơi', 'nữa', 'ở', 'ông',
+            'qua', 'ra', 'rằng', 'rất', 'rồi', 'sau', 'sẽ', 'so', 'sự', 'tại', 'theo', 'thì', 'thế', 'tháng',
+            'thêm', 'tôi', 'trên', 'trong', 'trước', 'từ', 'tới', 'vào', 'vẫn', 'về', 'vì', 'việc', 'với',
+            'vừa', 'vậy', 'ấy', 'kia', 'đấy', 'nhằm', 'năm', 'khác', 'gần', 'luôn', 'đi', 'thành', 'chiếc',
+            'ngoài', 'dưới', 'giữa', 'phải', 'ta', 'chính', 'nhất', 'mới', 'đồng', 'thời', 'cách', 'vài'
+        ])
+    };
+
+    // Longest phrase considered, in tokens (Vietnamese words are built from syllables)
+    const MAX_PHRASE_LENGTH = {
+        english: 3,
+        vietnamese: 4
+    };
+
+    /**
+     * Rank the key phrases of a text.
+     * `stats` holds document frequencies of earlier analyses; without it plain term frequency is used.
+     */
+    function extractKeywords(text, options = {}) {
+        const language = global.BearPeekText.detectLanguage(text, options.language);
+        const limit = options.limit || DEFAULT_LIMIT;
+        const stats = options.stats || { documentCount: 0, frequencies: {} };
+
+        const candidates = collectCandidates(text, language);
+        const totalCount = Array.from(candidates.values()).reduce((sum, item) => sum + item.count, 0);
+        if (totalCount === 0) {
+            return [];
+        }
+
+        const scored = Array.from(candidates.values())
+            .map(item => {
+                const tf = item.adjustedCount / totalCount;
+                const df = stats.frequencies[item.term] || 0;
+                const idf = Math.log((stats.documentCount + 1) / (df + 1)) + 1;
+                // Multi-word phrases are more descriptive than single words
+                const lengthBoost = Math.sqrt(item.length);
+
+                return { ...item, score: tf * idf * lengthBoost };
+            })
+            .filter(item => item.adjustedCount > 0)
+            .sort((a, b) => b.score - a.score);
+
+        // Skip phrases overlapping one already picked ("chứng khoán" vs "thị trường chứng khoán")
+        const selected = [];
+        for (const item of scored) {
+            if (selected.length >= limit) break;
+            const overlaps = selected.some(picked =>
+                containsPhrase(picked.term, item.term) || containsPhrase(item.term, picked.term)
+            );
+            if (!overlaps) {
+                selected.push(item);
+            }
+        }
+
+        return selected.map(item => item.display);
+    }
+
+    /**
+     * Candidate terms with their counts, most common spelling and frequency
+     * not explained by a longer phrase containing them
+     */
+    function collectCandidates(text, language) {
+        const stopwords = STOPWORDS[language] || STOPWORDS.english;
+        const maxLength = MAX_PHRASE_LENGTH[language] || MAX_PHRASE_LENGTH.english;
+        const candidates = new Map();
+
+        splitChunks(text, stopwords).forEach(chunk => {
+            for (let start = 0; start < chunk.length; start++) {
+                for (let length = 1; length <= maxLength && start + length <= chunk.length; length++) {
+                    const words = chunk.slice(start, start + length);
+                    if (!isCandidate(words, language)) continue;
+
+                    const term = words.map(word => word.toLowerCase()).join(' ');
+                    const display = words.join(' ');
+                    const item = candidates.get(term) || { term, length, count: 0, forms: new Map() };
+
+                    item.count++;
+                    item.forms.set(display, (item.forms.get(display) || 0) + 1);
+                    candidates.set(term, item);
+                }
+            }
+        });
+
+        candidates.forEach(item => {
+            // Phrases seen once are noise, unless they are single words
+            if (item.length > 1 && item.count < 2) {
+                candidates.delete(item.term);
+            }
+        });
+
+        // How often each term occurs as part of a longer candidate phrase
+        const explained = new Map();
+        candidates.forEach(item => {
+            const words = item.term.split(' ');
+            for (let length = 1; length < words.length; length++) {
+                for (let start = 0; start + length <= words.length; start++) {
+                    const part = words.slice(start, start + length).join(' ');
+                    explained.set(part, Math.max(explained.get(part) || 0, item.count));
+                }
+            }
+        });
+
+        candidates.forEach(item => {
+            item.adjustedCount = item.count - (explained.get(item.term) || 0);
+            item.display = Array.from(item.forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+            delete item.forms;
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Runs of words between punctuation and stopwords
+     */
+    function splitChunks(text, stopwords) {
+        const chunks = [];
+
+        (text || '').split(PHRASE_BOUNDARY).forEach(segment => {
+            let chunk = [];
+            global.BearPeekText.splitWords(segment).forEach(word => {
+                if (stopwords.has(word.toLowerCase())) {
+                    if (chunk.length > 0) chunks.push(chunk);
+                    chunk = [];
+                } else {
+                    chunk.push(word);
+                }
+            });
+            if (chunk.length > 0) chunks.push(chunk);
+        });
+
+        return chunks;
+    }
+
+    function isCandidate(words, language) {
+        if (words.some(word => /^\p{N}+([.,]\p{N}+)*$/u.test(word))) {
+            return false;
+        }
+
+        if (words.length === 1) {
+            const word = words[0];
+            // Single Vietnamese syllables rarely carry meaning, except codes like "VN-Index" or "HPG"
+            if (language === 'vietnamese') {
+                return /^[\p{Lu}\p{N}-]{2,}$/u.test(word) || word.includes('-');
+            }
+            return word.length > 2;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether a phrase contains another on word boundaries
+     */
+    function containsPhrase(phrase, part) {
+        return ` ${phrase} `.includes(` ${part} `);
+    }
+
+    /**
+     * Distinct candidate terms of a document, for the document frequency table
+     */
+    function documentTerms(text, language) {
+        const detected = global.BearPeekText.detectLanguage(text, language);
+
+        return Array.from(collectCandidates(text, detected).values())
+            .filter(item => item.adjustedCount > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, MAX_TERMS_PER_DOCUMENT)
+            .map(item => item.term);
+    }
+
+    async function loadStats() {
+        const stored = await chrome.storage.local.get(STATS_KEY);
+        return stored[STATS_KEY] || { documentCount: 0, frequencies: {}, lastSeen: {} };
+    }
+
+    // Stats updates are serialized so concurrent analyses don't lose counts
+    let pendingUpdate = Promise.resolve();
+
+    /**
+     * Count a newly stored document in the frequency table.
+     * The table is a running corpus statistic; deleting an analysis does not change it.
+     */
+    function addDocument(text, language) {
+        const run = pendingUpdate.then(async () => {
+            const stats = await loadStats();
+            // Number of the last document each term was seen in (missing in tables stored before it was added)
+            const lastSeen = stats.lastSeen || {};
+
+            stats.documentCount++;
+            stats.added = (stats.added || 0) + 1;
+            documentTerms(text, language).forEach(term => {
+                stats.frequencies[term] = (stats.frequencies[term] || 0) + 1;
+                lastSeen[term] = stats.added;
+            });
+
+            if (stats.added % DECAY_INTERVAL === 0) {
+                stats.documentCount = Math.ceil(stats.documentCount / 2);
+                Object.keys(stats.frequencies).forEach(term => {
+                    stats.frequencies[term] = Math.floor(stats.frequencies[term] / 2);
+                });
+            }
+
+            // Keep the terms seen in the most documents, the most recently seen first among equals
+            const terms = Object.keys(stats.frequencies)
+                .filter(term => stats.frequencies[term] > 0)
+                .sort((a, b) => stats.frequencies[b] - stats.frequencies[a] || (lastSeen[b] || 0) - (lastSeen[a] || 0))
+                .slice(0, MAX_VOCABULARY);
+
+            stats.frequencies = Object.fromEntries(terms.map(term => [term, stats.frequencies[term]]));
+            stats.lastSeen = Object.fromEntries(terms.map(term => [term, lastSeen[term] || 0]));
+
+            await chrome.storage.local.set({ [STATS_KEY]: stats });
+        });
+
+        pendingUpdate = run.catch(() => {});
+        return run;
+    }
+
+    global.BearPeekKeywords = {
+        STATS_KEY,
+        STOPWORDS,
+        extractKeywords,
+        documentTerms,
+        loadStats,
+        addDocument
+    };
+})(globalThis);
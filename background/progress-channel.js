@@ -0,0 +1,153 @@
+/**
+ * Bear Peek Extension - Progress Channel
+ * Long-lived ports that stream job status and partial results to the popup
+ * (load after shared/messages.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Connected ports and what each one subscribed to
+    const subscribers = new Map();
+
+    // Latest status and partial result per job, replayed to ports that (re)connect
+    const lastStatus = new Map();
+    const partials = new Map();
+
+    let snapshotProvider = async () => ({});
+
+    /**
+     * Start accepting connections.
+     * `getSnapshot(subscription)` returns extra state sent when a port subscribes (e.g. the job list).
+     */
+    function init(getSnapshot) {
+        if (getSnapshot) {
+            snapshotProvider = getSnapshot;
+        }
+
+        chrome.runtime.onConnect.addListener(port => {
+            if (port.name !== global.BearPeekMessages.PROGRESS_PORT) return;
+
+            subscribers.set(port, { tabId: null, jobIds: new Set() });
+
+            port.onMessage.addListener(message => {
+                handlePortMessage(port, message).catch(error => {
+                    console.error('Progress channel message failed:', error);
+                    safePost(port, { type: 'error', ...global.BearPeekMessages.toErrorResponse(error) });
+                });
+            });
+
+            port.onDisconnect.addListener(() => {
+                subscribers.delete(port);
+            });
+        });
+    }
+
+    /**
+     * Messages from the popup: { version, type: 'subscribe', tabId?, jobId? }
+     */
+    async function handlePortMessage(port, message) {
+        const { ERROR_CODES, PROTOCOL_VERSION, createError } = global.BearPeekMessages;
+
+        if (message?.version !== PROTOCOL_VERSION) {
+            throw createError(ERROR_CODES.UNSUPPORTED_VERSION,
+                `Unsupported protocol version ${message?.version} (expected ${PROTOCOL_VERSION})`);
+        }
+        if (message.type !== 'subscribe') {
+            throw createError(ERROR_CODES.UNKNOWN_ACTION, `Unknown progress channel message: ${message.type}`);
+        }
+
+        const subscription = subscribers.get(port);
+        if (!subscription) return;
+
+        if (message.tabId !== undefined && message.tabId !== null) {
+            subscription.tabId = message.tabId;
+        }
+        if (message.jobId) {
+            subscription.jobIds.add(message.jobId);
+        }
+
+        // Catch up on everything that happened before this port subscribed
+        const snapshot = await snapshotProvider({ tabId: subscription.tabId, jobIds: Array.from(subscription.jobIds) });
+        const matching = entries => Array.from(entries.values()).filter(event => matches(subscription, event));
+
+        safePost(port, {
+            type: 'snapshot',
+            ...snapshot,
+            statuses: matching(lastStatus),
+            partials: matching(partials)
+        });
+    }
+
+    /**
+     * Job list changes go to every port
+     */
+    function publishJob(job) {
+        broadcast({ type: 'job', job: job }, () => true);
+
+        if (job.status !== 'queued' && job.status !== 'running') {
+            lastStatus.delete(job.id);
+            partials.delete(job.id);
+        }
+    }
+
+    /**
+     * Status of a job ({ jobId, tabId, status, message, progress })
+     */
+    function publishStatus(event) {
+        const message = { type: 'status', ...event };
+        lastStatus.set(event.jobId, message);
+        broadcast(message);
+    }
+
+    /**
+     * Partial result of a running job, e.g. the summary streamed so far ({ jobId, tabId, summary })
+     */
+    function publishPartial(event) {
+        const message = { type: 'partial', ...event };
+        partials.set(event.jobId, message);
+        broadcast(message);
+    }
+
+    /**
+     * Final outcome of a job ({ jobId, tabId, success, ... })
+     */
+    function publishCompleted(event) {
+        lastStatus.delete(event.jobId);
+        partials.delete(event.jobId);
+        broadcast({ type: 'completed', ...event });
+    }
+
+    function broadcast(message, filter = subscription => matches(subscription, message)) {
+        subscribers.forEach((subscription, port) => {
+            if (filter(subscription)) {
+                safePost(port, message);
+            }
+        });
+    }
+
+    /**
+     * Events reach ports subscribed to their job or their tab
+     */
+    function matches(subscription, event) {
+        return subscription.jobIds.has(event.jobId) ||
+            (event.tabId !== undefined && event.tabId !== null && event.tabId === subscription.tabId);
+    }
+
+    function safePost(port, message) {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            // The popup closed between the event and the post
+            subscribers.delete(port);
+        }
+    }
+
+    global.BearPeekProgressChannel = {
+        init,
+        publishJob,
+        publishStatus,
+        publishPartial,
+        publishCompleted
+    };
+})(globalThis);
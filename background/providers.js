@@ -0,0 +1,717 @@
+/**
+ * Bear Peek Extension - AI Providers
+ * Pluggable analysis backends used by the background service worker
+ * (load after shared/redaction.js, background/sentiment.js, background/keywords.js and background/summarizer.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Request timeout for remote providers
+    const REQUEST_TIMEOUT_MS = 30000;
+
+    // Longer content is analyzed in chunks of about this many characters and combined
+    const CHUNK_SIZE = 6000;
+
+    // Key topics kept after combining chunks
+    const MAX_TOPICS = 5;
+
+    // Target summary sizes for each summaryLength setting
+    const SUMMARY_LENGTHS = {
+        short: { sentences: 1, words: 50 },
+        medium: { sentences: 3, words: 120 },
+        long: { sentences: 5, words: 250 }
+    };
+
+    // Human readable names for the language setting
+    const LANGUAGE_NAMES = {
+        english: 'English',
+        vietnamese: 'Vietnamese'
+    };
+
+    /**
+     * Built-in offline provider based on simple text heuristics
+     */
+    const localProvider = {
+        id: 'local',
+        label: 'Local heuristic (offline)',
+        requiresApiKey: false,
+        defaultEndpoint: '',
+        defaultModel: '',
+
+        async analyze(content, context, settings) {
+            const length = getSummaryLength(settings);
+            const summary = global.BearPeekSummarizer.summarize(content, {
+                // Chunks keep extra candidates for the combined summary to choose from
+                sentenceCount: context.parts ? length.sentences * 2 : length.sentences,
+                language: settings.language
+            });
+
+            return {
+                summary: summary.summary,
+                summarySentences: summary.sentences,
+                keyTopics: global.BearPeekKeywords.extractKeywords(content, {
+                    language: settings.language,
+                    stats: context.keywordStats
+                }),
+                sentiment: global.BearPeekSentiment.analyze(content, settings.language)
+            };
+        }
+    };
+
+    /**
+     * Provider for OpenAI-compatible chat completion APIs
+     * (OpenAI, Azure proxies, Ollama, LM Studio, vLLM, ...)
+     */
+    const openAiProvider = {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        requiresApiKey: false,
+        defaultEndpoint: 'https://api.openai.com/v1/chat/completions',
+        defaultModel: 'gpt-4o-mini',
+
+        async analyze(content, context, settings) {
+            const prompt = buildAnalysisPrompt(content, context, settings);
+            const text = await this.complete(prompt, context, settings, context.onPartial && reportSummary(context));
+
+            if (typeof text !== 'string') {
+                throw new Error('OpenAI-compatible provider returned no message content');
+            }
+
+            return parseAnalysisResponse(text);
+        },
+
+        /**
+         * Send a system prompt and chat messages, returning the reply text.
+         * With `onText`, the reply is streamed and `onText` receives the text so far.
+         */
+        async complete(prompt, context, settings, onText) {
+            const headers = { 'Content-Type': 'application/json' };
+
+            if (settings.apiKey) {
+                headers.Authorization = `Bearer ${settings.apiKey}`;
+            }
+
+            const body = {
+                model: resolveModel(this, settings),
+                temperature: 0.2,
+                messages: [
+                    { role: 'system', content: prompt.system },
+                    ...toMessages(prompt)
+                ]
+            };
+            if (prompt.maxTokens) {
+                body.max_tokens = prompt.maxTokens;
+            }
+            const readText = response => response?.choices?.[0]?.message?.content;
+
+            return onText
+                ? await streamText(resolveEndpoint(this, settings), headers, body, context.signal, {
+                    readDelta: event => event?.choices?.[0]?.delta?.content,
+                    readText: readText
+                }, onText)
+                : readText(await postJson(resolveEndpoint(this, settings), headers, body, context.signal));
+        }
+    };
+
+    /**
+     * Provider for Anthropic-style messages APIs
+     */
+    const anthropicProvider = {
+        id: 'anthropic',
+        label: 'Anthropic',
+        requiresApiKey: true,
+        defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+        defaultModel: 'claude-3-5-haiku-latest',
+
+        async analyze(content, context, settings) {
+            const prompt = buildAnalysisPrompt(content, context, settings);
+            const text = await this.complete(prompt, context, settings, context.onPartial && reportSummary(context));
+
+            if (!text) {
+                throw new Error('Anthropic provider returned no text content');
+            }
+
+            return parseAnalysisResponse(text);
+        },
+
+        /**
+         * Send a system prompt and chat messages, returning the reply text (streamed to `onText` if given)
+         */
+        async complete(prompt, context, settings, onText) {
+            const headers = {
+                'Content-Type': 'application/json',
+                'x-api-key': settings.apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+            const body = {
+                model: resolveModel(this, settings),
+                max_tokens: prompt.maxTokens || 1024,
+                system: prompt.system,
+                messages: toMessages(prompt)
+            };
+            const readText = response => (response?.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+
+            return onText
+                ? await streamText(resolveEndpoint(this, settings), headers, body, context.signal, {
+                    readDelta: event => event?.type === 'content_block_delta' ? event.delta?.text : '',
+                    readText: readText
+                }, onText)
+                : readText(await postJson(resolveEndpoint(this, settings), headers, body, context.signal));
+        }
+    };
+
+    // Provider registry keyed by the aiProvider setting
+    const providers = {
+        [localProvider.id]: localProvider,
+        [openAiProvider.id]: openAiProvider,
+        [anthropicProvider.id]: anthropicProvider
+    };
+
+    /**
+     * Analyze content with the provider selected in settings.
+     * Falls back to the local provider when a remote provider fails,
+     * recording the failure in `providerError`.
+     */
+    async function analyze(content, context = {}, settings = {}) {
+        const provider = getProvider(settings.aiProvider);
+
+        if (provider !== localProvider && settings.apiKeyError) {
+            return runLocalFallback(content, context, settings, settings.apiKeyError);
+        }
+        if (provider.requiresApiKey && !settings.apiKey) {
+            return runLocalFallback(content, context, settings,
+                `${provider.label} requires an API key`);
+        }
+
+        try {
+            if (provider === localProvider) {
+                return {
+                    ...await provider.analyze(content, context, settings),
+                    provider: provider.id,
+                    model: resolveModel(provider, settings)
+                };
+            }
+
+            // Personal data is masked before anything leaves the browser
+            const options = global.BearPeekRedaction.getOptions(settings);
+            const redacted = global.BearPeekRedaction.redact(content, options);
+
+            const insights = await provider.analyze(redacted.text, {
+                ...context,
+                title: context.title && global.BearPeekRedaction.redact(context.title, options).text,
+                url: stripQuery(context.url)
+            }, settings);
+
+            // The lexicon breakdown is always computed locally; the provider only refines the label
+            insights.sentiment = global.BearPeekSentiment.refine(
+                global.BearPeekSentiment.analyze(content, settings.language),
+                insights.sentiment,
+                provider.id
+            );
+
+            return {
+                ...insights,
+                provider: provider.id,
+                model: resolveModel(provider, settings),
+                redaction: redacted.counts
+            };
+        } catch (error) {
+            // Cancelled analyses must not fall back to the local provider
+            if (provider === localProvider || context.signal?.aborted) {
+                throw error;
+            }
+
+            // Error replies sometimes echo the key back
+            const reason = redactKey(error.message, settings.apiKey);
+            console.error(`Provider "${provider.id}" failed, using local analysis:`, reason);
+            return runLocalFallback(content, context, settings, reason);
+        }
+    }
+
+    /**
+     * Send a free-form prompt ({ system, messages, maxTokens? }) to the remote provider selected in settings.
+     * Personal data in the prompt is masked first. Returns the reply `text` with the provider, model
+     * and masked counts, or null when the local provider is selected. Unlike analyze(), failures
+     * are thrown (with the key scrubbed) so the caller can pick its own fallback.
+     */
+    async function ask(prompt, context = {}, settings = {}) {
+        const provider = getProvider(settings.aiProvider);
+        if (provider === localProvider) {
+            return null;
+        }
+        if (settings.apiKeyError) {
+            throw new Error(settings.apiKeyError);
+        }
+        if (provider.requiresApiKey && !settings.apiKey) {
+            throw new Error(`${provider.label} requires an API key`);
+        }
+
+        const options = global.BearPeekRedaction.getOptions(settings);
+        const counts = [];
+        const mask = text => {
+            const redacted = global.BearPeekRedaction.redact(text, options);
+            counts.push(redacted.counts);
+            return redacted.text;
+        };
+        const redactedPrompt = {
+            ...prompt,
+            system: mask(prompt.system),
+            messages: prompt.messages.map(message => ({ role: message.role, content: mask(message.content) }))
+        };
+
+        try {
+            const onText = context.onPartial && (text => context.onPartial({ text: text }));
+            const text = await provider.complete(redactedPrompt, context, settings, onText);
+            if (!text) {
+                throw new Error(`${provider.label} returned no text`);
+            }
+
+            return {
+                text: text.trim(),
+                provider: provider.id,
+                model: resolveModel(provider, settings),
+                redaction: global.BearPeekRedaction.mergeCounts(counts)
+            };
+        } catch (error) {
+            if (context.signal?.aborted) {
+                throw error;
+            }
+            throw new Error(redactKey(error.message, settings.apiKey));
+        }
+    }
+
+    /**
+     * Analyze long content chunk by chunk (map) and combine the results (reduce).
+     * `onProgress` is called with { stage, completed, total } before each step;
+     * `context.onPartial` receives partial results ({ summary, keyTopics?, part?, parts? }) as they arrive.
+     */
+    async function analyzeChunked(content, context = {}, settings = {}, onProgress = () => {}) {
+        const chunks = global.BearPeekText.chunkText(content, CHUNK_SIZE);
+
+        if (chunks.length <= 1) {
+            return analyze(content, context, settings);
+        }
+
+        const results = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const part = { part: i + 1, parts: chunks.length };
+            context.signal?.throwIfAborted();
+            onProgress({ stage: 'chunk', completed: i, total: chunks.length });
+
+            results.push(await analyze(chunks[i].text, {
+                ...context,
+                ...part,
+                onPartial: context.onPartial && (partial => context.onPartial({ ...partial, ...part }))
+            }, settings));
+
+            // The finished part, with the topics found so far
+            context.onPartial?.({
+                summary: results[i].summary,
+                keyTopics: mergeTopics(results.map(result => result.keyTopics || [])),
+                ...part
+            });
+        }
+
+        context.signal?.throwIfAborted();
+        onProgress({ stage: 'combine', completed: chunks.length, total: chunks.length });
+        return combineChunkResults(content, chunks, results, context, settings);
+    }
+
+    /**
+     * Reduce step: one summary, topic list and sentiment for the whole content
+     */
+    async function combineChunkResults(content, chunks, results, context, settings) {
+        const remote = results.find(result => result.provider !== localProvider.id);
+        const combined = {
+            keyTopics: mergeTopics(results.map(result => result.keyTopics || [])),
+            sentiment: global.BearPeekSentiment.combine(results.map(result => result.sentiment)),
+            provider: remote ? remote.provider : localProvider.id,
+            model: remote ? remote.model : '',
+            chunkCount: chunks.length
+        };
+
+        if (results.some(result => result.redaction)) {
+            combined.redaction = global.BearPeekRedaction.mergeCounts(results.map(result => result.redaction));
+        }
+
+        if (results.every(result => Array.isArray(result.summarySentences))) {
+            // Local summaries: rank the sentences picked from every chunk against each other
+            const candidates = results.flatMap((result, i) => result.summarySentences.map(sentence => ({
+                ...sentence,
+                start: sentence.start + chunks[i].start,
+                end: sentence.end + chunks[i].start
+            })));
+
+            const sentenceStarts = global.BearPeekText.segmentSentences(content).map(sentence => sentence.start);
+            candidates.forEach(sentence => {
+                // Sentence number in the whole content rather than in its chunk
+                sentence.index = sentenceStarts.filter(start => start < sentence.start).length;
+            });
+
+            const language = global.BearPeekText.detectLanguage(content, settings.language);
+            combined.summarySentences = global.BearPeekSummarizer.selectSentences(
+                candidates, getSummaryLength(settings).sentences, language
+            );
+            combined.summary = combined.summarySentences.map(sentence => sentence.text).join(' ');
+        } else {
+            // Remote summaries: summarize the chunk summaries once more
+            const joined = results.map(result => result.summary).filter(Boolean).join('\n\n');
+            const reduced = await analyze(joined, { ...context, reduce: true }, settings);
+            combined.summary = reduced.summary;
+            if (reduced.providerError) {
+                combined.providerError = reduced.providerError;
+            }
+        }
+
+        const failed = results.find(result => result.providerError);
+        if (failed && !combined.providerError) {
+            combined.providerError = failed.providerError;
+        }
+
+        return combined;
+    }
+
+    /**
+     * Merge per-chunk topic lists, favoring topics ranked high in many chunks
+     */
+    function mergeTopics(topicLists) {
+        const scores = new Map();
+
+        topicLists.forEach(topics => {
+            topics.forEach((topic, rank) => {
+                const key = topic.toLowerCase();
+                const entry = scores.get(key) || { topic: topic, score: 0 };
+                entry.score += topics.length - rank;
+                scores.set(key, entry);
+            });
+        });
+
+        return Array.from(scores.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_TOPICS)
+            .map(entry => entry.topic);
+    }
+
+    /**
+     * Run the local provider on behalf of a remote provider that could not be used
+     */
+    async function runLocalFallback(content, context, settings, reason) {
+        const insights = await localProvider.analyze(content, context, settings);
+
+        return {
+            ...insights,
+            provider: localProvider.id,
+            model: '',
+            providerError: reason
+        };
+    }
+
+    /**
+     * Look up a provider by id, defaulting to the local provider
+     */
+    function getProvider(id) {
+        return providers[id] || localProvider;
+    }
+
+    /**
+     * Describe the available providers (for settings UIs)
+     */
+    function listProviders() {
+        return Object.values(providers).map(provider => ({
+            id: provider.id,
+            label: provider.label,
+            requiresApiKey: provider.requiresApiKey,
+            defaultEndpoint: provider.defaultEndpoint,
+            defaultModel: provider.defaultModel
+        }));
+    }
+
+    /**
+     * Page URL without its query and fragment, which can carry personal data
+     */
+    function stripQuery(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.origin}${parsed.pathname}`;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function redactKey(text, apiKey) {
+        return apiKey ? String(text).split(apiKey).join('[redacted]') : String(text);
+    }
+
+    function resolveEndpoint(provider, settings) {
+        return (settings.apiEndpoint || '').trim() || provider.defaultEndpoint;
+    }
+
+    function resolveModel(provider, settings) {
+        return (settings.apiModel || '').trim() || provider.defaultModel;
+    }
+
+    function getSummaryLength(settings) {
+        return SUMMARY_LENGTHS[settings.summaryLength] || SUMMARY_LENGTHS.medium;
+    }
+
+    /**
+     * Build system and user prompts honoring language and summary length
+     */
+    function buildAnalysisPrompt(content, context, settings) {
+        const length = getSummaryLength(settings);
+        const language = LANGUAGE_NAMES[settings.language] || LANGUAGE_NAMES.english;
+
+        const system = [
+            'You analyze web articles for a browser extension.',
+            context.part ? `The text is part ${context.part} of ${context.parts} of a longer article.` : '',
+            context.reduce
+                ? 'The text is a series of summaries of consecutive parts of one article; combine them into one summary.'
+                : '',
+            'Reply with a single JSON object and nothing else, using the keys:',
+            '"summary" (string), "keyTopics" (array of up to 5 short strings),',
+            '"sentiment" (one of "positive", "neutral", "negative").',
+            `Write the summary and topics in ${language}.`,
+            `Keep the summary to about ${length.sentences} sentence(s) and at most ${length.words} words.`
+        ].filter(Boolean).join(' ');
+
+        const user = [
+            context.title ? `Title: ${context.title}` : '',
+            context.url ? `URL: ${context.url}` : '',
+            '',
+            content
+        ].join('\n').trim();
+
+        return { system, user };
+    }
+
+    /**
+     * Parse the model reply, tolerating code fences and plain-text answers
+     */
+    function parseAnalysisResponse(text) {
+        const cleaned = text.trim()
+            .replace(/^```(?:json)?\s*/i, '')
+            .replace(/\s*```$/, '');
+
+        try {
+            const match = cleaned.match(/\{[\s\S]*\}/);
+            const parsed = JSON.parse(match ? match[0] : cleaned);
+
+            return {
+                summary: String(parsed.summary || '').trim(),
+                keyTopics: Array.isArray(parsed.keyTopics)
+                    ? parsed.keyTopics.map(topic => String(topic)).slice(0, 5)
+                    : [],
+                sentiment: global.BearPeekSentiment.LABELS.includes(parsed.sentiment)
+                    ? parsed.sentiment
+                    : null
+            };
+        } catch (error) {
+            // Model ignored the JSON instruction - keep its answer as the summary
+            return {
+                summary: cleaned,
+                keyTopics: [],
+                sentiment: null
+            };
+        }
+    }
+
+    /**
+     * Request a streamed reply, calling `onText` with the text so far after each chunk.
+     * `readDelta` extracts the text of one stream event; `readText` reads a reply
+     * from servers that answer with plain JSON instead of a stream.
+     */
+    async function streamText(url, headers, body, signal, { readDelta, readText }, onText) {
+        let text = '';
+
+        const response = await postStream(url, headers, { ...body, stream: true }, signal, event => {
+            const delta = readDelta(event);
+            if (!delta) return;
+
+            text += delta;
+            onText(text);
+        });
+
+        return response ? readText(response) : text;
+    }
+
+    /**
+     * Stream handler reporting the summary of an analysis reply as it is written
+     */
+    function reportSummary(context) {
+        let reported = '';
+
+        return text => {
+            const summary = extractPartialSummary(text);
+            if (summary && summary !== reported) {
+                reported = summary;
+                context.onPartial({ summary: summary });
+            }
+        };
+    }
+
+    /**
+     * Chat messages of a prompt: `messages`, or the single `user` prompt
+     */
+    function toMessages(prompt) {
+        return prompt.messages || [{ role: 'user', content: prompt.user }];
+    }
+
+    /**
+     * The summary written so far in an incomplete JSON reply.
+     * Replies that are not JSON are returned as they are.
+     */
+    function extractPartialSummary(text) {
+        const start = text.match(/"summary"\s*:\s*"/);
+        if (!start) {
+            return /^\s*[{`]/.test(text) ? '' : text.trim();
+        }
+
+        let summary = '';
+        for (let i = start.index + start[0].length; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') break;
+            if (char !== '\\') {
+                summary += char;
+                continue;
+            }
+
+            // Escape sequences may be cut off at the end of the text so far
+            const next = text[i + 1];
+            if (next === undefined) break;
+            if (next === 'u') {
+                const code = text.substring(i + 2, i + 6);
+                if (!/^[0-9a-fA-F]{4}$/.test(code)) break;
+                summary += String.fromCharCode(parseInt(code, 16));
+                i += 5;
+            } else {
+                summary += { n: '\n', t: '\t', r: '' }[next] ?? next;
+                i += 1;
+            }
+        }
+
+        return summary.trim();
+    }
+
+    /**
+     * POST a JSON body and read the reply as server-sent events, calling `onEvent`
+     * with each parsed `data:` payload. Returns null, or the parsed reply when the
+     * server answered with plain JSON. The timeout restarts whenever data arrives.
+     */
+    async function postStream(url, headers, body, signal, onEvent) {
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`Provider request failed (${response.status}): ${detail.substring(0, 200)}`);
+            }
+
+            if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+                return await response.json();
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for (;;) {
+                const { done, value } = await reader.read();
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = done ? '' : lines.pop();
+
+                lines.forEach(line => {
+                    const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+                    if (!payload || payload === '[DONE]') return;
+
+                    let event;
+                    try {
+                        event = JSON.parse(payload);
+                    } catch (error) {
+                        console.warn('Ignoring malformed stream event:', payload.substring(0, 100));
+                        return;
+                    }
+                    if (event.error) {
+                        throw new Error(`Provider stream failed: ${event.error.message || event.error.type || 'unknown error'}`);
+                    }
+                    onEvent(event);
+                });
+
+                if (done) return null;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(signal?.aborted
+                    ? 'Provider request cancelled'
+                    : `Provider request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * POST a JSON body and return the parsed JSON response.
+     * `signal` cancels the request (in addition to the timeout).
+     */
+    async function postJson(url, headers, body, signal) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`Provider request failed (${response.status}): ${detail.substring(0, 200)}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(signal?.aborted
+                    ? 'Provider request cancelled'
+                    : `Provider request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    global.BearPeekProviders = {
+        analyze,
+        analyzeChunked,
+        ask,
+        getProvider,
+        listProviders
+    };
+})(globalThis);
@@ -0,0 +1,240 @@
+/**
+ * Bear Peek Extension - Article Q&A
+ * Answers questions about a stored article with the configured AI provider, grounded in its numbered
+ * paragraphs and citing them. Offline (or when the provider fails) the best-matching passages are returned.
+ * (load after background/text.js, background/keywords.js and background/providers.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Article text sent to a remote provider; longer articles send the paragraphs that best match the question
+    const CONTEXT_CHARS = 12000;
+
+    // Earlier messages of the conversation sent along with a question
+    const MAX_HISTORY_MESSAGES = 6;
+
+    // Passages returned by the offline answer
+    const MAX_LOCAL_PASSAGES = 3;
+
+    // Length of the paragraph excerpt stored with a citation
+    const CITATION_EXCERPT_LENGTH = 300;
+
+    const MAX_QUESTION_LENGTH = 1000;
+
+    // BM25 parameters
+    const K1 = 1.2;
+    const B = 0.75;
+
+    const LANGUAGE_NAMES = {
+        english: 'English',
+        vietnamese: 'Vietnamese'
+    };
+
+    /**
+     * Answer a question about a stored analysis.
+     * `history` holds the earlier chat messages ({ role, content }).
+     * Returns the assistant message: { role, content, citations: [{ paragraph, text }], provider, model,
+     * providerError?, redaction? }.
+     */
+    async function ask(record, question, history = [], settings = {}, { signal } = {}) {
+        const text = (question || '').trim();
+        if (!text) {
+            throw new Error('Question must not be empty');
+        }
+        if (text.length > MAX_QUESTION_LENGTH) {
+            throw new Error(`Question is too long (max ${MAX_QUESTION_LENGTH} characters)`);
+        }
+
+        const paragraphs = getParagraphs(record.content);
+        if (paragraphs.length === 0) {
+            throw new Error('This analysis has no stored content to ask about');
+        }
+
+        const ranked = rankParagraphs(text, paragraphs);
+
+        try {
+            const passages = selectContext(paragraphs, ranked);
+            const prompt = buildPrompt(record, passages, text, history, settings);
+            const reply = await global.BearPeekProviders.ask(prompt, { signal }, settings);
+
+            if (!reply) {
+                return answerLocally(ranked, paragraphs);
+            }
+
+            const message = {
+                role: 'assistant',
+                content: reply.text,
+                citations: parseCitations(reply.text, paragraphs),
+                provider: reply.provider,
+                model: reply.model,
+                answeredAt: Date.now()
+            };
+            if (Object.keys(reply.redaction).length > 0) {
+                message.redaction = reply.redaction;
+            }
+            return message;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            console.error('Question answering failed, returning matching passages:', error.message);
+            return { ...answerLocally(ranked, paragraphs), providerError: error.message };
+        }
+    }
+
+    /**
+     * Numbered paragraphs of an article (numbers are 1-based and used in citations)
+     */
+    function getParagraphs(content) {
+        return global.BearPeekText.splitParagraphs(content).map((text, index) => ({
+            number: index + 1,
+            text: text
+        }));
+    }
+
+    /**
+     * Paragraphs ranked by BM25 against the question (accent-insensitive, stopwords ignored);
+     * only paragraphs sharing a term with the question are returned
+     */
+    function rankParagraphs(question, paragraphs) {
+        const terms = Array.from(new Set(queryTerms(question)));
+        if (terms.length === 0) return [];
+
+        const documents = paragraphs.map(paragraph => {
+            const tokens = foldedTokens(paragraph.text);
+            const frequencies = new Map();
+            tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+            return { paragraph, length: tokens.length, frequencies };
+        });
+        const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+        const idf = new Map(terms.map(term => {
+            const frequency = documents.filter(doc => doc.frequencies.has(term)).length;
+            return [term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))];
+        }));
+
+        return documents
+            .map(doc => ({
+                paragraph: doc.paragraph,
+                score: terms.reduce((sum, term) => {
+                    const tf = doc.frequencies.get(term) || 0;
+                    return sum + idf.get(term) * (tf * (K1 + 1)) /
+                        (tf + K1 * (1 - B + B * doc.length / averageLength));
+                }, 0)
+            }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    function queryTerms(question) {
+        const stopwords = global.BearPeekKeywords.STOPWORDS;
+        return global.BearPeekText.tokenize(question)
+            .filter(token => !stopwords.english.has(token) && !stopwords.vietnamese.has(token))
+            .map(token => global.BearPeekText.foldDiacritics(token));
+    }
+
+    function foldedTokens(text) {
+        return global.BearPeekText.splitWords(global.BearPeekText.foldDiacritics(text));
+    }
+
+    /**
+     * Paragraphs sent as grounding: the whole article when it fits, else the best-matching
+     * paragraphs (and the opening one for context) in article order
+     */
+    function selectContext(paragraphs, ranked) {
+        const total = paragraphs.reduce((sum, paragraph) => sum + paragraph.text.length, 0);
+        if (total <= CONTEXT_CHARS) {
+            return paragraphs;
+        }
+
+        const selected = new Set([paragraphs[0]]);
+        let length = paragraphs[0].text.length;
+
+        for (const { paragraph } of ranked) {
+            if (length + paragraph.text.length > CONTEXT_CHARS) continue;
+            selected.add(paragraph);
+            length += paragraph.text.length;
+        }
+
+        return paragraphs.filter(paragraph => selected.has(paragraph));
+    }
+
+    function buildPrompt(record, passages, question, history, settings) {
+        const language = LANGUAGE_NAMES[global.BearPeekText.detectLanguage(question, settings.language)] ||
+            LANGUAGE_NAMES.english;
+
+        const system = [
+            'You answer questions about one web article for a browser extension.',
+            'Use only the numbered paragraphs of the article below.',
+            'Cite the paragraphs supporting each statement with their numbers in square brackets, e.g. [2] or [3][5].',
+            'If the article does not answer the question, say so briefly.',
+            `Answer in ${language}, concisely.`,
+            '',
+            record.title ? `Title: ${record.title}` : '',
+            '',
+            passages.map(paragraph => `[${paragraph.number}] ${paragraph.text}`).join('\n\n')
+        ].join('\n').trim();
+
+        const messages = history
+            .filter(message => message.role === 'user' || message.role === 'assistant')
+            .slice(-MAX_HISTORY_MESSAGES)
+            .map(message => ({ role: message.role, content: message.content }));
+        messages.push({ role: 'user', content: question });
+
+        return { system, messages };
+    }
+
+    /**
+     * Paragraphs cited as [n] in an answer, in order of first citation
+     */
+    function parseCitations(answer, paragraphs) {
+        const numbers = new Set();
+        (answer.match(/\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g) || []).forEach(citation => {
+            citation.slice(1, -1).split(/\s*,\s*/).forEach(part => {
+                const [from, to = from] = part.split(/\s*[–-]\s*/).map(Number);
+                for (let number = from; number <= Math.min(to, from + 10); number++) {
+                    numbers.add(number);
+                }
+            });
+        });
+
+        return Array.from(numbers)
+            .map(number => paragraphs[number - 1])
+            .filter(Boolean)
+            .map(toCitation);
+    }
+
+    /**
+     * Offline answer: the passages matching the question best
+     */
+    function answerLocally(ranked, paragraphs) {
+        const best = ranked.slice(0, MAX_LOCAL_PASSAGES).map(item => item.paragraph);
+
+        return {
+            role: 'assistant',
+            content: best.length > 0
+                ? `These passages match your question best: ${best.map(paragraph => `[${paragraph.number}]`).join(' ')}`
+                : 'No passage of the article matches your question.',
+            // Whole passages, as they are the answer
+            citations: best.map(paragraph => ({ paragraph: paragraph.number, text: paragraph.text })),
+            provider: 'local',
+            model: '',
+            answeredAt: Date.now()
+        };
+    }
+
+    function toCitation(paragraph) {
+        const text = paragraph.text.length > CITATION_EXCERPT_LENGTH
+            ? `${paragraph.text.substring(0, CITATION_EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+            : paragraph.text;
+        return { paragraph: paragraph.number, text: text };
+    }
+
+    global.BearPeekQa = {
+        MAX_QUESTION_LENGTH,
+        ask,
+        getParagraphs,
+        rankParagraphs
+    };
+})(globalThis);
@@ -0,0 +1,355 @@
+/**
+ * Bear Peek Extension - Search Index
+ * Local inverted index over stored analyses (title, key topics, summary and content), updated as
+ * analyses are stored and removed. Matching ignores case and diacritics; results are ranked by BM25.
+ * (load after background/text.js and background/history-store.js)
+ */
+
+'use strict';
+
+(function (global) {
+    const INDEX_KEY = 'searchIndex';
+
+    // Bumped when tokenization or weighting changes; older indexes are rebuilt
+    const INDEX_VERSION = 1;
+
+    // Term weights per field: a match in the title counts three times a match in the content
+    const FIELD_WEIGHTS = {
+        title: 3,
+        keyTopics: 2.5,
+        summary: 2,
+        content: 1
+    };
+
+    // Distinct terms kept per analysis (the most frequent ones), to bound the index size
+    const MAX_TERMS_PER_DOCUMENT = 400;
+
+    // BM25 parameters
+    const K1 = 1.2;
+    const B = 0.75;
+
+    // Terms completed from the last word typed count a little less than exact matches
+    const PREFIX_WEIGHT = 0.8;
+
+    const DEFAULT_LIMIT = 20;
+    const MAX_LIMIT = 100;
+    const SNIPPET_RADIUS = 80;
+
+    // Index updates are serialized so concurrent stores don't lose documents
+    let pendingWrite = Promise.resolve();
+
+    function serialize(task) {
+        const run = pendingWrite.then(task, task);
+        pendingWrite = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Index a stored analysis (replacing an earlier version of it)
+     */
+    function add(record) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            indexRecord(index, record);
+            await saveIndex(index);
+        });
+    }
+
+    /**
+     * Drop analyses from the index
+     */
+    function remove(processIds) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            if (unindexRecords(index, processIds)) {
+                await saveIndex(index);
+            }
+        });
+    }
+
+    /**
+     * Search stored analyses.
+     * `query` words must all match (the last one also as a prefix, for search as you type);
+     * `domain`, `from`/`to` (timestamps), `sentiment`, `tag`, `collection` and `starred` filter the results.
+     * Without query words, matching analyses are listed most recent first.
+     * Results are history entries with a `score` and a `snippet` ({ text, matches }).
+     */
+    async function search({
+        query = '', domain, from, to, sentiment, tag, collection, starred, limit = DEFAULT_LIMIT
+    } = {}) {
+        const entries = await global.BearPeekHistoryStore.list();
+        const index = await syncIndex(entries);
+        domain = (domain || '').trim().toLowerCase();
+        limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+        const candidates = entries.filter(entry => {
+            if (domain && !global.BearPeekDomains.matchesDomain(entry.domain, domain)) return false;
+            if (from && entry.storedAt < from) return false;
+            if (to && entry.storedAt > to) return false;
+            if (sentiment && index.docs[entry.processId]?.sentiment !== sentiment) return false;
+            if (tag && !entry.tags.includes(tag.toLowerCase())) return false;
+            if (collection && !entry.collections.some(name => name.toLowerCase() === collection.toLowerCase())) {
+                return false;
+            }
+            if (starred && !entry.starred) return false;
+            return true;
+        });
+
+        const terms = tokenize(query);
+        if (terms.length === 0) {
+            return candidates.slice(0, limit).map(entry => ({ ...entry, score: 0, snippet: null }));
+        }
+
+        const prefix = /[\p{L}\p{N}]$/u.test(query);
+        const scores = scoreDocuments(index, terms, prefix);
+
+        const ranked = candidates
+            .filter(entry => scores.has(entry.processId))
+            .map(entry => ({ ...entry, score: Math.round(scores.get(entry.processId) * 1000) / 1000 }))
+            .sort((a, b) => b.score - a.score || b.storedAt - a.storedAt)
+            .slice(0, limit);
+
+        return Promise.all(ranked.map(async entry => {
+            const record = await global.BearPeekHistoryStore.get(entry.processId).catch(() => null);
+            return { ...entry, snippet: record ? createSnippet(record, terms, prefix) : null };
+        }));
+    }
+
+    /**
+     * BM25 score of every document matching all terms
+     */
+    function scoreDocuments(index, terms, prefix) {
+        const documentCount = Object.keys(index.docs).length;
+        const averageLength = Object.values(index.docs)
+            .reduce((sum, doc) => sum + doc.length, 0) / Math.max(documentCount, 1);
+        const lengths = new Map(Object.values(index.docs).map(doc => [String(doc.id), doc.length]));
+        const processIds = new Map(Object.entries(index.docs).map(([processId, doc]) => [String(doc.id), processId]));
+
+        let scores = null;
+
+        terms.forEach((term, position) => {
+            const matches = new Map();
+            const expand = prefix && position === terms.length - 1;
+
+            Object.keys(index.postings)
+                .filter(candidate => candidate === term || (expand && candidate.startsWith(term)))
+                .forEach(candidate => {
+                    const postings = index.postings[candidate];
+                    const frequency = Object.keys(postings).length;
+                    const idf = Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5));
+                    const weight = candidate === term ? 1 : PREFIX_WEIGHT;
+
+                    Object.entries(postings).forEach(([docId, tf]) => {
+                        const length = lengths.get(docId) || averageLength;
+                        const score = weight * idf * (tf * (K1 + 1)) /
+                            (tf + K1 * (1 - B + B * length / averageLength));
+                        matches.set(docId, Math.max(matches.get(docId) || 0, score));
+                    });
+                });
+
+            // Every term has to match
+            if (scores === null) {
+                scores = matches;
+            } else {
+                scores = new Map(Array.from(scores)
+                    .filter(([docId]) => matches.has(docId))
+                    .map(([docId, score]) => [docId, score + matches.get(docId)]));
+            }
+        });
+
+        return new Map(Array.from(scores || [])
+            .filter(([docId]) => processIds.has(docId))
+            .map(([docId, score]) => [processIds.get(docId), score]));
+    }
+
+    /**
+     * Passage of the summary or content around the first query match, with the matched ranges
+     */
+    function createSnippet(record, terms, prefix) {
+        // Only the last term may match the start of a longer word
+        const isWhole = position => !prefix || position < terms.length - 1;
+        const sources = [record.summary, record.content].filter(text => typeof text === 'string' && text);
+
+        for (const source of sources) {
+            const text = source.normalize('NFC');
+            const folded = global.BearPeekText.foldDiacritics(text);
+            const positions = terms
+                .map((term, position) => findTerm(folded, term, 0, isWhole(position)))
+                .filter(position => position !== null);
+            if (positions.length === 0) continue;
+
+            const first = Math.min(...positions);
+            let start = Math.max(0, first - SNIPPET_RADIUS);
+            let end = Math.min(text.length, first + SNIPPET_RADIUS);
+
+            // Don't cut words in half
+            if (start > 0) {
+                const space = text.indexOf(' ', start);
+                if (space !== -1 && space < first) start = space + 1;
+            }
+            if (end < text.length) {
+                const space = text.lastIndexOf(' ', end);
+                if (space > first) end = space;
+            }
+
+            const passage = text.substring(start, end).replace(/\s+/g, ' ');
+            const foldedPassage = global.BearPeekText.foldDiacritics(passage);
+            const matches = [];
+
+            terms.forEach((term, index) => {
+                let position = findTerm(foldedPassage, term, 0, isWhole(index));
+                while (position !== null) {
+                    const wordEnd = foldedPassage.slice(position).search(/[^\p{L}\p{N}]/u);
+                    matches.push({ start: position, end: wordEnd === -1 ? passage.length : position + wordEnd });
+                    position = findTerm(foldedPassage, term, position + term.length, isWhole(index));
+                }
+            });
+
+            return {
+                text: `${start > 0 ? '…' : ''}${passage}${end < text.length ? '…' : ''}`,
+                // Offsets shift by the leading ellipsis
+                matches: mergeRanges(matches).map(range => ({
+                    start: range.start + (start > 0 ? 1 : 0),
+                    end: range.end + (start > 0 ? 1 : 0)
+                }))
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Position of a term at the start of a word (or as a `whole` word), or null
+     */
+    function findTerm(folded, term, from, whole) {
+        const isWordChar = char => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+        let position = folded.indexOf(term, from);
+        while (position !== -1) {
+            if (!isWordChar(folded[position - 1]) && !(whole && isWordChar(folded[position + term.length]))) {
+                return position;
+            }
+            position = folded.indexOf(term, position + 1);
+        }
+        return null;
+    }
+
+    function mergeRanges(ranges) {
+        const merged = [];
+        ranges.sort((a, b) => a.start - b.start).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Bring the index in line with the history: index analyses it misses (e.g. stored before
+     * search existed) and drop ones that are gone
+     */
+    function syncIndex(entries) {
+        return serialize(async () => {
+            const index = await loadIndex();
+            const live = new Set(entries.map(entry => entry.processId));
+            let changed = unindexRecords(index, Object.keys(index.docs).filter(processId => !live.has(processId)));
+
+            const missing = entries.filter(entry => !index.docs[entry.processId]);
+            for (const entry of missing) {
+                try {
+                    indexRecord(index, await global.BearPeekHistoryStore.get(entry.processId));
+                    changed = true;
+                } catch (error) {
+                    console.error('Failed to index analysis:', entry.processId, error);
+                }
+            }
+
+            if (changed) {
+                await saveIndex(index);
+                if (missing.length > 0) {
+                    console.log(`Search index updated with ${missing.length} stored analyses`);
+                }
+            }
+            return index;
+        });
+    }
+
+    function indexRecord(index, record) {
+        unindexRecords(index, [record.processId]);
+
+        const frequencies = {};
+        let length = 0;
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const value = Array.isArray(record[field]) ? record[field].join(' ') : record[field];
+            tokenize(value).forEach(term => {
+                frequencies[term] = (frequencies[term] || 0) + weight;
+                length++;
+            });
+        });
+
+        const id = index.nextId++;
+        index.docs[record.processId] = {
+            id: id,
+            length: length,
+            sentiment: record.sentiment?.label || null
+        };
+
+        Object.entries(frequencies)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_TERMS_PER_DOCUMENT)
+            .forEach(([term, frequency]) => {
+                index.postings[term] = index.postings[term] || {};
+                index.postings[term][id] = Math.round(frequency * 10) / 10;
+            });
+    }
+
+    /**
+     * Remove documents; returns whether anything was removed
+     */
+    function unindexRecords(index, processIds) {
+        const ids = processIds
+            .filter(processId => index.docs[processId])
+            .map(processId => String(index.docs[processId].id));
+        if (ids.length === 0) return false;
+
+        processIds.forEach(processId => delete index.docs[processId]);
+        Object.keys(index.postings).forEach(term => {
+            ids.forEach(id => delete index.postings[term][id]);
+            if (Object.keys(index.postings[term]).length === 0) {
+                delete index.postings[term];
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Accent-insensitive lowercase terms
+     */
+    function tokenize(text) {
+        return global.BearPeekText.splitWords(global.BearPeekText.foldDiacritics(text || ''));
+    }
+
+    async function loadIndex() {
+        const stored = await chrome.storage.local.get(INDEX_KEY);
+        const index = stored[INDEX_KEY];
+
+        if (!index || index.version !== INDEX_VERSION) {
+            // Filled from the history by syncIndex
+            return { version: INDEX_VERSION, nextId: 1, docs: {}, postings: {} };
+        }
+        return index;
+    }
+
+    async function saveIndex(index) {
+        await chrome.storage.local.set({ [INDEX_KEY]: index });
+    }
+
+    global.BearPeekSearchIndex = {
+        INDEX_KEY,
+        add,
+        remove,
+        search
+    };
+})(globalThis);
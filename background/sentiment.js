@@ -0,0 +1,329 @@
+/**
+ * Bear Peek Extension - Sentiment Analysis
+ * Offline lexicon-based sentiment for English and Vietnamese with negation and intensifiers
+ * (load after background/text.js)
+ */
+
+'use strict';
+
+(function (global) {
+    const LABELS = ['positive', 'neutral', 'negative'];
+
+    // Compound scores within this distance of zero are neutral
+    const NEUTRAL_THRESHOLD = 0.1;
+
+    // Normalization constant for compound scores (as in VADER)
+    const NORMALIZATION_ALPHA = 15;
+
+    // Multiplier applied to a negated term
+    const NEGATION_FACTOR = -0.75;
+
+    // How many tokens before a term a negator or intensifier may appear
+    const MODIFIER_WINDOW = 2;
+
+    // Longest lexicon entry, in tokens (Vietnamese terms are multi-syllable)
+    const MAX_TERM_LENGTH = 3;
+
+    const EXCERPT_LENGTH = 80;
+
+    // Term weights from -3 (very negative) to 3 (very positive)
+    const LEXICONS = {
+        english: {
+            terms: {
+                // Positive
+                good: 2, great: 3, excellent: 3, outstanding: 3, amazing: 3, wonderful: 3, fantastic: 3,
+                positive: 2, success: 2, successful: 2, succeed: 2, win: 2, wins: 2, won: 2, winner: 2,
+                gain: 2, gains: 2, growth: 2, grow: 1, grows: 1, growing: 1, improve: 2, improved: 2,
+                improvement: 2, improving: 2, benefit: 2, benefits: 2, beneficial: 2, profit: 2,
+                profitable: 2, profits: 2, record: 1, strong: 2, stronger: 2, robust: 2, boost: 2,
+                boosted: 2, rise: 1, rises: 1, rising: 1, rally: 2, rebound: 2, recovery: 2, recover: 2,
+                happy: 3, glad: 2, pleased: 2, love: 3, like: 1, enjoy: 2, best: 3, better: 2,
+                opportunity: 2, opportunities: 2, hope: 2, hopeful: 2, optimistic: 2, optimism: 2,
+                confident: 2, confidence: 2, support: 1, supported: 1, praise: 2, praised: 2,
+                innovative: 2, innovation: 2, breakthrough: 3, efficient: 2, effective: 2, safe: 1,
+                stable: 1, stability: 1, progress: 2, achieve: 2, achieved: 2, achievement: 2,
+                celebrate: 3, celebrated: 3, approve: 2, approved: 2, welcome: 2, welcomed: 2,
+                impressive: 3, favorable: 2, favourable: 2, thrive: 3, thriving: 3, secure: 1,
+                'well received': 2, 'step forward': 2, 'on track': 1,
+                // Negative
+                bad: -2, poor: -2, terrible: -3, awful: -3, horrible: -3, worst: -3, worse: -2,
+                negative: -2, fail: -2, fails: -2, failed: -2, failure: -2, loss: -2, losses: -2,
+                lose: -2, lost: -2, decline: -2, declined: -2, declining: -2, drop: -1, dropped: -1,
+                fall: -1, fell: -1, falling: -1, plunge: -3, plunged: -3, slump: -2, crash: -3,
+                crisis: -3, risk: -1, risks: -1, risky: -2, threat: -2, threats: -2, danger: -2,
+                dangerous: -2, concern: -1, concerns: -1, concerned: -2, worry: -2, worried: -2,
+                worries: -2, fear: -2, fears: -2, afraid: -2, problem: -2, problems: -2, issue: -1,
+                weak: -2, weaker: -2, weakness: -2, debt: -1, fraud: -3, scandal: -3, corruption: -3,
+                crime: -3, attack: -2, attacked: -2, war: -3, death: -3, dead: -3, killed: -3,
+                injured: -2, damage: -2, damaged: -2, disaster: -3, victim: -2, victims: -2,
+                angry: -3, anger: -3, sad: -2, hate: -3, criticism: -2, criticized: -2, criticised: -2,
+                controversy: -2, controversial: -2, delay: -1, delayed: -1, shortage: -2,
+                recession: -3, inflation: -1, bankruptcy: -3, bankrupt: -3, layoffs: -2, unemployment: -2,
+                volatile: -1, uncertainty: -2, uncertain: -1, pessimistic: -2, collapse: -3,
+                collapsed: -3, warning: -2, warned: -1, violation: -2, penalty: -2, fined: -2,
+                'sell off': -2, 'downward pressure': -2
+            },
+            negators: ['not', 'no', 'never', 'without', 'hardly', 'barely', 'neither', 'nor', 'cannot', 'nothing'],
+            intensifiers: {
+                very: 1.5, extremely: 2, really: 1.3, highly: 1.5, so: 1.3, too: 1.3, most: 1.5,
+                especially: 1.4, particularly: 1.4, incredibly: 1.8, deeply: 1.5, totally: 1.5,
+                slightly: 0.5, somewhat: 0.7, little: 0.6, quite: 1.2, fairly: 0.8, rather: 0.8
+            },
+            // Constructions that look like negation but are not
+            nonNegating: ['no doubt', 'not only', 'no less']
+        },
+        vietnamese: {
+            terms: {
+                // Positive
+                'tốt': 2, 'tốt đẹp': 3, 'tuyệt vời': 3, 'xuất sắc': 3, 'tích cực': 2, 'thành công': 2,
+                'hiệu quả': 2, 'tăng trưởng': 2, 'phát triển': 1, 'khởi sắc': 2, 'bứt phá': 2,
+                'lợi nhuận': 1, 'có lãi': 2, 'lãi lớn': 2, 'tăng điểm': 2, 'tăng trần': 2, 'phục hồi': 2,
+                'hồi phục': 2, 'ổn định': 1, 'vững chắc': 2, 'mạnh mẽ': 2, 'thuận lợi': 2, 'lạc quan': 2,
+                'kỳ vọng': 1, 'hy vọng': 2, 'hi vọng': 2, 'cơ hội': 2, 'hấp dẫn': 2, 'ấn tượng': 2,
+                'kỷ lục': 1, 'vượt kế hoạch': 2, 'hoàn thành': 1, 'cải thiện': 2, 'nâng cao': 1,
+                'hài lòng': 2, 'vui mừng': 3, 'hạnh phúc': 3, 'yêu thích': 2, 'ủng hộ': 1,
+                'đánh giá cao': 2, 'khen ngợi': 2, 'an toàn': 1, 'bền vững': 2, 'đột phá': 3,
+                'sáng tạo': 2, 'hưởng lợi': 2, 'lợi ích': 2, 'thắng': 2, 'chiến thắng': 3, 'vượt trội': 2,
+                'khả quan': 2, 'sôi động': 1, 'tin tưởng': 2, 'đẹp': 1, 'hay': 1, 'thịnh vượng': 3,
+                // Negative
+                'xấu': -2, 'tệ': -2, 'tồi tệ': -3, 'kém': -2, 'tiêu cực': -2, 'thất bại': -2,
+                'thua lỗ': -3, 'lỗ': -2, 'sụt giảm': -2, 'giảm điểm': -2, 'giảm sàn': -2, 'lao dốc': -3,
+                'suy giảm': -2, 'suy thoái': -3, 'khủng hoảng': -3, 'rủi ro': -1, 'nguy cơ': -2,
+                'nguy hiểm': -2, 'lo ngại': -2, 'lo lắng': -2, 'lo sợ': -2, 'bất ổn': -2, 'khó khăn': -2,
+                'thách thức': -1, 'áp lực': -1, 'nợ xấu': -2, 'phá sản': -3, 'vỡ nợ': -3, 'gian lận': -3,
+                'lừa đảo': -3, 'tham nhũng': -3, 'vi phạm': -2, 'sai phạm': -2, 'xử phạt': -2,
+                'bị phạt': -2, 'khởi tố': -2, 'bắt giữ': -2, 'tai nạn': -3, 'thiệt hại': -2,
+                'thiệt mạng': -3, 'tử vong': -3, 'bị thương': -2, 'thảm họa': -3, 'chiến tranh': -3,
+                'tấn công': -2, 'bán tháo': -2, 'đình trệ': -2, 'ảm đạm': -2, 'chậm lại': -1,
+                'trì hoãn': -1, 'thiếu hụt': -2, 'lạm phát': -1, 'thất nghiệp': -2, 'cắt giảm': -1,
+                'biến động': -1, 'chỉ trích': -2, 'phản đối': -2, 'bức xúc': -2, 'tức giận': -3,
+                'buồn': -2, 'đáng tiếc': -2, 'cảnh báo': -1, 'ô nhiễm': -2, 'thua': -2, 'yếu': -1,
+                'yếu kém': -2, 'đáng lo': -2, 'bi quan': -2, 'sụp đổ': -3, 'tranh cãi': -1
+            },
+            negators: ['không', 'chẳng', 'chả', 'chưa', 'đừng', 'không hề', 'chưa hề', 'chẳng hề', 'chưa từng', 'không còn'],
+            intensifiers: {
+                'rất': 1.5, 'cực kỳ': 2, 'cực kì': 2, 'vô cùng': 2, 'hết sức': 1.8, 'quá': 1.4,
+                'đặc biệt': 1.4, 'thật sự': 1.3, 'thực sự': 1.3, 'khá': 1.2, 'hơi': 0.6, 'tương đối': 0.8,
+                'mạnh': 1.3, 'nhẹ': 0.6
+            },
+            // Intensifiers placed after the term ("tốt lắm", "tệ quá")
+            postIntensifiers: { 'lắm': 1.3, 'quá': 1.4, 'nhất': 1.6, 'mạnh': 1.3, 'nhẹ': 0.6 },
+            nonNegating: ['hàng không', 'không khí', 'không gian', 'không chỉ', 'không những', 'hết sức', 'hết hạn']
+        }
+    };
+
+    /**
+     * Analyze a text and return the overall sentiment with a per-paragraph breakdown.
+     * The language is detected from the text; `language` is used when detection is inconclusive.
+     */
+    function analyze(text, language = 'english') {
+        const detected = global.BearPeekText.detectLanguage(text, language);
+        const lexicon = LEXICONS[detected] || LEXICONS.english;
+
+        const paragraphs = global.BearPeekText.splitParagraphs(text).map((paragraph, index) => {
+            const result = scoreText(paragraph, lexicon);
+            return {
+                index: index,
+                score: round(result.score),
+                label: toLabel(result.score),
+                excerpt: paragraph.length > EXCERPT_LENGTH
+                    ? `${paragraph.substring(0, EXCERPT_LENGTH).trim()}…`
+                    : paragraph,
+                terms: result.terms.slice(0, 5),
+                weight: result.terms.length
+            };
+        });
+
+        // Paragraphs without sentiment terms don't dilute the overall score
+        const totalWeight = paragraphs.reduce((sum, paragraph) => sum + paragraph.weight, 0);
+        const score = totalWeight > 0
+            ? paragraphs.reduce((sum, paragraph) => sum + paragraph.score * paragraph.weight, 0) / totalWeight
+            : 0;
+
+        return {
+            label: toLabel(score),
+            score: round(score),
+            language: detected,
+            source: 'lexicon',
+            matches: totalWeight,
+            counts: {
+                positive: paragraphs.filter(paragraph => paragraph.label === 'positive').length,
+                neutral: paragraphs.filter(paragraph => paragraph.label === 'neutral').length,
+                negative: paragraphs.filter(paragraph => paragraph.label === 'negative').length
+            },
+            paragraphs: paragraphs.map(({ weight, ...paragraph }) => paragraph)
+        };
+    }
+
+    /**
+     * Score a paragraph clause by clause so negation does not leak across punctuation
+     */
+    function scoreText(text, lexicon) {
+        const terms = [];
+        let total = 0;
+
+        text.split(/[,;:.!?…()"“”]+|\s[-–—]\s/).forEach(clause => {
+            const tokens = global.BearPeekText.tokenize(clause);
+            let i = 0;
+
+            while (i < tokens.length) {
+                const match = matchTerm(tokens, i, lexicon.terms);
+                if (!match) {
+                    i++;
+                    continue;
+                }
+
+                const value = match.weight * getModifier(tokens, i, match.length, lexicon);
+                total += value;
+                terms.push(match.term);
+                i += match.length;
+            }
+        });
+
+        return {
+            score: total / Math.sqrt(total * total + NORMALIZATION_ALPHA),
+            terms: terms
+        };
+    }
+
+    /**
+     * Longest lexicon term starting at a token position
+     */
+    function matchTerm(tokens, start, entries) {
+        for (let length = Math.min(MAX_TERM_LENGTH, tokens.length - start); length > 0; length--) {
+            const term = tokens.slice(start, start + length).join(' ');
+            if (Object.prototype.hasOwnProperty.call(entries, term)) {
+                return { term: term, weight: entries[term], length: length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Combined effect of negators and intensifiers around a matched term
+     */
+    function getModifier(tokens, start, length, lexicon) {
+        let modifier = 1;
+        let negated = false;
+
+        for (let offset = 1; offset <= MODIFIER_WINDOW && start - offset >= 0; offset++) {
+            const position = start - offset;
+            const single = tokens[position];
+            const pair = position > 0 ? `${tokens[position - 1]} ${single}` : '';
+
+            if (isNonNegating(tokens, position, lexicon)) {
+                continue;
+            }
+
+            // Two-token modifiers ("không hề", "cực kỳ") consume the token before them as well
+            if (lexicon.negators.includes(pair)) {
+                negated = !negated;
+                offset++;
+            } else if (lexicon.intensifiers[pair]) {
+                modifier *= lexicon.intensifiers[pair];
+                offset++;
+            } else if (lexicon.negators.includes(single) || /n['’]t$/.test(single)) {
+                negated = !negated;
+            } else if (lexicon.intensifiers[single]) {
+                modifier *= lexicon.intensifiers[single];
+            }
+        }
+
+        const next = tokens[start + length];
+        if (lexicon.postIntensifiers && lexicon.postIntensifiers[next]) {
+            modifier *= lexicon.postIntensifiers[next];
+        }
+
+        return negated ? modifier * NEGATION_FACTOR : modifier;
+    }
+
+    /**
+     * Whether the token at a position belongs to a phrase that only looks negating
+     */
+    function isNonNegating(tokens, position, lexicon) {
+        const previous = position > 0 ? `${tokens[position - 1]} ${tokens[position]}` : '';
+        const next = position + 1 < tokens.length ? `${tokens[position]} ${tokens[position + 1]}` : '';
+        return lexicon.nonNegating.includes(previous) || lexicon.nonNegating.includes(next);
+    }
+
+    /**
+     * Let an AI provider's label override the lexicon label, keeping the local breakdown
+     */
+    function refine(local, providerLabel, providerId) {
+        if (!LABELS.includes(providerLabel)) {
+            return local;
+        }
+
+        return {
+            ...local,
+            label: providerLabel,
+            lexiconLabel: local.label,
+            source: providerId
+        };
+    }
+
+    /**
+     * Combine the results of consecutive parts of one text (chunked analysis)
+     */
+    function combine(results) {
+        if (results.length === 1) {
+            return results[0];
+        }
+
+        const matches = results.reduce((sum, result) => sum + (result.matches || 0), 0);
+        const score = matches > 0
+            ? results.reduce((sum, result) => sum + result.score * (result.matches || 0), 0) / matches
+            : 0;
+
+        let paragraphIndex = 0;
+        const paragraphs = results.flatMap(result =>
+            result.paragraphs.map(paragraph => ({ ...paragraph, index: paragraphIndex++ }))
+        );
+
+        const combined = {
+            label: toLabel(score),
+            score: round(score),
+            language: results[0].language,
+            source: 'lexicon',
+            matches: matches,
+            counts: {
+                positive: paragraphs.filter(paragraph => paragraph.label === 'positive').length,
+                neutral: paragraphs.filter(paragraph => paragraph.label === 'neutral').length,
+                negative: paragraphs.filter(paragraph => paragraph.label === 'negative').length
+            },
+            paragraphs: paragraphs
+        };
+
+        // Parts refined by a provider decide the label by majority
+        const refined = results.filter(result => result.source !== 'lexicon');
+        if (refined.length === 0) {
+            return combined;
+        }
+
+        const votes = {};
+        refined.forEach(result => {
+            votes[result.label] = (votes[result.label] || 0) + 1;
+        });
+        const [winner, winnerVotes] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+        const tied = Object.values(votes).filter(count => count === winnerVotes).length > 1;
+
+        return refine(combined, tied ? 'neutral' : winner, refined[0].source);
+    }
+
+    function toLabel(score) {
+        if (score >= NEUTRAL_THRESHOLD) return 'positive';
+        if (score <= -NEUTRAL_THRESHOLD) return 'negative';
+        return 'neutral';
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    global.BearPeekSentiment = {
+        LABELS,
+        analyze,
+        refine,
+        combine
+    };
+})(globalThis);
@@ -0,0 +1,158 @@
+/**
+ * Bear Peek Extension - Extractive Summarizer
+ * TextRank over a sentence similarity graph; selected sentences keep their original order and offsets
+ * (load after background/text.js and background/keywords.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // PageRank parameters
+    const DAMPING = 0.85;
+    const MAX_ITERATIONS = 50;
+    const CONVERGENCE = 0.0001;
+
+    // Sentences outside this word range make poor summary sentences
+    const MIN_SENTENCE_WORDS = 5;
+    const MAX_SENTENCE_WORDS = 80;
+
+    const MIN_CONTENT_LENGTH = 50;
+
+    /**
+     * Pick the `sentenceCount` most central sentences of a text.
+     * Returns the summary text and the chosen sentences with their positions:
+     * `index` (sentence number), `start`/`end` (character offsets in the text) and `score`.
+     */
+    function summarize(text, options = {}) {
+        const sentenceCount = options.sentenceCount || 3;
+        const source = typeof text === 'string' ? text : String(text || '');
+
+        if (source.trim().length < MIN_CONTENT_LENGTH) {
+            return { summary: 'Content too short to summarize.', sentences: [] };
+        }
+
+        const language = global.BearPeekText.detectLanguage(source, options.language);
+        const sentences = global.BearPeekText.segmentSentences(source)
+            .map((sentence, index) => ({ ...sentence, index: index }));
+
+        const chosen = selectSentences(sentences, sentenceCount, language);
+        if (chosen.length === 0) {
+            return { summary: 'No clear sentences found for summary.', sentences: [] };
+        }
+
+        return {
+            summary: chosen.map(sentence => sentence.text).join(' '),
+            sentences: chosen
+        };
+    }
+
+    /**
+     * Rank sentences ({ text, index, start, end }) and return the top ones in `index` order.
+     * Also used to combine the sentences picked from each chunk of a long text.
+     */
+    function selectSentences(sentences, sentenceCount, language) {
+        const stopwords = global.BearPeekKeywords.STOPWORDS[language] || global.BearPeekKeywords.STOPWORDS.english;
+
+        const prepared = sentences
+            .map(sentence => {
+                const tokens = global.BearPeekText.tokenize(sentence.text);
+                return {
+                    ...sentence,
+                    wordCount: tokens.length,
+                    terms: new Set(tokens.filter(token => !stopwords.has(token)))
+                };
+            })
+            .filter(sentence =>
+                sentence.wordCount >= MIN_SENTENCE_WORDS && sentence.wordCount <= MAX_SENTENCE_WORDS
+            );
+
+        // Prefer complete sentences over headings, captions and list fragments
+        const complete = prepared.filter(sentence => /[.!?…"”]$/.test(sentence.text));
+        const candidates = complete.length > 0 ? complete : prepared;
+
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const scores = rankSentences(candidates);
+
+        return candidates
+            .map((sentence, position) => ({ ...sentence, score: scores[position] }))
+            // Ties go to the earlier sentence, which in news is usually the lead
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, sentenceCount)
+            .sort((a, b) => a.index - b.index)
+            .map(sentence => ({
+                text: sentence.text,
+                index: sentence.index,
+                start: sentence.start,
+                end: sentence.end,
+                score: Math.round(sentence.score * 10000) / 10000
+            }));
+    }
+
+    /**
+     * TextRank: PageRank over sentences weighted by their word overlap
+     */
+    function rankSentences(sentences) {
+        const count = sentences.length;
+        const weights = sentences.map(() => new Array(count).fill(0));
+        const totals = new Array(count).fill(0);
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const weight = similarity(sentences[i].terms, sentences[j].terms);
+                weights[i][j] = weight;
+                weights[j][i] = weight;
+                totals[i] += weight;
+                totals[j] += weight;
+            }
+        }
+
+        let scores = new Array(count).fill(1 / count);
+
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const next = new Array(count).fill((1 - DAMPING) / count);
+
+            for (let j = 0; j < count; j++) {
+                if (totals[j] === 0) {
+                    // Sentences sharing no words spread their score evenly
+                    for (let i = 0; i < count; i++) next[i] += DAMPING * scores[j] / count;
+                    continue;
+                }
+                for (let i = 0; i < count; i++) {
+                    if (weights[j][i] > 0) {
+                        next[i] += DAMPING * scores[j] * weights[j][i] / totals[j];
+                    }
+                }
+            }
+
+            const change = next.reduce((sum, value, i) => sum + Math.abs(value - scores[i]), 0);
+            scores = next;
+            if (change < CONVERGENCE) break;
+        }
+
+        return scores;
+    }
+
+    /**
+     * Sentence similarity from the original TextRank paper:
+     * shared words normalized by the log of the sentence lengths
+     */
+    function similarity(a, b) {
+        if (a.size < 2 || b.size < 2) return 0;
+
+        let shared = 0;
+        const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+        smaller.forEach(term => {
+            if (larger.has(term)) shared++;
+        });
+
+        return shared / (Math.log(a.size) + Math.log(b.size));
+    }
+
+    global.BearPeekSummarizer = {
+        summarize,
+        selectSentences
+    };
+})(globalThis);
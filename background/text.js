@@ -0,0 +1,210 @@
+/**
+ * Bear Peek Extension - Text Utilities
+ * Language detection, paragraph/sentence splitting, tokenization and diacritic folding for local analysis and search
+ */
+
+'use strict';
+
+(function (global) {
+    // Letters only used by Vietnamese (base letters and tone-marked vowels)
+    const VIETNAMESE_CHARS = /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gi;
+
+    // Share of Vietnamese-specific letters above which text is treated as Vietnamese
+    const VIETNAMESE_THRESHOLD = 0.03;
+
+    // Abbreviations followed by a period that does not end the sentence (English and Vietnamese)
+    const ABBREVIATIONS = new Set([
+        'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'inc', 'ltd', 'corp', 'co', 'no',
+        'fig', 'gen', 'gov', 'sen', 'rep', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept',
+        'oct', 'nov', 'dec', 'approx', 'est', 'tp', 'ths', 'ts', 'pgs', 'gs', 'bs', 'ks', 'q', 'p', 'tt'
+    ]);
+
+    /**
+     * Guess the language of a text: 'vietnamese' or 'english'
+     */
+    function detectLanguage(text, fallback = 'english') {
+        const letters = (text || '').match(/\p{L}/gu);
+        if (!letters || letters.length < 20) {
+            return fallback;
+        }
+
+        const vietnamese = (text.match(VIETNAMESE_CHARS) || []).length;
+        return vietnamese / letters.length >= VIETNAMESE_THRESHOLD ? 'vietnamese' : 'english';
+    }
+
+    /**
+     * Paragraphs as produced by extraction (blocks separated by blank lines)
+     */
+    function splitParagraphs(text) {
+        return (text || '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Split text into sentences with their character offsets.
+     * Decimals ("3.5%", "1.000 tỷ"), abbreviations ("Mr.", "TP.") and initials don't end a sentence;
+     * line breaks always do.
+     */
+    function segmentSentences(text) {
+        const source = text || '';
+        const sentences = [];
+        const boundary = /[.!?…]+["”’')\]]*[ \t]+(?=["“'(\[\p{Lu}\p{N}])|\s*\n\s*/gu;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(source)) !== null) {
+            const end = match.index + match[0].trimEnd().length;
+            if (!match[0].includes('\n') && isAbbreviation(source.substring(start, match.index + 1))) {
+                continue;
+            }
+
+            pushSentence(sentences, source, start, end);
+            start = match.index + match[0].length;
+        }
+
+        pushSentence(sentences, source, start, source.length);
+        return sentences;
+    }
+
+    function pushSentence(sentences, source, start, end) {
+        const raw = source.substring(start, end);
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+
+        if (trimmed) {
+            sentences.push({
+                text: trimmed.replace(/\s+/g, ' '),
+                start: start + leading,
+                end: start + leading + trimmed.length
+            });
+        }
+    }
+
+    /**
+     * Whether a sentence candidate ends with an abbreviation or an initial rather than a full stop
+     */
+    function isAbbreviation(candidate) {
+        const lastWord = (candidate.match(/(\S+)\.$/u) || [])[1];
+        if (!lastWord) return false;
+
+        return ABBREVIATIONS.has(lastWord.toLowerCase()) || /^\p{Lu}$/u.test(lastWord) ||
+            /^(\p{L}\.)+\p{L}$/u.test(lastWord);
+    }
+
+    /**
+     * Sentence texts without offsets
+     */
+    function splitSentences(text) {
+        return segmentSentences(text).map(sentence => sentence.text);
+    }
+
+    /**
+     * Word tokens in their original case (letters, digits, inner apostrophes and hyphens).
+     * Vietnamese syllables come out as separate tokens.
+     */
+    function splitWords(text) {
+        return (text || '')
+            .normalize('NFC')
+            .match(/[\p{L}\p{N}]+(?:['’\-][\p{L}\p{N}]+)*/gu) || [];
+    }
+
+    /**
+     * Split text into consecutive chunks of at most `maxLength` characters.
+     * Chunks end at paragraph breaks where possible, then at sentence ends, then at spaces.
+     * Each chunk is a slice of the text: `text`, `start` and `end` offsets.
+     */
+    function chunkText(text, maxLength) {
+        const source = text || '';
+        const chunks = [];
+        let start = 0;
+
+        while (start < source.length) {
+            let cut = source.length;
+
+            if (source.length - start > maxLength) {
+                const window = source.substring(start, start + maxLength);
+                cut = start + findCut(window);
+            }
+
+            const slice = source.substring(start, cut);
+            const leading = slice.length - slice.trimStart().length;
+            const trimmed = slice.trim();
+
+            if (trimmed) {
+                chunks.push({
+                    text: trimmed,
+                    start: start + leading,
+                    end: start + leading + trimmed.length
+                });
+            }
+            start = cut;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Best place to end a chunk inside a window of text
+     */
+    function findCut(window) {
+        // Keep at least half a chunk so cuts don't produce tiny chunks
+        const minimum = Math.floor(window.length / 2);
+
+        const paragraphEnd = lastMatchEnd(window, /\n\s*\n/g);
+        if (paragraphEnd > minimum) return paragraphEnd;
+
+        const sentences = segmentSentences(window);
+        // The last sentence may continue past the window
+        if (sentences.length > 1) {
+            const sentenceEnd = sentences[sentences.length - 2].end;
+            if (sentenceEnd > minimum) return sentenceEnd;
+        }
+
+        const spaceEnd = lastMatchEnd(window, /\s+/g);
+        return spaceEnd > minimum ? spaceEnd : window.length;
+    }
+
+    function lastMatchEnd(text, pattern) {
+        let end = -1;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            end = match.index + match[0].length;
+        }
+        return end;
+    }
+
+    /**
+     * Lowercase word tokens
+     */
+    function tokenize(text) {
+        return splitWords(text).map(word => word.toLowerCase());
+    }
+
+    /**
+     * Lowercase text without diacritics ("Đà Nẵng" -> "da nang") for accent-insensitive matching.
+     * Characters are folded one by one, so offsets in the folded text match the NFC text.
+     */
+    function foldDiacritics(text) {
+        return (text || '').normalize('NFC').replace(/[^a-z0-9\s]/g, foldChar);
+    }
+
+    function foldChar(char) {
+        const lower = char.toLowerCase();
+        const folded = lower.normalize('NFD').replace(/\p{M}/gu, '').replace('đ', 'd');
+        if (folded.length === 1) return folded;
+        return lower.length === 1 ? lower : char;
+    }
+
+    global.BearPeekText = {
+        detectLanguage,
+        foldDiacritics,
+        splitParagraphs,
+        segmentSentences,
+        splitSentences,
+        splitWords,
+        chunkText,
+        tokenize
+    };
+})(globalThis);
@@ -0,0 +1,217 @@
+/**
+ * Bear Peek Extension - Translator
+ * Translates a stored article and its summary paragraph by paragraph with the configured AI provider.
+ * Translations are cached per URL and target language until the article text changes.
+ * (load after background/text.js and background/providers.js)
+ */
+
+'use strict';
+
+(function (global) {
+    const CACHE_KEY = 'translationCache';
+
+    // Translations kept; the least recently translated are dropped first
+    const MAX_CACHED_TRANSLATIONS = 30;
+
+    // Source text sent per request, so replies stay within the provider's output limit
+    const BATCH_CHARS = 3000;
+    const BATCH_MAX_TOKENS = 4096;
+
+    const LANGUAGE_NAMES = {
+        english: 'English',
+        vietnamese: 'Vietnamese'
+    };
+
+    // Cache updates are serialized so concurrent translations don't drop each other
+    let pendingWrite = Promise.resolve();
+
+    function serialize(task) {
+        const run = pendingWrite.then(task, task);
+        pendingWrite = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Translate a stored analysis (title, summary and content paragraphs) into `language`.
+     * A cached translation of the same text is returned unless `refresh` is set.
+     * `onProgress` receives { stage: 'translate', completed, total } before each request.
+     */
+    async function translate(record, language, settings = {}, { refresh = false, signal, onProgress = () => {} } = {}) {
+        if (!LANGUAGE_NAMES[language]) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
+
+        const paragraphs = global.BearPeekText.splitParagraphs(record.content);
+        if (paragraphs.length === 0) {
+            throw new Error('This analysis has no stored content to translate');
+        }
+
+        const key = getCacheKey(record, language);
+        const sourceHash = fingerprint([record.title, record.summary, record.content].join('\n'));
+        if (!refresh) {
+            const cached = await getCached(record, language);
+            if (cached) return cached;
+        }
+
+        // Passages already in the target language are kept as they are
+        const items = [
+            { id: 't', text: record.title || '' },
+            { id: 's', text: record.summary || '' },
+            ...paragraphs.map((text, index) => ({ id: String(index + 1), text: text }))
+        ].filter(item => item.text && global.BearPeekText.detectLanguage(item.text, '') !== language);
+
+        const translations = {};
+        const counts = [];
+        let reply = null;
+        const batches = createBatches(items);
+
+        for (let i = 0; i < batches.length; i++) {
+            signal?.throwIfAborted();
+            onProgress({ stage: 'translate', completed: i, total: batches.length });
+
+            reply = await global.BearPeekProviders.ask(buildPrompt(batches[i], language), { signal }, settings);
+            if (!reply) {
+                throw new Error('Translation needs an AI provider; choose one in Settings');
+            }
+
+            Object.assign(translations, parseTranslations(reply.text, batches[i]));
+            counts.push(reply.redaction);
+        }
+
+        const entry = {
+            url: record.url || '',
+            language: language,
+            sourceHash: sourceHash,
+            title: translations.t || null,
+            summary: translations.s || null,
+            // null where the paragraph was already in the target language (or came back untranslated)
+            paragraphs: paragraphs.map((text, index) => translations[String(index + 1)] || null),
+            provider: reply?.provider || null,
+            model: reply?.model || '',
+            redaction: global.BearPeekRedaction.mergeCounts(counts),
+            translatedAt: Date.now()
+        };
+
+        await serialize(async () => {
+            const cache = await loadCache();
+            cache[key] = entry;
+
+            // Oldest first
+            Object.keys(cache)
+                .sort((a, b) => cache[a].translatedAt - cache[b].translatedAt)
+                .slice(0, Math.max(0, Object.keys(cache).length - MAX_CACHED_TRANSLATIONS))
+                .forEach(oldKey => delete cache[oldKey]);
+
+            await chrome.storage.local.set({ [CACHE_KEY]: cache });
+        });
+
+        console.log(`Translated ${items.length} passages into ${LANGUAGE_NAMES[language]}:`, entry.url);
+        return { ...entry, cached: false };
+    }
+
+    /**
+     * Cached translation of a stored analysis, if its text hasn't changed since
+     */
+    async function getCached(record, language) {
+        const cache = await loadCache();
+        const entry = cache[getCacheKey(record, language)];
+        const sourceHash = fingerprint([record.title, record.summary, record.content].join('\n'));
+
+        return entry && entry.sourceHash === sourceHash ? { ...entry, cached: true } : null;
+    }
+
+    /**
+     * Articles are cached by URL (without the fragment); analyses of selected text by analysis
+     */
+    function getCacheKey(record, language) {
+        const url = (record.url || '').split('#')[0];
+        return `${url || `analysis:${record.processId}`}|${language}`;
+    }
+
+    /**
+     * Passages grouped into requests of at most BATCH_CHARS (a longer passage goes alone)
+     */
+    function createBatches(items) {
+        const batches = [];
+        let current = [];
+        let length = 0;
+
+        items.forEach(item => {
+            if (current.length > 0 && length + item.text.length > BATCH_CHARS) {
+                batches.push(current);
+                current = [];
+                length = 0;
+            }
+            current.push(item);
+            length += item.text.length;
+        });
+        if (current.length > 0) batches.push(current);
+
+        return batches;
+    }
+
+    function buildPrompt(batch, language) {
+        const source = {};
+        batch.forEach(item => (source[item.id] = item.text));
+
+        return {
+            system: [
+                `Translate passages of a web article into ${LANGUAGE_NAMES[language]}.`,
+                'The user sends a JSON object mapping passage ids to text.',
+                'Reply with only a JSON object mapping the same ids to their translations.',
+                'Translate faithfully and completely; keep names, numbers, ticker symbols and placeholders',
+                'in square brackets unchanged; do not add notes.'
+            ].join(' '),
+            messages: [{ role: 'user', content: JSON.stringify(source) }],
+            maxTokens: BATCH_MAX_TOKENS
+        };
+    }
+
+    /**
+     * Translations of a batch from the reply (only ids that were sent are kept)
+     */
+    function parseTranslations(text, batch) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        let parsed;
+
+        try {
+            parsed = JSON.parse(text.substring(start, end + 1));
+        } catch (error) {
+            throw new Error('The AI provider did not return the translation in the expected format');
+        }
+
+        const translations = {};
+        batch.forEach(item => {
+            const value = parsed?.[item.id];
+            if (typeof value === 'string' && value.trim()) {
+                translations[item.id] = value.trim();
+            }
+        });
+        return translations;
+    }
+
+    /**
+     * Short hash identifying a text version (FNV-1a)
+     */
+    function fingerprint(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${text.length}:${(hash >>> 0).toString(16)}`;
+    }
+
+    async function loadCache() {
+        const stored = await chrome.storage.local.get(CACHE_KEY);
+        return stored[CACHE_KEY] || {};
+    }
+
+    global.BearPeekTranslator = {
+        CACHE_KEY,
+        LANGUAGE_NAMES,
+        translate,
+        getCached
+    };
+})(globalThis);
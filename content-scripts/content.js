@@ -5,458 +5,589 @@
 
 'use strict';
 
-console.log('Bear Peek smart content script loaded on:', window.location.href);
+// Everything lives in this scope so that injecting the script again (e.g. from the popup) doesn't redeclare it
+(function () {
+    console.log('Bear Peek smart content script loaded on:', window.location.href);
 
-// Prevent double injection
-if (window.bearPeekLoaded) {
-    console.log('Bear Peek already loaded, skipping...');
-} else {
+    // Prevent double injection
+    if (window.bearPeekLoaded) {
+        console.log('Bear Peek already loaded, skipping...');
+        return;
+    }
     window.bearPeekLoaded = true;
     
-    // Listen for messages from popup
+    // Minimum content score for trusting the scored candidate over generic selectors
+    const MIN_READABILITY_SCORE = 20;
+
+    // Auto-extraction: wait for the page to settle and skip pages that are too short to analyze
+    const AUTO_EXTRACT_SETTLE_DELAY = 1500;
+    const AUTO_EXTRACT_MAX_DELAY = 6000;
+    const AUTO_EXTRACT_MIN_LENGTH = 500;
+
+    // How often the URL is compared to catch history.pushState/replaceState navigations
+    const AUTO_EXTRACT_URL_CHECK_INTERVAL = 1000;
+
+    // Listen for messages from popup; messages meant for other listeners are left alone
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (!BearPeekMessages.isRequestFor(request, 'content')) {
+            return false;
+        }
         console.log('Content script received message:', request);
         
-        if (request.action === 'extractContent') {
-            try {
-                const content = extractArticleContent();
-                sendResponse({ success: true, data: content });
-            } catch (error) {
-                console.error('Content extraction error:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        } else {
-            sendResponse({ success: false, error: 'Unknown action' });
+        const invalid = BearPeekMessages.validateRequest(request, 'content');
+        if (invalid) {
+            sendResponse(BearPeekMessages.toErrorResponse(invalid));
+            return false;
         }
+        
+        extractIfAllowed()
+            .then(content => {
+                sendResponse(BearPeekMessages.toResponse(content));
+            })
+            .catch(error => {
+                console.error('Content extraction error:', error);
+                sendResponse(BearPeekMessages.toErrorResponse(error));
+            });
+        
+        // Return true to indicate async response
+        return true;
     });
-}
 
-/**
- * Smart article content extraction
- */
-function extractArticleContent() {
-    console.log('Starting smart content extraction...');
-    
-    // Get the domain to apply specific rules
-    const domain = window.location.hostname.toLowerCase();
-    
-    // Extract title
-    const title = extractTitle();
-    
-    // Extract main content
-    const content = extractMainContent(domain);
-    
-    // Extract metadata
-    const metadata = extractMetadata();
-    
-    const result = {
-        content: content,
-        metadata: {
-            ...metadata,
-            title: title,
-            url: window.location.href,
-            domain: domain,
-            contentLength: content.length,
-            extractedAt: new Date().toISOString()
-        }
-    };
-    
-    console.log('Extraction result:', {
-        titleLength: title.length,
-        contentLength: content.length,
-        domain: domain
-    });
-    
-    return result;
-}
+    initAutoExtract();
 
-/**
- * Extract article title with multiple fallback strategies
- */
-function extractTitle() {
-    // Try different title selectors in order of preference
-    const titleSelectors = [
-        'h1.article-title',
-        'h1.post-title',
-        'h1.entry-title',
-        'h1[class*="title"]',
-        '.article-header h1',
-        '.post-header h1',
-        'article h1',
-        'h1',
-        '[class*="headline"] h1',
-        '[class*="title"] h1'
-    ];
-    
-    for (const selector of titleSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim()) {
-            console.log('Found title with selector:', selector);
-            return element.textContent.trim();
+    /**
+     * Extract the page unless its domain policy blocks Bear Peek (checked here too, as the
+     * popup or another caller may have evaluated an outdated policy)
+     */
+    async function extractIfAllowed() {
+        const settings = await chrome.storage.sync.get(BearPeekDomainPolicy.POLICY_KEYS);
+        const policy = BearPeekDomainPolicy.evaluate(window.location.href, settings);
+        if (!policy.allowed) {
+            throw BearPeekMessages.createError(BearPeekMessages.ERROR_CODES.POLICY_BLOCKED, policy.reason);
         }
+        return extractArticleContent();
     }
-    
-    // Fallback to page title
-    return document.title || 'Untitled Article';
-}
 
-/**
- * Extract main article content with domain-specific and generic strategies
- */
-function extractMainContent(domain) {
-    let content = '';
-    
-    // Domain-specific extraction rules
-    if (domain.includes('cafef.vn')) {
-        content = extractCafefContent();
-    } else if (domain.includes('vnexpress.net')) {
-        content = extractVnExpressContent();
-    } else if (domain.includes('tuoitre.vn')) {
-        content = extractTuoitreContent();
-    } else if (domain.includes('dantri.com.vn')) {
-        content = extractDantriContent();
-    } else if (domain.includes('thanhnien.vn')) {
-        content = extractThanhnienContent();
-    }
-    
-    // If domain-specific extraction failed, use generic method
-    if (!content || content.length < 200) {
-        console.log('Domain-specific extraction failed, using generic method');
-        content = extractGenericContent();
+    /**
+     * Analyze article pages automatically when the autoExtract setting is on and the domain policy allows it.
+     * Single-page apps are followed by watching for URL changes: pushState/replaceState fire no event the
+     * content script can see, so the URL is compared on every batch of DOM changes and on a timer.
+     */
+    function initAutoExtract() {
+        const state = {
+            enabled: false,
+            settings: {},
+            currentUrl: window.location.href,
+            analyzedUrls: new Set(),
+            timer: null,
+            scheduledAt: 0,
+            observer: null,
+            watchedUrl: window.location.href,
+            urlTimer: null
+        };
+        
+        // Debounce DOM changes, but don't let a page that never stops changing postpone forever
+        const schedule = () => {
+            if (state.timer && Date.now() - state.scheduledAt > AUTO_EXTRACT_MAX_DELAY) return;
+            if (!state.timer) state.scheduledAt = Date.now();
+            
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                checkPage(state);
+            }, AUTO_EXTRACT_SETTLE_DELAY);
+        };
+        
+        // A new URL restarts the wait, so the new page settles before it is checked
+        const watchUrl = () => {
+            if (window.location.href === state.watchedUrl) return false;
+            
+            state.watchedUrl = window.location.href;
+            clearTimeout(state.timer);
+            state.timer = null;
+            schedule();
+            return true;
+        };
+        
+        const applySettings = settings => {
+            state.settings = settings;
+            state.enabled = settings.autoExtract === true &&
+                BearPeekDomainPolicy.evaluate(window.location.href, settings).allowed;
+            
+            if (state.enabled && !state.observer) {
+                state.observer = new MutationObserver(() => watchUrl() || schedule());
+                state.observer.observe(document.documentElement, { childList: true, subtree: true });
+                state.watchedUrl = window.location.href;
+                state.urlTimer = setInterval(watchUrl, AUTO_EXTRACT_URL_CHECK_INTERVAL);
+                window.addEventListener('popstate', schedule);
+                window.addEventListener('hashchange', schedule);
+                schedule();
+            } else if (!state.enabled && state.observer) {
+                state.observer.disconnect();
+                state.observer = null;
+                clearInterval(state.urlTimer);
+                state.urlTimer = null;
+                window.removeEventListener('popstate', schedule);
+                window.removeEventListener('hashchange', schedule);
+                clearTimeout(state.timer);
+                state.timer = null;
+            }
+        };
+        
+        chrome.storage.sync.get(BearPeekDomainPolicy.POLICY_KEYS)
+            .then(settings => {
+                // Start once the page has loaded so late content is included
+                if (document.readyState === 'complete') {
+                    applySettings(settings);
+                } else {
+                    window.addEventListener('load', () => applySettings(settings), { once: true });
+                }
+            })
+            .catch(error => console.error('Failed to read auto-extract settings:', error));
+        
+        // Toggling the setting or editing the site lists takes effect without reloading the page
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const keys = BearPeekDomainPolicy.POLICY_KEYS.filter(key => changes[key]);
+            if (areaName !== 'sync' || keys.length === 0) return;
+            
+            const settings = { ...state.settings };
+            keys.forEach(key => (settings[key] = changes[key].newValue));
+            applySettings(settings);
+        });
     }
-    
-    // Clean and format the content
-    return cleanContent(content);
-}
 
-/**
- * Extract content from CafeF.vn
- */
-function extractCafefContent() {
-    const selectors = [
-        '.edittor-content',
-        '.article-content',
-        '.detail-content',
-        '.content-detail',
-        '#detail-content'
-    ];
-    
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            console.log('CafeF content found with selector:', selector);
-            return extractTextFromElement(element);
+    /**
+     * Extract and analyze the current page if it is an article not analyzed yet
+     */
+    async function checkPage(state) {
+        const url = window.location.href;
+        
+        if (url !== state.currentUrl) {
+            state.currentUrl = url;
+            BearPeekMessages.sendToBackground('contentChanged', { url: url })
+                .catch(error => console.warn('Failed to report page change:', error));
+        }
+        
+        if (!BearPeekDomainPolicy.evaluate(url, state.settings).autoExtract) {
+            return;
+        }
+        
+        const hostname = window.location.hostname.toLowerCase();
+        
+        const pageKey = url.split('#')[0];
+        if (state.analyzedUrls.has(pageKey)) {
+            return;
+        }
+        
+        try {
+            const rules = await BearPeekSiteRules.loadRules();
+            const rule = BearPeekSiteRules.findRule(rules, hostname);
+            if (!isArticlePage(rule)) {
+                return;
+            }
+            
+            const extracted = await extractArticleContent();
+            if (extracted.content.length < AUTO_EXTRACT_MIN_LENGTH) {
+                return;
+            }
+            
+            state.analyzedUrls.add(pageKey);
+            console.log('Auto-extracting article:', url);
+            
+            await BearPeekMessages.sendToBackground('processContent', {
+                content: extracted,
+                url: url,
+                title: extracted.metadata.title,
+                trigger: 'auto'
+            });
+        } catch (error) {
+            console.error('Auto-extraction failed:', error);
         }
     }
-    
-    return '';
-}
 
-/**
- * Extract content from VnExpress.net
- */
-function extractVnExpressContent() {
-    const selectors = [
-        '.fck_detail',
-        '.content_detail',
-        '.Normal',
-        'article .content'
-    ];
-    
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            console.log('VnExpress content found with selector:', selector);
-            return extractTextFromElement(element);
+    /**
+     * Heuristic for article pages: article metadata, an <article> element or a site rule
+     */
+    function isArticlePage(rule) {
+        if (rule) {
+            return true;
         }
+        
+        const ogType = document.querySelector('meta[property="og:type"]');
+        if (ogType && /article/i.test(ogType.getAttribute('content') || '')) {
+            return true;
+        }
+        
+        const articleTypes = /"@type"\s*:\s*(\[[^\]]*)?"(Article|NewsArticle|BlogPosting|ReportageNewsArticle)"/;
+        const hasArticleSchema = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .some(script => articleTypes.test(script.textContent));
+        
+        return hasArticleSchema || document.querySelector('article') !== null;
     }
-    
-    return '';
-}
 
-/**
- * Extract content from Tuoitre.vn
- */
-function extractTuoitreContent() {
-    const selectors = [
-        '.detail-content',
-        '.article-content',
-        '#main-detail-body'
-    ];
-    
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            console.log('Tuoitre content found with selector:', selector);
-            return extractTextFromElement(element);
-        }
+    /**
+     * Smart article content extraction
+     */
+    async function extractArticleContent() {
+        console.log('Starting smart content extraction...');
+        
+        // Get the domain to apply specific rules
+        const domain = window.location.hostname.toLowerCase();
+        const rules = await BearPeekSiteRules.loadRules();
+        const rule = BearPeekSiteRules.findRule(rules, domain);
+        
+        // Extract title
+        const title = extractTitle(rule);
+        
+        // Extract main content
+        const { content, markdown, extraction } = extractMainContent(rule);
+        
+        // Extract metadata
+        const metadata = extractMetadata();
+        
+        const result = {
+            content: content,
+            markdown: markdown,
+            metadata: {
+                ...metadata,
+                title: title,
+                url: window.location.href,
+                domain: domain,
+                siteRule: rule ? rule.id : null,
+                extraction: extraction,
+                contentLength: content.length,
+                extractedAt: new Date().toISOString()
+            }
+        };
+        
+        console.log('Extraction result:', {
+            titleLength: title.length,
+            contentLength: content.length,
+            domain: domain,
+            method: extraction.method
+        });
+        
+        return result;
     }
-    
-    return '';
-}
 
-/**
- * Extract content from Dantri.com.vn
- */
-function extractDantriContent() {
-    const selectors = [
-        '.singular-content',
-        '.detail-content',
-        'article .content'
-    ];
-    
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            console.log('Dantri content found with selector:', selector);
-            return extractTextFromElement(element);
+    /**
+     * Extract article title with multiple fallback strategies
+     */
+    function extractTitle(rule) {
+        // Try the site rule's selectors first, then generic ones in order of preference
+        const titleSelectors = [
+            ...(rule ? rule.titleSelectors : []),
+            'h1.article-title',
+            'h1.post-title',
+            'h1.entry-title',
+            'h1[class*="title"]',
+            '.article-header h1',
+            '.post-header h1',
+            'article h1',
+            'h1',
+            '[class*="headline"] h1',
+            '[class*="title"] h1'
+        ];
+        
+        for (const selector of titleSelectors) {
+            try {
+                const element = document.querySelector(selector);
+                if (element && element.textContent.trim()) {
+                    console.log('Found title with selector:', selector);
+                    return element.textContent.trim();
+                }
+            } catch (e) {
+                console.warn('Invalid title selector:', selector);
+            }
         }
+        
+        // Fallback to page title
+        return document.title || 'Untitled Article';
     }
-    
-    return '';
-}
 
-/**
- * Extract content from Thanhnien.vn
- */
-function extractThanhnienContent() {
-    const selectors = [
-        '.detail-content',
-        '.article-body',
-        '#detail-content'
-    ];
-    
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) {
-            console.log('Thanhnien content found with selector:', selector);
-            return extractTextFromElement(element);
+    /**
+     * Extract main article content with site rules and generic strategies.
+     * Returns the cleaned text, its Markdown rendering and a description of how it was found.
+     */
+    function extractMainContent(rule) {
+        let extracted = null;
+        
+        // Site-specific extraction rules
+        if (rule) {
+            extracted = extractRuleContent(rule);
         }
+        
+        // If site-specific extraction failed, use generic method
+        if (!extracted || extracted.text.length < 200) {
+            console.log('Site rule extraction failed, using generic method');
+            extracted = extractGenericContent();
+        }
+        
+        // Clean and format the content
+        return {
+            content: cleanContent(extracted.text, rule),
+            markdown: cleanMarkdown(extracted.markdown, rule),
+            extraction: extracted.extraction
+        };
     }
-    
-    return '';
-}
 
-/**
- * Generic content extraction for unknown sites
- */
-function extractGenericContent() {
-    const contentSelectors = [
-        // Semantic HTML5 elements
-        'article',
-        'main',
-        '[role="main"]',
-        
-        // Common article containers
-        '.article-content',
-        '.post-content',
-        '.entry-content',
-        '.content',
-        '.article-body',
-        '.post-body',
-        '.entry-body',
-        '.story-body',
-        '.article-text',
-        '.post-text',
-        
-        // Generic content containers
-        '#content',
-        '#main-content',
-        '.main-content',
-        '#article',
-        '.article',
-        '#post',
-        '.post'
-    ];
-    
-    for (const selector of contentSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.trim().length > 200) {
-            console.log('Generic content found with selector:', selector);
-            return extractTextFromElement(element);
+    /**
+     * Extract content using a site rule's content selectors
+     */
+    function extractRuleContent(rule) {
+        for (const selector of rule.contentSelectors) {
+            try {
+                const element = document.querySelector(selector);
+                if (element) {
+                    console.log(`${rule.name} content found with selector:`, selector);
+                    return {
+                        ...extractStructuredContent(element, rule.removeSelectors),
+                        extraction: { method: 'siteRule', rule: rule.id, selector: selector }
+                    };
+                }
+            } catch (e) {
+                console.warn('Invalid content selector in site rule:', rule.id, selector);
+            }
         }
+        
+        return null;
     }
-    
-    // Last resort: try to find the largest text block
-    return findLargestTextBlock();
-}
 
-/**
- * Extract clean text from an element, removing unwanted parts
- */
-function extractTextFromElement(element) {
-    // Clone the element to avoid modifying the original
-    const clone = element.cloneNode(true);
-    
-    // Remove unwanted elements
-    const unwantedSelectors = [
-        // Navigation and UI elements
-        'nav', 'header', 'footer', 'aside',
-        '.navigation', '.nav', '.menu', '.sidebar',
-        
-        // Advertisements and promotional content
-        '.ads', '.ad', '.advertisement', '.promo', '.promotion',
-        '.banner', '.sponsored', '.affiliate',
-        '[class*="ad-"]', '[id*="ad-"]', '[class*="ads-"]',
-        
-        // Social and sharing elements
-        '.social', '.share', '.sharing', '.social-share',
-        '.facebook', '.twitter', '.linkedin', '.pinterest',
-        
-        // Comments and related content
-        '.comments', '.comment', '.related', '.related-posts',
-        '.related-articles', '.more-news', '.other-news',
-        
-        // Meta information
-        '.meta', '.byline', '.author-info', '.date-info',
-        '.tags', '.categories', '.breadcrumb',
-        
-        // Scripts and styles
-        'script', 'style', 'noscript',
-        
-        // Forms and interactive elements
-        'form', 'input', 'button', 'select', 'textarea',
-        
-        // Specific Vietnamese news site elements
-        '.box-tin-lien-quan', '.tin-lien-quan', '.box-category',
-        '.box-author', '.author-detail', '.nguon-bai-viet',
-        '.chia-se', '.binh-luan', '.tag-bai-viet'
-    ];
-    
-    unwantedSelectors.forEach(selector => {
-        try {
-            const elements = clone.querySelectorAll(selector);
-            elements.forEach(el => el.remove());
-        } catch (e) {
-            console.warn('Error removing elements with selector:', selector);
+    /**
+     * Generic content extraction for unknown sites
+     */
+    function extractGenericContent() {
+        // Score the page's blocks and pick the most article-like one
+        const scored = BearPeekReadability.findMainContent(document);
+        
+        if (scored && scored.score >= MIN_READABILITY_SCORE) {
+            const structured = extractStructuredContent(scored.element);
+            
+            if (structured.text.length > 200) {
+                console.log('Content found by scoring:', scored.candidate, scored.score);
+                return {
+                    ...structured,
+                    extraction: {
+                        method: 'readability',
+                        candidate: scored.candidate,
+                        score: scored.score,
+                        mergedSiblings: scored.mergedSiblings,
+                        candidates: scored.candidates
+                    }
+                };
+            }
         }
-    });
-    
-    // Extract text and clean it
-    return clone.textContent || clone.innerText || '';
-}
-
-/**
- * Find the largest text block on the page (last resort)
- */
-function findLargestTextBlock() {
-    const allElements = document.querySelectorAll('p, div, span, article, section');
-    let largestElement = null;
-    let maxLength = 0;
-    
-    allElements.forEach(element => {
-        const text = element.textContent.trim();
-        if (text.length > maxLength && text.length > 200) {
-            // Avoid elements that are likely to be navigation or ads
-            const className = element.className.toLowerCase();
-            const id = element.id.toLowerCase();
+        
+        const contentSelectors = [
+            // Semantic HTML5 elements
+            'article',
+            'main',
+            '[role="main"]',
+            
+            // Common article containers
+            '.article-content',
+            '.post-content',
+            '.entry-content',
+            '.content',
+            '.article-body',
+            '.post-body',
+            '.entry-body',
+            '.story-body',
+            '.article-text',
+            '.post-text',
             
-            if (!className.includes('nav') && 
-                !className.includes('menu') && 
-                !className.includes('sidebar') &&
-                !className.includes('ad') &&
-                !id.includes('nav') &&
-                !id.includes('menu') &&
-                !id.includes('ad')) {
-                
-                maxLength = text.length;
-                largestElement = element;
+            // Generic content containers
+            '#content',
+            '#main-content',
+            '.main-content',
+            '#article',
+            '.article',
+            '#post',
+            '.post'
+        ];
+        
+        for (const selector of contentSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim().length > 200) {
+                console.log('Generic content found with selector:', selector);
+                return {
+                    ...extractStructuredContent(element),
+                    extraction: { method: 'selector', selector: selector }
+                };
             }
         }
-    });
-    
-    if (largestElement) {
-        console.log('Found largest text block:', largestElement.tagName, largestElement.className);
-        return extractTextFromElement(largestElement);
+        
+        // Last resort: the whole page without navigation and ads
+        console.log('No content block found, using page body');
+        return {
+            ...extractStructuredContent(document.body),
+            extraction: { method: 'body' }
+        };
     }
-    
-    return document.body.textContent || '';
-}
-
-/**
- * Clean and format the extracted content
- */
-function cleanContent(content) {
-    if (!content) return '';
-    
-    return content
-        // Remove excessive whitespace
-        .replace(/\s+/g, ' ')
-        // Remove multiple line breaks
-        .replace(/\n\s*\n\s*\n/g, '\n\n')
-        // Remove tabs
-        .replace(/\t/g, ' ')
-        // Remove special characters that might cause issues
-        .replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-        // Remove common Vietnamese news artifacts
-        .replace(/^.*?Theo\s+VnExpress.*?\n/gi, '')
-        .replace(/^.*?Nguồn:.*?\n/gi, '')
-        .replace(/^.*?Tác giả:.*?\n/gi, '')
-        .replace(/\(Ảnh:.*?\)/gi, '')
-        .replace(/\[.*?\]/gi, '')
-        // Trim and limit length
-        .trim()
-        .substring(0, 8000); // Increased limit for articles
-}
 
-/**
- * Extract metadata from the page
- */
-function extractMetadata() {
-    const metadata = {
-        description: '',
-        author: '',
-        publishDate: '',
-        keywords: '',
-        ogImage: '',
-        readingTime: 0
-    };
-    
-    // Extract from meta tags
-    const metaTags = document.querySelectorAll('meta');
-    metaTags.forEach(tag => {
-        const name = (tag.getAttribute('name') || tag.getAttribute('property') || '').toLowerCase();
-        const content = tag.getAttribute('content');
-        
-        if (!content) return;
-        
-        switch (name) {
-            case 'description':
-            case 'og:description':
-                if (!metadata.description) metadata.description = content;
-                break;
-            case 'author':
-            case 'article:author':
-                if (!metadata.author) metadata.author = content;
-                break;
-            case 'article:published_time':
-            case 'pubdate':
-            case 'date':
-                if (!metadata.publishDate) metadata.publishDate = content;
-                break;
-            case 'keywords':
-                if (!metadata.keywords) metadata.keywords = content;
-                break;
-            case 'og:image':
-                if (!metadata.ogImage) metadata.ogImage = content;
-                break;
-        }
-    });
-    
-    // Try to extract author from page content if not found in meta
-    if (!metadata.author) {
-        const authorSelectors = [
-            '.author', '.byline', '.by-author', '[class*="author"]'
+    /**
+     * Extract structured text and Markdown from an element, removing unwanted parts
+     */
+    function extractStructuredContent(element, extraSelectors = []) {
+        // Clone the element to avoid modifying the original
+        const clone = element.cloneNode(true);
+        
+        // Remove unwanted elements
+        const unwantedSelectors = [
+            // Navigation and UI elements
+            'nav', 'header', 'footer', 'aside',
+            '.navigation', '.nav', '.menu', '.sidebar',
+            
+            // Advertisements and promotional content
+            '.ads', '.ad', '.advertisement', '.promo', '.promotion',
+            '.banner', '.sponsored', '.affiliate',
+            // (match "ad-"/"ads-" only at the start of a class token, not "load-more" or "head-")
+            '[class^="ad-"]', '[class*=" ad-"]', '[id^="ad-"]',
+            '[class^="ads-"]', '[class*=" ads-"]',
+            
+            // Social and sharing elements
+            '.social', '.share', '.sharing', '.social-share',
+            '.facebook', '.twitter', '.linkedin', '.pinterest',
+            
+            // Comments and related content
+            '.comments', '.comment', '.related', '.related-posts',
+            '.related-articles', '.more-news', '.other-news',
+            
+            // Meta information
+            '.meta', '.byline', '.author-info', '.date-info',
+            '.tags', '.categories', '.breadcrumb',
+            
+            // Scripts and styles
+            'script', 'style', 'noscript',
+            
+            // Forms and interactive elements
+            'form', 'input', 'button', 'select', 'textarea',
+            
+            // Specific Vietnamese news site elements
+            '.box-tin-lien-quan', '.tin-lien-quan', '.box-category',
+            '.box-author', '.author-detail', '.nguon-bai-viet',
+            '.chia-se', '.binh-luan', '.tag-bai-viet',
+            
+            // Site rule specific elements
+            ...extraSelectors
         ];
         
-        for (const selector of authorSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                metadata.author = element.textContent.trim();
-                break;
+        unwantedSelectors.forEach(selector => {
+            try {
+                const elements = clone.querySelectorAll(selector);
+                elements.forEach(el => el.remove());
+            } catch (e) {
+                console.warn('Error removing elements with selector:', selector);
+            }
+        });
+        
+        // Keep headings, paragraphs, lists, quotes and captions as separate blocks
+        const blocks = BearPeekStructure.extractBlocks(clone);
+        
+        return {
+            text: BearPeekStructure.blocksToText(blocks),
+            markdown: BearPeekStructure.blocksToMarkdown(blocks)
+        };
+    }
+
+    /**
+     * Clean and format the extracted plain text (paragraphs stay on separate lines)
+     */
+    function cleanContent(content, rule) {
+        if (!content) return '';
+        
+        return removeArtifacts(BearPeekSiteRules.applyCleanupPatterns(rule, content))
+            // Collapse spaces and tabs inside lines (leading indentation of nested lists is kept)
+            .replace(/(\S)[ \t]+/g, '$1 ')
+            // Remove bracketed labels such as [Video]
+            .replace(/\[.*?\]/g, '')
+            // Remove multiple line breaks
+            .replace(/\n\s*\n\s*\n/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Clean the Markdown rendering with the same rules as the plain text
+     */
+    function cleanMarkdown(markdown, rule) {
+        if (!markdown) return '';
+        
+        return removeArtifacts(BearPeekSiteRules.applyCleanupPatterns(rule, markdown))
+            .replace(/\n\s*\n\s*\n/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Remove control characters and common Vietnamese news artifacts
+     */
+    function removeArtifacts(text) {
+        return text
+            // Remove special characters that might cause issues (line breaks are kept)
+            .replace(/[\x00-\x09\x0B-\x1F\x7F-\x9F]/g, '')
+            // Remove source and author lines
+            .replace(/^\s*(Nguồn|Tác giả):.*$/gim, '')
+            .replace(/\(Ảnh:.*?\)/gi, '');
+    }
+
+    /**
+     * Extract metadata from the page
+     */
+    function extractMetadata() {
+        const metadata = {
+            description: '',
+            author: '',
+            publishDate: '',
+            keywords: '',
+            ogImage: '',
+            readingTime: 0
+        };
+        
+        // Extract from meta tags
+        const metaTags = document.querySelectorAll('meta');
+        metaTags.forEach(tag => {
+            const name = (tag.getAttribute('name') || tag.getAttribute('property') || '').toLowerCase();
+            const content = tag.getAttribute('content');
+            
+            if (!content) return;
+            
+            switch (name) {
+                case 'description':
+                case 'og:description':
+                    if (!metadata.description) metadata.description = content;
+                    break;
+                case 'author':
+                case 'article:author':
+                    if (!metadata.author) metadata.author = content;
+                    break;
+                case 'article:published_time':
+                case 'pubdate':
+                case 'date':
+                    if (!metadata.publishDate) metadata.publishDate = content;
+                    break;
+                case 'keywords':
+                    if (!metadata.keywords) metadata.keywords = content;
+                    break;
+                case 'og:image':
+                    if (!metadata.ogImage) metadata.ogImage = content;
+                    break;
+            }
+        });
+        
+        // Try to extract author from page content if not found in meta
+        if (!metadata.author) {
+            const authorSelectors = [
+                '.author', '.byline', '.by-author', '[class*="author"]'
+            ];
+            
+            for (const selector of authorSelectors) {
+                const element = document.querySelector(selector);
+                if (element && element.textContent.trim()) {
+                    metadata.author = element.textContent.trim();
+                    break;
+                }
             }
         }
+        
+        return metadata;
     }
-    
-    return metadata;
-}
\ No newline at end of file
+})();
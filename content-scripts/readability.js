@@ -0,0 +1,298 @@
+/**
+ * Bear Peek Extension - Content Scoring
+ * Readability-style detection of the main content block on generic pages
+ */
+
+'use strict';
+
+(function (global) {
+    // Elements whose class/id suggests they are not part of the article
+    const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|tin-lien-quan|binh-luan/i;
+
+    // ...unless they also look like content
+    const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|detail/i;
+
+    // Class/id weighting
+    const POSITIVE_PATTERN = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|detail|noi-dung|bai-viet/i;
+    const NEGATIVE_PATTERN = /hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|binh-luan|tin-lien-quan/i;
+
+    // "ad"/"ads"/"advert" only as whole class tokens, so "header", "shadow" or "load" are not penalized
+    const AD_PATTERN = /(^|[\s_-])(ads?|advert\w*|advertisement)([\s_-]|$)/i;
+
+    // Containers that never hold the article body
+    const SKIPPED_ANCESTORS = ['NAV', 'HEADER', 'FOOTER', 'ASIDE', 'FORM'];
+
+    const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote, li, div, section';
+    const BLOCK_CHILD_SELECTOR = 'blockquote, dl, div, img, ol, p, pre, table, ul, section, article, figure';
+
+    const MIN_PARAGRAPH_LENGTH = 25;
+    const ANCESTOR_LEVELS = 3;
+    const MAX_CANDIDATES = 5;
+
+    /**
+     * Find the element most likely to contain the main content.
+     * Returns null when no candidate scores at all.
+     */
+    function findMainContent(doc) {
+        const scores = new Map();
+
+        getParagraphs(doc).forEach(paragraph => {
+            const text = getInnerText(paragraph);
+            if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+            const paragraphScore = scoreParagraphText(text);
+
+            getAncestors(paragraph, ANCESTOR_LEVELS).forEach((ancestor, level) => {
+                if (!scores.has(ancestor)) {
+                    scores.set(ancestor, initializeScore(ancestor));
+                }
+
+                // Parent gets the full score, grandparent half, then a third
+                const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+                scores.set(ancestor, scores.get(ancestor) + paragraphScore / divider);
+            });
+        });
+
+        const candidates = Array.from(scores.entries())
+            .map(([element, score]) => ({
+                element: element,
+                score: score * (1 - getLinkDensity(element))
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const top = promoteParent(candidates[0], scores);
+        const merged = mergeSiblings(top, scores);
+
+        return {
+            element: merged.element,
+            score: Math.round(top.score * 100) / 100,
+            candidate: describeElement(top.element),
+            mergedSiblings: merged.count,
+            candidates: candidates.slice(0, MAX_CANDIDATES).map(item => ({
+                candidate: describeElement(item.element),
+                score: Math.round(item.score * 100) / 100
+            }))
+        };
+    }
+
+    /**
+     * Collect paragraph-like elements outside of navigation and unlikely containers
+     */
+    function getParagraphs(doc) {
+        return Array.from(doc.body ? doc.body.querySelectorAll(PARAGRAPH_SELECTOR) : [])
+            .filter(element => {
+                // Divs and sections only count when they directly hold text
+                if ((element.tagName === 'DIV' || element.tagName === 'SECTION') &&
+                    element.querySelector(BLOCK_CHILD_SELECTOR)) {
+                    return false;
+                }
+                return !isInSkippedContainer(element);
+            });
+    }
+
+    function isInSkippedContainer(element) {
+        for (let node = element; node && node.tagName !== 'BODY'; node = node.parentElement) {
+            if (SKIPPED_ANCESTORS.includes(node.tagName)) return true;
+            if (node.getAttribute('role') === 'navigation' || node.getAttribute('aria-hidden') === 'true') return true;
+
+            const matchString = getMatchString(node);
+            if ((UNLIKELY_CANDIDATES.test(matchString) || AD_PATTERN.test(matchString)) &&
+                !MAYBE_CANDIDATE.test(matchString)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Score a paragraph by its length and punctuation
+     */
+    function scoreParagraphText(text) {
+        const commas = (text.match(/[,，、]/g) || []).length;
+        const sentences = (text.match(/[.!?。](\s|$)/g) || []).length;
+
+        return 1 + commas + Math.min(sentences, 3) + Math.min(Math.floor(text.length / 100), 3);
+    }
+
+    /**
+     * Base score from the element's tag and class/id weight
+     */
+    function initializeScore(element) {
+        let score = 0;
+
+        switch (element.tagName) {
+            case 'ARTICLE':
+                score += 10;
+                break;
+            case 'DIV':
+            case 'SECTION':
+            case 'MAIN':
+                score += 5;
+                break;
+            case 'PRE':
+            case 'TD':
+            case 'BLOCKQUOTE':
+                score += 3;
+                break;
+            case 'ADDRESS':
+            case 'OL':
+            case 'UL':
+            case 'DL':
+            case 'DD':
+            case 'DT':
+            case 'LI':
+            case 'FORM':
+                score -= 3;
+                break;
+            case 'H1':
+            case 'H2':
+            case 'H3':
+            case 'H4':
+            case 'H5':
+            case 'H6':
+            case 'TH':
+                score -= 5;
+                break;
+        }
+
+        return score + getClassWeight(element);
+    }
+
+    /**
+     * Positive/negative weight from class names and id
+     */
+    function getClassWeight(element) {
+        let weight = 0;
+
+        [element.className, element.id].forEach(value => {
+            if (typeof value !== 'string' || !value) return;
+
+            if (NEGATIVE_PATTERN.test(value) || AD_PATTERN.test(value)) weight -= 25;
+            if (POSITIVE_PATTERN.test(value)) weight += 25;
+        });
+
+        return weight;
+    }
+
+    /**
+     * Ratio of link text to all text in an element
+     */
+    function getLinkDensity(element) {
+        const textLength = getInnerText(element).length;
+        if (textLength === 0) return 0;
+
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach(link => {
+            const href = link.getAttribute('href');
+            // In-page anchors (footnotes, table of contents) count less
+            const coefficient = href && href.startsWith('#') ? 0.3 : 1;
+            linkLength += getInnerText(link).length * coefficient;
+        });
+
+        return Math.min(linkLength / textLength, 1);
+    }
+
+    /**
+     * When the top candidate is the only child of its parent, climb to the
+     * outermost such wrapper so sibling merging sees the real siblings
+     */
+    function promoteParent(top, scores) {
+        let element = top.element;
+
+        while (element.parentElement && element.parentElement.tagName !== 'BODY' &&
+            element.parentElement.children.length === 1) {
+            element = element.parentElement;
+        }
+
+        return element === top.element
+            ? top
+            : { element: element, score: Math.max(top.score, scores.get(element) || 0) };
+    }
+
+    /**
+     * Merge siblings that look like part of the same article
+     * (content split across several containers, e.g. around an embedded ad)
+     */
+    function mergeSiblings(top, scores) {
+        const parent = top.element.parentElement;
+        if (!parent || parent.tagName === 'BODY') {
+            return { element: top.element, count: 0 };
+        }
+
+        const threshold = Math.max(10, top.score * 0.2);
+        const included = Array.from(parent.children).filter(sibling => {
+            if (sibling === top.element) return true;
+
+            let siblingScore = scores.get(sibling) || 0;
+            if (siblingScore !== 0) {
+                siblingScore *= 1 - getLinkDensity(sibling);
+            }
+            if (sibling.className && sibling.className === top.element.className) {
+                siblingScore += top.score * 0.2;
+            }
+            if (siblingScore >= threshold) return true;
+
+            if (sibling.tagName === 'P') {
+                const text = getInnerText(sibling);
+                const linkDensity = getLinkDensity(sibling);
+
+                if (text.length > 80 && linkDensity < 0.25) return true;
+                if (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text)) return true;
+            }
+
+            return false;
+        });
+
+        if (included.length === 1) {
+            return { element: top.element, count: 0 };
+        }
+
+        const container = top.element.ownerDocument.createElement('div');
+        included.forEach(sibling => container.appendChild(sibling.cloneNode(true)));
+
+        return { element: container, count: included.length - 1 };
+    }
+
+    function getAncestors(element, maxDepth) {
+        const ancestors = [];
+        let node = element.parentElement;
+
+        while (node && node.tagName !== 'BODY' && node.tagName !== 'HTML' && ancestors.length < maxDepth) {
+            ancestors.push(node);
+            node = node.parentElement;
+        }
+        return ancestors;
+    }
+
+    function getInnerText(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function getMatchString(element) {
+        const className = typeof element.className === 'string' ? element.className : '';
+        return `${className} ${element.id || ''}`;
+    }
+
+    /**
+     * Short CSS-like description of an element, e.g. "div#main.article-body"
+     */
+    function describeElement(element) {
+        const tag = element.tagName.toLowerCase();
+        const id = element.id ? `#${element.id}` : '';
+        const classes = typeof element.className === 'string' && element.className.trim()
+            ? '.' + element.className.trim().split(/\s+/).join('.')
+            : '';
+
+        return `${tag}${id}${classes}`;
+    }
+
+    global.BearPeekReadability = {
+        findMainContent,
+        getClassWeight,
+        getLinkDensity
+    };
+})(globalThis);
@@ -0,0 +1,323 @@
+/**
+ * Bear Peek Extension - Document Structure
+ * Converts article DOM into structured blocks rendered as plain text and Markdown
+ */
+
+'use strict';
+
+(function (global) {
+    const HEADING_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+    const LIST_TAGS = ['UL', 'OL'];
+    const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'IFRAME', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+    const BLOCK_TAGS = [
+        ...HEADING_TAGS, ...LIST_TAGS, 'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'BLOCKQUOTE', 'PRE',
+        'FIGURE', 'FIGCAPTION', 'TABLE', 'TBODY', 'THEAD', 'TR', 'HR', 'DL', 'DT', 'DD', 'HEADER', 'FOOTER', 'ASIDE'
+    ];
+
+    // Class names used for image captions (generic and Vietnamese news CMSs)
+    const CAPTION_PATTERN = /caption|image_desc|desc_image|photocms_caption|fig-?desc/i;
+
+    /**
+     * Walk an element and return its content as a list of blocks:
+     * heading, paragraph, list, blockquote, code and image
+     */
+    function extractBlocks(root) {
+        const blocks = [];
+        walkBlocks(root, blocks);
+        return blocks.filter(block => block.type === 'image' || block.type === 'list' || block.text);
+    }
+
+    function walkBlocks(element, blocks) {
+        let inline = [];
+
+        const flushInline = () => {
+            const rendered = renderInline(inline);
+            if (rendered.text) {
+                blocks.push({ type: 'paragraph', ...rendered });
+            }
+            inline = [];
+        };
+
+        element.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                inline.push(node);
+                return;
+            }
+            if (node.nodeType !== 1 || SKIPPED_TAGS.includes(node.tagName)) {
+                return;
+            }
+
+            if (!isBlock(node)) {
+                inline.push(node);
+                return;
+            }
+
+            flushInline();
+            appendBlock(node, blocks);
+        });
+
+        flushInline();
+    }
+
+    /**
+     * Convert a block-level element into one or more blocks
+     */
+    function appendBlock(node, blocks) {
+        const tag = node.tagName;
+
+        if (HEADING_TAGS.includes(tag)) {
+            const rendered = renderInline(Array.from(node.childNodes));
+            blocks.push({ type: 'heading', level: Number(tag[1]), ...rendered });
+        } else if (LIST_TAGS.includes(tag)) {
+            const items = collectListItems(node, 0);
+            if (items.length > 0) {
+                blocks.push({ type: 'list', ordered: tag === 'OL', items: items });
+            }
+        } else if (tag === 'BLOCKQUOTE') {
+            const inner = [];
+            walkBlocks(node, inner);
+            const text = inner.map(block => block.text).filter(Boolean).join('\n');
+            const markdown = inner.map(block => block.markdown).filter(Boolean).join('\n');
+            blocks.push({ type: 'blockquote', text: text, markdown: markdown });
+        } else if (tag === 'PRE') {
+            blocks.push({ type: 'code', text: node.textContent.replace(/\n+$/, ''), markdown: '' });
+        } else if (tag === 'FIGURE') {
+            appendFigure(node, blocks);
+        } else if (tag === 'TR') {
+            const cells = Array.from(node.children)
+                .map(cell => renderInline(Array.from(cell.childNodes)))
+                .filter(cell => cell.text);
+            if (cells.length > 0) {
+                blocks.push({
+                    type: 'paragraph',
+                    text: cells.map(cell => cell.text).join(' | '),
+                    markdown: cells.map(cell => cell.markdown).join(' | ')
+                });
+            }
+        } else if (tag === 'HR') {
+            return;
+        } else if (isCaption(node)) {
+            const rendered = renderInline(Array.from(node.childNodes));
+            attachCaption(blocks, rendered.text);
+        } else {
+            walkBlocks(node, blocks);
+        }
+    }
+
+    /**
+     * Collect list items, flattening nested lists with a depth marker
+     */
+    function collectListItems(list, depth) {
+        const items = [];
+
+        Array.from(list.children).forEach(child => {
+            if (child.tagName !== 'LI') return;
+
+            const inlineNodes = Array.from(child.childNodes)
+                .filter(node => !(node.nodeType === 1 && LIST_TAGS.includes(node.tagName)));
+            const rendered = renderInline(inlineNodes);
+            if (rendered.text) {
+                items.push({ depth: depth, ...rendered });
+            }
+
+            Array.from(child.children)
+                .filter(node => LIST_TAGS.includes(node.tagName))
+                .forEach(nested => items.push(...collectListItems(nested, depth + 1)));
+        });
+
+        return items;
+    }
+
+    /**
+     * Figures become an image block with the figcaption as caption
+     */
+    function appendFigure(figure, blocks) {
+        const image = figure.querySelector('img');
+        const caption = figure.querySelector('figcaption');
+
+        if (image) {
+            blocks.push(createImageBlock(image, caption ? normalizeText(caption.textContent) : ''));
+        } else {
+            walkBlocks(figure, blocks);
+        }
+    }
+
+    function createImageBlock(image, caption) {
+        return {
+            type: 'image',
+            src: resolveUrl(image.getAttribute('data-src') || image.getAttribute('src') || ''),
+            alt: normalizeText(image.getAttribute('alt') || ''),
+            caption: caption,
+            text: caption
+        };
+    }
+
+    /**
+     * Attach a caption that follows an image (CMS caption boxes), or keep it as a paragraph
+     */
+    function attachCaption(blocks, caption) {
+        if (!caption) return;
+
+        const previous = blocks[blocks.length - 1];
+        if (previous && previous.type === 'image' && !previous.caption) {
+            previous.caption = caption;
+            previous.text = caption;
+        } else {
+            blocks.push({ type: 'paragraph', text: caption, markdown: `*${escapeMarkdown(caption)}*` });
+        }
+    }
+
+    /**
+     * Render inline nodes to plain text and Markdown
+     */
+    function renderInline(nodes) {
+        const parts = { text: '', markdown: '' };
+        nodes.forEach(node => renderInlineNode(node, parts));
+
+        return {
+            text: normalizeText(parts.text),
+            markdown: normalizeText(parts.markdown)
+        };
+    }
+
+    function renderInlineNode(node, parts) {
+        if (node.nodeType === 3) {
+            parts.text += node.textContent;
+            parts.markdown += escapeMarkdown(node.textContent);
+            return;
+        }
+        if (node.nodeType !== 1 || SKIPPED_TAGS.includes(node.tagName)) {
+            return;
+        }
+
+        const tag = node.tagName;
+
+        if (tag === 'BR') {
+            parts.text += '\n';
+            parts.markdown += '  \n';
+            return;
+        }
+
+        if (tag === 'IMG') {
+            // Inline images are kept in Markdown only
+            const src = resolveUrl(node.getAttribute('data-src') || node.getAttribute('src') || '');
+            if (src) {
+                parts.markdown += `![${escapeMarkdown(node.getAttribute('alt') || '')}](${src})`;
+            }
+            return;
+        }
+
+        const inner = renderInline(Array.from(node.childNodes));
+        if (!inner.text) {
+            return;
+        }
+
+        // Keep the spacing around inline elements that normalizeText would otherwise lose
+        const leading = /^\s/.test(node.textContent) ? ' ' : '';
+        const trailing = /\s$/.test(node.textContent) ? ' ' : '';
+        parts.text += leading + inner.text + trailing;
+
+        let markdown = inner.markdown;
+        if (tag === 'A') {
+            const href = resolveUrl(node.getAttribute('href') || '');
+            if (href && !href.startsWith('javascript:')) {
+                markdown = `[${inner.markdown}](${href})`;
+            }
+        } else if (tag === 'STRONG' || tag === 'B') {
+            markdown = `**${inner.markdown}**`;
+        } else if (tag === 'EM' || tag === 'I') {
+            markdown = `*${inner.markdown}*`;
+        } else if (tag === 'CODE') {
+            markdown = `\`${inner.text}\``;
+        }
+
+        parts.markdown += leading + markdown + trailing;
+    }
+
+    /**
+     * Plain text: one block per paragraph, separated by blank lines
+     */
+    function blocksToText(blocks) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'list':
+                    return block.items.map((item, index) =>
+                        '  '.repeat(item.depth) + (block.ordered ? `${index + 1}. ` : '- ') + item.text
+                    ).join('\n');
+                case 'image':
+                    return block.caption;
+                default:
+                    return block.text;
+            }
+        }).filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Markdown rendering of the blocks
+     */
+    function blocksToMarkdown(blocks) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'heading':
+                    return `${'#'.repeat(block.level)} ${block.markdown}`;
+                case 'list':
+                    return block.items.map((item, index) =>
+                        '  '.repeat(item.depth) + (block.ordered ? `${index + 1}. ` : '- ') + item.markdown
+                    ).join('\n');
+                case 'blockquote':
+                    return block.markdown.split('\n').map(line => `> ${line}`).join('\n');
+                case 'code':
+                    return '```\n' + block.text + '\n```';
+                case 'image': {
+                    const image = block.src ? `![${escapeMarkdown(block.alt || block.caption)}](${block.src})` : '';
+                    const caption = block.caption ? `*${escapeMarkdown(block.caption)}*` : '';
+                    return [image, caption].filter(Boolean).join('\n');
+                }
+                default:
+                    return block.markdown;
+            }
+        }).filter(Boolean).join('\n\n');
+    }
+
+    function isBlock(node) {
+        if (BLOCK_TAGS.includes(node.tagName)) return true;
+        // Elements whose only job is holding a caption, e.g. <span class="caption">
+        return isCaption(node) && node.tagName !== 'A';
+    }
+
+    function isCaption(node) {
+        const className = typeof node.className === 'string' ? node.className : '';
+        return node.tagName === 'FIGCAPTION' || CAPTION_PATTERN.test(className);
+    }
+
+    /**
+     * Collapse whitespace inside lines while keeping explicit line breaks
+     */
+    function normalizeText(text) {
+        return text
+            .split('\n')
+            .map(line => line.replace(/[ \t\r\f\v\u00a0]+/g, ' ').trim())
+            .filter((line, index, lines) => line || (index > 0 && lines[index - 1]))
+            .join('\n')
+            .trim();
+    }
+
+    function escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    }
+
+    function resolveUrl(url) {
+        if (!url) return '';
+        try {
+            return new URL(url, document.baseURI).href;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    global.BearPeekStructure = {
+        extractBlocks,
+        blocksToText,
+        blocksToMarkdown
+    };
+})(globalThis);
@@ -0,0 +1,680 @@
+/**
+ * Bear Peek Extension - Options Page Script
+ * Loads, validates and live-saves user settings through the background worker
+ */
+
+"use strict";
+
+(function () {
+  const { DEFAULT_SETTINGS, SETTINGS_KEYS, validateSettings, validateApiKey } =
+    window.BearPeekSettings;
+  const SiteRules = window.BearPeekSiteRules;
+
+  // Delay before saving while the user is still typing
+  const TEXT_SAVE_DELAY_MS = 600;
+
+  // DOM elements
+  const elements = {
+    form: document.getElementById("settingsForm"),
+    saveStatus: document.getElementById("saveStatus"),
+    resetBtn: document.getElementById("resetBtn"),
+    aiProvider: document.getElementById("aiProvider"),
+    providerHint: document.getElementById("providerHint"),
+    apiEndpoint: document.getElementById("apiEndpoint"),
+    apiModel: document.getElementById("apiModel"),
+    apiKey: document.getElementById("apiKey"),
+    apiKeyPassphrase: document.getElementById("apiKeyPassphrase"),
+    apiKeyStatus: document.getElementById("apiKeyStatus"),
+    saveKeyBtn: document.getElementById("saveKeyBtn"),
+    unlockKeyBtn: document.getElementById("unlockKeyBtn"),
+    lockKeyBtn: document.getElementById("lockKeyBtn"),
+    removeKeyBtn: document.getElementById("removeKeyBtn"),
+    redactionPreviewInput: document.getElementById("redactionPreviewInput"),
+    redactionPreview: document.getElementById("redactionPreview"),
+    usageFill: document.getElementById("usageFill"),
+    usageText: document.getElementById("usageText"),
+    ruleList: document.getElementById("ruleList"),
+    ruleEditor: document.getElementById("ruleEditor"),
+    ruleJson: document.getElementById("ruleJson"),
+    ruleError: document.getElementById("ruleError"),
+    saveRuleBtn: document.getElementById("saveRuleBtn"),
+    cancelRuleBtn: document.getElementById("cancelRuleBtn"),
+    addRuleBtn: document.getElementById("addRuleBtn"),
+    importRulesBtn: document.getElementById("importRulesBtn"),
+    importRulesInput: document.getElementById("importRulesInput"),
+    exportRulesBtn: document.getElementById("exportRulesBtn"),
+  };
+
+  // Page state
+  const state = {
+    settings: { ...DEFAULT_SETTINGS },
+    providers: [],
+    saveTimers: {},
+    userRules: [],
+    editingRuleId: null,
+  };
+
+  /**
+   * Initialize the options page
+   */
+  async function init() {
+    setupEventListeners();
+
+    try {
+      await loadProviders();
+      await loadSettings();
+      await loadApiKeyStatus();
+      await loadStorageUsage();
+      await loadSiteRules();
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      setSaveStatus("error", "Failed to load settings: " + error.message);
+    }
+  }
+
+  /**
+   * Setup all event listeners
+   */
+  function setupEventListeners() {
+    SETTINGS_KEYS.forEach((key) => {
+      const field = getField(key);
+      if (!field) return;
+
+      if (field.type === "checkbox" || field.tagName === "SELECT") {
+        field.addEventListener("change", () => saveField(key));
+      } else {
+        field.addEventListener("input", () => scheduleSave(key));
+        field.addEventListener("change", () => saveField(key));
+      }
+    });
+
+    elements.aiProvider.addEventListener("change", updateProviderFields);
+    elements.saveKeyBtn.addEventListener("click", handleSaveKey);
+    elements.unlockKeyBtn.addEventListener("click", handleUnlockKey);
+    elements.lockKeyBtn.addEventListener("click", () =>
+      updateApiKey("lockApiKey", undefined, "Key locked")
+    );
+    elements.removeKeyBtn.addEventListener("click", handleRemoveKey);
+    elements.redactionPreviewInput.addEventListener("input", updateRedactionPreview);
+    elements.resetBtn.addEventListener("click", handleReset);
+    elements.form.addEventListener("submit", (event) => event.preventDefault());
+
+    elements.ruleList.addEventListener("click", handleRuleListClick);
+    elements.ruleList.addEventListener("change", handleRuleToggle);
+    elements.addRuleBtn.addEventListener("click", () => openRuleEditor(null));
+    elements.saveRuleBtn.addEventListener("click", handleSaveRule);
+    elements.cancelRuleBtn.addEventListener("click", closeRuleEditor);
+    elements.importRulesBtn.addEventListener("click", () =>
+      elements.importRulesInput.click()
+    );
+    elements.importRulesInput.addEventListener("change", handleImportRules);
+    elements.exportRulesBtn.addEventListener("click", handleExportRules);
+  }
+
+  /**
+   * Populate the provider select from the background worker
+   */
+  async function loadProviders() {
+    state.providers = await sendMessage("getProviders");
+
+    elements.aiProvider.innerHTML = "";
+    state.providers.forEach((provider) => {
+      const option = document.createElement("option");
+      option.value = provider.id;
+      option.textContent = provider.label;
+      elements.aiProvider.appendChild(option);
+    });
+  }
+
+  /**
+   * Load stored settings into the form
+   */
+  async function loadSettings() {
+    const settings = await sendMessage("getSettings");
+    state.settings = { ...DEFAULT_SETTINGS, ...settings };
+
+    fillForm(state.settings);
+    setSaveStatus("", "");
+  }
+
+  /**
+   * Write settings values into their form fields
+   */
+  function fillForm(settings) {
+    SETTINGS_KEYS.forEach((key) => {
+      const field = getField(key);
+      if (!field) return;
+
+      if (field.type === "checkbox") {
+        field.checked = Boolean(settings[key]);
+      } else if (field.dataset.list) {
+        field.value = (settings[key] || []).join("\n");
+      } else {
+        field.value = settings[key] ?? "";
+      }
+      showFieldError(key, "");
+    });
+
+    updateProviderFields();
+  }
+
+  /**
+   * Show remote-only fields and provider defaults for the selected provider
+   */
+  function updateProviderFields() {
+    const provider = state.providers.find(
+      (item) => item.id === elements.aiProvider.value
+    );
+    const isRemote = provider && provider.id !== "local";
+
+    document.querySelectorAll(".remote-only").forEach((field) => {
+      field.classList.toggle("hidden", !isRemote);
+    });
+
+    elements.apiEndpoint.placeholder = provider?.defaultEndpoint || "";
+    elements.apiModel.placeholder = provider?.defaultModel || "";
+
+    if (!provider) {
+      elements.providerHint.textContent = "";
+    } else if (!isRemote) {
+      elements.providerHint.textContent =
+        "Runs entirely in the browser. No content leaves your device.";
+    } else {
+      elements.providerHint.textContent = provider.requiresApiKey
+        ? "Requires an API key."
+        : "API key is optional for self-hosted endpoints.";
+    }
+  }
+
+  /**
+   * Show whether a key is stored; the key itself never reaches this page
+   */
+  async function loadApiKeyStatus() {
+    renderApiKeyStatus(await sendMessage("getApiKeyStatus"));
+  }
+
+  function renderApiKeyStatus(status) {
+    let text = "No key saved";
+    if (status.hasKey) {
+      text = `Key saved (${status.hint})`;
+      if (status.mode === "passphrase") {
+        text += status.locked
+          ? " · locked - enter your passphrase to unlock"
+          : " · protected by passphrase, unlocked";
+      }
+    }
+
+    elements.apiKeyStatus.textContent = text;
+    elements.apiKeyStatus.classList.toggle("locked", Boolean(status.locked));
+    elements.apiKey.placeholder = status.hasKey
+      ? "Paste a new key to replace it"
+      : "Paste a new key";
+    elements.unlockKeyBtn.hidden = !status.locked;
+    elements.lockKeyBtn.hidden = status.mode !== "passphrase" || status.locked;
+    elements.removeKeyBtn.hidden = !status.hasKey;
+  }
+
+  /**
+   * Encrypt and store the entered key (with the passphrase, if one is entered)
+   */
+  async function handleSaveKey() {
+    const apiKey = elements.apiKey.value.trim();
+    const error = validateApiKey(apiKey) || (apiKey ? "" : "Enter a key to save");
+    if (error) {
+      showFieldError("apiKey", error);
+      return;
+    }
+
+    await updateApiKey(
+      "setApiKey",
+      { apiKey, passphrase: elements.apiKeyPassphrase.value || undefined },
+      "Key saved"
+    );
+  }
+
+  async function handleUnlockKey() {
+    if (!elements.apiKeyPassphrase.value) {
+      showFieldError("apiKey", "Enter your passphrase to unlock the key");
+      return;
+    }
+
+    await updateApiKey(
+      "unlockApiKey",
+      { passphrase: elements.apiKeyPassphrase.value },
+      "Key unlocked"
+    );
+  }
+
+  async function handleRemoveKey() {
+    if (!confirm("Remove the saved API key?")) return;
+    await updateApiKey("setApiKey", { apiKey: "" }, "Key removed");
+  }
+
+  /**
+   * Run a key store action and show the resulting status
+   */
+  async function updateApiKey(action, data, successMessage) {
+    setSaveStatus("", "Saving...");
+
+    try {
+      renderApiKeyStatus(await sendMessage(action, data));
+      elements.apiKey.value = "";
+      elements.apiKeyPassphrase.value = "";
+      showFieldError("apiKey", "");
+      setSaveStatus("success", successMessage);
+    } catch (error) {
+      console.error("API key update failed:", error.message);
+      showFieldError("apiKey", error.message);
+      setSaveStatus("error", "Not saved - please fix the highlighted field");
+    }
+  }
+
+  /**
+   * Show the preview text with what the saved redaction settings would mask
+   */
+  function updateRedactionPreview() {
+    const text = elements.redactionPreviewInput.value;
+    const result = BearPeekRedaction.redact(
+      text,
+      BearPeekRedaction.getOptions(state.settings)
+    );
+
+    let html = "";
+    let position = 0;
+    result.matches.forEach((match) => {
+      html += escapeHtml(text.substring(position, match.start));
+      html += `<mark>${escapeHtml(BearPeekRedaction.TYPES[match.type].token)}</mark>`;
+      position = match.end;
+    });
+    html += escapeHtml(text.substring(position));
+
+    elements.redactionPreview.innerHTML = text.trim()
+      ? `${html}<br><small>${
+          result.total > 0
+            ? `Masked: ${escapeHtml(BearPeekRedaction.describe(result.counts))}`
+            : "Nothing would be masked"
+        }</small>`
+      : "";
+  }
+
+  /**
+   * Debounce saves for text inputs
+   */
+  function scheduleSave(key) {
+    clearTimeout(state.saveTimers[key]);
+    state.saveTimers[key] = setTimeout(() => saveField(key), TEXT_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Validate and save a single setting
+   */
+  async function saveField(key) {
+    clearTimeout(state.saveTimers[key]);
+
+    const value = readField(key);
+    if (JSON.stringify(value) === JSON.stringify(state.settings[key])) {
+      showFieldError(key, "");
+      return;
+    }
+
+    const validation = validateSettings({ [key]: value });
+    if (!validation.valid) {
+      showFieldError(key, validation.errors[key]);
+      setSaveStatus("error", "Not saved - please fix the highlighted field");
+      return;
+    }
+
+    showFieldError(key, "");
+    if ((await persist(validation.settings)) && key.startsWith("retention")) {
+      await loadStorageUsage();
+    }
+    updateRedactionPreview();
+  }
+
+  /**
+   * Reset all settings except the API key to their defaults
+   */
+  async function handleReset() {
+    if (!confirm("Reset all settings to their defaults? Your API key is kept.")) {
+      return;
+    }
+
+    if (await persist({ ...DEFAULT_SETTINGS })) {
+      fillForm(state.settings);
+      await loadStorageUsage();
+    }
+  }
+
+  /**
+   * Send settings to the background worker for storage
+   */
+  async function persist(settings) {
+    setSaveStatus("", "Saving...");
+
+    try {
+      const saved = await sendMessage("saveSettings", settings);
+      state.settings = { ...state.settings, ...saved };
+      setSaveStatus("success", "Saved");
+      return true;
+    } catch (error) {
+      console.error("Failed to save settings:", error);
+      setSaveStatus("error", "Save failed: " + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Show storage usage against the quota
+   */
+  async function loadStorageUsage() {
+    try {
+      const usage = await sendMessage("getStorageUsage");
+
+      elements.usageFill.style.width = `${Math.min(usage.percentUsed, 100)}%`;
+      const warnings = [];
+      if (usage.overLimit) {
+        warnings.push(`Kept analyses alone use ${formatBytes(usage.keptBytes)}, over the ` +
+          `${formatBytes(usage.maxBytes)} limit`);
+      }
+      if (usage.overEntryLimit) {
+        warnings.push(`${usage.keptCount} kept analyses fill the limit of ${usage.maxEntries}, ` +
+          "so only the latest other one is kept");
+      }
+
+      elements.usageFill.classList.toggle("high", usage.percentUsed >= 80 || warnings.length > 0);
+      elements.usageText.textContent =
+        `Using ${formatBytes(usage.bytesInUse)} of ${formatBytes(usage.quotaBytes)} ` +
+        `(${usage.percentUsed}%) · ${usage.entryCount} saved analyses ` +
+        `(${formatBytes(usage.analysesBytes)}), ${usage.keptCount} kept regardless of limits` +
+        (warnings.length > 0
+          ? ` · ${warnings.join("; ")}: unpin, unstar or remove labels from some to free space`
+          : "");
+    } catch (error) {
+      console.error("Failed to load storage usage:", error);
+      elements.usageText.textContent = "Storage usage unavailable";
+    }
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Load user rules and render the merged rule list
+   */
+  async function loadSiteRules() {
+    state.userRules = await SiteRules.getUserRules();
+    renderRuleList();
+  }
+
+  /**
+   * Render all effective site rules with their source and actions
+   */
+  function renderRuleList() {
+    const rules = SiteRules.mergeRules(state.userRules);
+    elements.ruleList.innerHTML = "";
+
+    rules.forEach((rule) => {
+      const isDefault = SiteRules.isDefaultRule(rule.id);
+      const isUserRule = state.userRules.some((item) => item.id === rule.id);
+      const badge = !isDefault ? "Custom" : isUserRule ? "Modified" : "Built-in";
+
+      const item = document.createElement("li");
+      item.className = `rule-item${rule.enabled ? "" : " disabled"}`;
+      item.dataset.ruleId = rule.id;
+      item.innerHTML = `
+        <input type="checkbox" class="rule-toggle" title="Enabled" ${
+          rule.enabled ? "checked" : ""
+        }>
+        <div class="rule-info">
+          <div class="rule-name">${escapeHtml(rule.name)}<span class="rule-badge">${badge}</span></div>
+          <div class="rule-domains">${escapeHtml(rule.domains.join(", "))}</div>
+        </div>
+        <button type="button" class="link-btn" data-rule-action="edit">Edit</button>
+        ${
+          isUserRule
+            ? `<button type="button" class="link-btn" data-rule-action="delete">${
+                isDefault ? "Revert" : "Delete"
+              }</button>`
+            : ""
+        }
+      `;
+      elements.ruleList.appendChild(item);
+    });
+  }
+
+  /**
+   * Handle edit/delete buttons in the rule list
+   */
+  async function handleRuleListClick(event) {
+    const button = event.target.closest("[data-rule-action]");
+    if (!button) return;
+
+    const ruleId = button.closest(".rule-item").dataset.ruleId;
+
+    if (button.dataset.ruleAction === "edit") {
+      openRuleEditor(ruleId);
+    } else if (button.dataset.ruleAction === "delete") {
+      await persistRules(state.userRules.filter((rule) => rule.id !== ruleId));
+    }
+  }
+
+  /**
+   * Enable or disable a rule (creates a user override for built-in rules)
+   */
+  async function handleRuleToggle(event) {
+    if (!event.target.classList.contains("rule-toggle")) return;
+
+    const ruleId = event.target.closest(".rule-item").dataset.ruleId;
+    const rule = findEffectiveRule(ruleId);
+    await upsertRules([{ ...rule, enabled: event.target.checked }]);
+  }
+
+  /**
+   * Show the JSON editor for an existing rule or a new rule template
+   */
+  function openRuleEditor(ruleId) {
+    const rule = ruleId
+      ? findEffectiveRule(ruleId)
+      : {
+          id: "my-site",
+          name: "My site",
+          domains: ["example.com"],
+          contentSelectors: ["article"],
+          titleSelectors: [],
+          removeSelectors: [],
+          cleanupPatterns: [],
+          enabled: true,
+        };
+
+    state.editingRuleId = ruleId;
+    elements.ruleJson.value = JSON.stringify(rule, null, 2);
+    elements.ruleError.textContent = "";
+    elements.ruleEditor.hidden = false;
+    elements.ruleJson.focus();
+  }
+
+  function closeRuleEditor() {
+    state.editingRuleId = null;
+    elements.ruleEditor.hidden = true;
+  }
+
+  /**
+   * Validate and save the rule in the editor
+   */
+  async function handleSaveRule() {
+    let rule;
+
+    try {
+      rule = JSON.parse(elements.ruleJson.value);
+    } catch (error) {
+      elements.ruleError.textContent = "Invalid JSON: " + error.message;
+      return;
+    }
+
+    const errors = SiteRules.validateRule(rule);
+    if (errors.length > 0) {
+      elements.ruleError.textContent = errors.join("; ");
+      return;
+    }
+
+    const isRename = state.editingRuleId && state.editingRuleId !== rule.id;
+    if (
+      (!state.editingRuleId || isRename) &&
+      findEffectiveRule(rule.id) &&
+      !confirm(`A rule with id "${rule.id}" already exists. Replace it?`)
+    ) {
+      return;
+    }
+
+    let rules = state.userRules;
+    if (isRename) {
+      rules = rules.filter((item) => item.id !== state.editingRuleId);
+    }
+
+    if (await persistRules(upsertInto(rules, [rule]))) {
+      closeRuleEditor();
+    }
+  }
+
+  /**
+   * Import rules from a JSON file, replacing rules with the same id
+   */
+  async function handleImportRules() {
+    const [file] = elements.importRulesInput.files;
+    elements.importRulesInput.value = "";
+    if (!file) return;
+
+    try {
+      const rules = SiteRules.parseRules(await file.text());
+      if (await upsertRules(rules)) {
+        setSaveStatus("success", `Imported ${rules.length} rule(s)`);
+      }
+    } catch (error) {
+      console.error("Failed to import rules:", error);
+      setSaveStatus("error", "Import failed: " + error.message);
+    }
+  }
+
+  /**
+   * Download all effective rules as JSON
+   */
+  function handleExportRules() {
+    const json = SiteRules.serializeRules(SiteRules.mergeRules(state.userRules));
+    downloadFile("bear-peek-site-rules.json", json, "application/json");
+  }
+
+  function findEffectiveRule(ruleId) {
+    return SiteRules.mergeRules(state.userRules).find((rule) => rule.id === ruleId);
+  }
+
+  function upsertInto(rules, updates) {
+    const byId = new Map(rules.map((rule) => [rule.id, rule]));
+    updates.forEach((rule) => byId.set(rule.id, rule));
+    return Array.from(byId.values());
+  }
+
+  async function upsertRules(updates) {
+    return persistRules(upsertInto(state.userRules, updates));
+  }
+
+  /**
+   * Store user rules and refresh the list
+   */
+  async function persistRules(rules) {
+    setSaveStatus("", "Saving...");
+
+    try {
+      await SiteRules.saveUserRules(rules);
+      state.userRules = await SiteRules.getUserRules();
+      renderRuleList();
+      setSaveStatus("success", "Saved");
+      return true;
+    } catch (error) {
+      console.error("Failed to save site rules:", error);
+      setSaveStatus("error", "Save failed: " + error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Trigger a download of generated text
+   */
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(text) {
+    if (!text) return "";
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Read a setting value from its form field
+   */
+  function readField(key) {
+    const field = getField(key);
+
+    if (field.type === "checkbox") return field.checked;
+    if (field.dataset.list) {
+      // Patterns may contain commas, so they are split on lines only
+      return field.value
+        .split(field.dataset.list === "lines" ? /\n/ : /[\n,]/)
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+    if (field.type === "number") {
+      return field.value.trim() === "" ? NaN : Number(field.value);
+    }
+    return field.value.trim();
+  }
+
+  function getField(key) {
+    return elements.form.elements.namedItem(key);
+  }
+
+  /**
+   * Show or clear the validation error for a field
+   */
+  function showFieldError(key, message) {
+    const errorElement = document.querySelector(`[data-error-for="${key}"]`);
+    if (errorElement) {
+      errorElement.textContent = message || "";
+      errorElement.closest(".field").classList.toggle("invalid", Boolean(message));
+    }
+  }
+
+  /**
+   * Update the save status indicator in the header
+   */
+  function setSaveStatus(type, message) {
+    elements.saveStatus.className = `save-status ${type}`;
+    elements.saveStatus.textContent = message;
+  }
+
+  /**
+   * Send a message to the background worker and unwrap the response
+   */
+  function sendMessage(action, data) {
+    return BearPeekMessages.sendToBackground(action, data);
+  }
+
+  // Initialize when DOM is loaded
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
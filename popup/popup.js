@@ -6,6 +6,16 @@
 "use strict";
 
 (function () {
+  // Delay before reconnecting the progress port (see background/progress-channel.js)
+  const RECONNECT_DELAY = 1000;
+
+  // Masked items listed under an analysis
+  const MAX_REDACTION_PREVIEW = 20;
+
+  // Pause in typing before the history is searched
+  const SEARCH_DELAY = 250;
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
   // DOM elements
   const elements = {
     extractBtn: document.getElementById("extractBtn"),
@@ -13,9 +23,47 @@
     closeBtn: document.getElementById("closeBtn"),
     statusIndicator: document.getElementById("statusIndicator"),
     statusText: document.getElementById("statusText"),
+    policyNotice: document.getElementById("policyNotice"),
     contentSection: document.getElementById("contentSection"),
     contentPreview: document.getElementById("contentPreview"),
     loadingSection: document.getElementById("loadingSection"),
+    loadingText: document.getElementById("loadingText"),
+    progressBar: document.getElementById("progressBar"),
+    progressFill: document.getElementById("progressFill"),
+    partialResult: document.getElementById("partialResult"),
+    partialLabel: document.getElementById("partialLabel"),
+    partialSummary: document.getElementById("partialSummary"),
+    analysisResult: document.getElementById("analysisResult"),
+    exportBar: document.getElementById("exportBar"),
+    reanalyzeBtn: document.getElementById("reanalyzeBtn"),
+    annotationBar: document.getElementById("annotationBar"),
+    starBtn: document.getElementById("starBtn"),
+    tagsInput: document.getElementById("tagsInput"),
+    collectionsInput: document.getElementById("collectionsInput"),
+    collectionOptions: document.getElementById("collectionOptions"),
+    noteInput: document.getElementById("noteInput"),
+    historyBtn: document.getElementById("historyBtn"),
+    historySection: document.getElementById("historySection"),
+    historyList: document.getElementById("historyList"),
+    historyCloseBtn: document.getElementById("historyCloseBtn"),
+    historySearch: document.getElementById("historySearch"),
+    historyDomain: document.getElementById("historyDomain"),
+    historyDate: document.getElementById("historyDate"),
+    historySentiment: document.getElementById("historySentiment"),
+    historyGroup: document.getElementById("historyGroup"),
+    historyTag: document.getElementById("historyTag"),
+    collectionExport: document.getElementById("collectionExport"),
+    translateBar: document.getElementById("translateBar"),
+    translateLanguage: document.getElementById("translateLanguage"),
+    translateBtn: document.getElementById("translateBtn"),
+    translationView: document.getElementById("translationView"),
+    chatSection: document.getElementById("chatSection"),
+    chatLog: document.getElementById("chatLog"),
+    chatForm: document.getElementById("chatForm"),
+    chatInput: document.getElementById("chatInput"),
+    askBtn: document.getElementById("askBtn"),
+    chatClearBtn: document.getElementById("chatClearBtn"),
+    jobList: document.getElementById("jobList"),
   };
 
   // Application state
@@ -23,16 +71,26 @@
     isLoading: false,
     currentTab: null,
     extractedContent: null,
+    processId: null,
+    starred: false,
+    settings: null,
+    policy: null,
+    searchTimer: null,
+    asking: false,
+    jobs: new Map(),
   };
 
   /**
    * Initialize the popup when DOM is loaded
    */
-  function init() {
+  async function init() {
     setupEventListeners();
-    getCurrentTab();
-    loadUserSettings();
     updateStatus("ready", "Ready");
+    // The domain policy of the tab depends on the settings
+    await loadUserSettings();
+    await getCurrentTab();
+    connectProgress();
+    await loadTabAnalysis();
   }
 
   /**
@@ -42,9 +100,37 @@
     elements.extractBtn.addEventListener("click", handleExtractContent);
     elements.settingsBtn.addEventListener("click", handleOpenSettings);
     elements.closeBtn.addEventListener("click", handleCloseContent);
-
-    // Listen for messages from background script
-    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+    elements.exportBar.addEventListener("click", handleExportClick);
+    elements.reanalyzeBtn.addEventListener("click", handleReanalyze);
+    elements.historyBtn.addEventListener("click", handleToggleHistory);
+    elements.historyCloseBtn.addEventListener("click", closeHistory);
+    elements.historyList.addEventListener("click", handleHistoryClick);
+    elements.historySearch.addEventListener("input", scheduleSearch);
+    [
+      elements.historyDomain,
+      elements.historyDate,
+      elements.historySentiment,
+      elements.historyGroup,
+      elements.historyTag,
+    ].forEach((select) => select.addEventListener("change", searchHistory));
+    elements.collectionExport.addEventListener("click", handleCollectionExport);
+    elements.starBtn.addEventListener("click", () =>
+      saveAnnotations({ starred: !state.starred })
+    );
+    elements.tagsInput.addEventListener("change", () =>
+      saveAnnotations({ tags: splitList(elements.tagsInput.value) })
+    );
+    elements.collectionsInput.addEventListener("change", () =>
+      saveAnnotations({ collections: splitList(elements.collectionsInput.value) })
+    );
+    elements.noteInput.addEventListener("change", () =>
+      saveAnnotations({ note: elements.noteInput.value })
+    );
+    elements.translateBtn.addEventListener("click", () => handleTranslate(false));
+    elements.translationView.addEventListener("click", handleTranslationClick);
+    elements.chatForm.addEventListener("submit", handleAskQuestion);
+    elements.chatClearBtn.addEventListener("click", handleClearChat);
+    elements.jobList.addEventListener("click", handleJobClick);
   }
 
   /**
@@ -60,11 +146,8 @@
 
       console.log("Current tab:", tab);
 
-      // Check if we can inject scripts on this tab
-      if (!canInjectScript(tab.url)) {
-        updateStatus("error", "Cannot access this page");
-        elements.extractBtn.disabled = true;
-      }
+      state.policy = BearPeekDomainPolicy.evaluate(tab.url, state.settings || {});
+      renderPolicy(state.policy);
     } catch (error) {
       console.error("Failed to get current tab:", error);
       updateStatus("error", "Tab access failed");
@@ -72,20 +155,62 @@
   }
 
   /**
-   * Check if we can inject content scripts on the given URL
+   * Show the analysis already made for this tab (e.g. by auto-extraction)
+   */
+  async function loadTabAnalysis() {
+    if (!state.currentTab) return;
+
+    try {
+      const entry = await sendMessage("getTabAnalysis", {
+        tabId: state.currentTab.id,
+        url: state.currentTab.url,
+      });
+      if (!entry) return;
+
+      if (entry.status === "completed") {
+        await showStoredAnalysis(entry.processId);
+        updateStatus("success", "Analysis ready");
+      } else if (entry.status === "processing") {
+        updateStatus("loading", "Analyzing page...");
+      }
+    } catch (error) {
+      console.error("Failed to load tab analysis:", error);
+    }
+  }
+
+  /**
+   * Explain the domain policy of the current page: why Bear Peek is blocked,
+   * or that it auto-analyzes or keeps the content local
    */
-  function canInjectScript(url) {
-    const protectedPages = [
-      "chrome://",
-      "chrome-extension://",
-      "moz-extension://",
-      "edge://",
-      "opera://",
-      "brave://",
-      "file://",
-    ];
+  function renderPolicy(policy) {
+    const notes = [];
+
+    if (!policy.allowed) {
+      updateStatus(
+        "error",
+        policy.code === "protected" ? "Cannot access this page" : "Blocked on this site"
+      );
+      elements.extractBtn.disabled = true;
+      notes.push(policy.reason);
+      if (policy.code !== "protected") {
+        notes.push("Change this in Settings → Site access.");
+      }
+    } else {
+      if (policy.autoExtract) {
+        notes.push("Articles on this site are analyzed automatically.");
+      }
+      if (policy.neverSendDomain && state.settings?.aiProvider !== "local") {
+        notes.push(
+          `Analyzed locally only: ${policy.neverSendDomain} is on your never-send list.`
+        );
+      }
+    }
 
-    return !protectedPages.some((prefix) => url.startsWith(prefix));
+    elements.policyNotice.innerHTML = notes
+      .map((note) => `<p>${escapeHtml(note)}</p>`)
+      .join("");
+    elements.policyNotice.className = `policy-notice${policy.allowed ? "" : " blocked"}`;
+    elements.policyNotice.style.display = notes.length > 0 ? "block" : "none";
   }
 
   /**
@@ -100,41 +225,39 @@
 
       console.log("Starting content extraction for tab:", state.currentTab.id);
 
-      // Inject content script and extract content
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: state.currentTab.id },
-        func: extractPageContent,
-      });
+      const content = await extractFromTab(state.currentTab.id);
+      console.log("Extracted content:", content.metadata?.title, `(${content.content?.length || 0} characters)`);
 
-      console.log("Script execution results:", results);
-
-      if (results && results[0] && results[0].result) {
-        const content = results[0].result;
-        console.log("Extracted content:", content);
-
-        state.extractedContent = content;
-        displayExtractedContent(content);
-        updateStatus("success", "Content extracted");
-
-        // Send content to background for processing
-        chrome.runtime
-          .sendMessage({
-            action: "processContent",
-            data: {
-              content: content,
-              url: state.currentTab.url,
-              title: state.currentTab.title,
-            },
-          })
-          .then((response) => {
-            console.log("Background processing response:", response);
-          })
-          .catch((error) => {
-            console.error("Failed to send to background:", error);
-          });
-      } else {
-        throw new Error("No content extracted");
-      }
+      state.extractedContent = content;
+      displayExtractedContent(content);
+      updateStatus("success", "Content extracted");
+
+      // Send content to background for processing
+      sendMessage("processContent", {
+        content: content,
+        url: content.metadata.url || state.currentTab.url,
+        title: content.metadata.title || state.currentTab.title,
+        tabId: state.currentTab.id,
+      })
+        .then((response) => {
+          console.log("Background processing response:", response);
+          displayAnalysis(response.processId, response.result);
+        })
+        .catch((error) => {
+          console.error("Failed to send to background:", error);
+          hideProgress();
+
+          // Cancelling from the job list rejects the request too
+          if (error.message === "Job cancelled") {
+            updateStatus("ready", "Analysis cancelled");
+            return;
+          }
+          updateStatus(
+            "error",
+            error.code === BearPeekMessages.ERROR_CODES.POLICY_BLOCKED ? "Blocked on this site" : "Processing failed"
+          );
+          showError("Failed to analyze this page: " + error.message);
+        });
     } catch (error) {
       console.error("Content extraction failed:", error);
       updateStatus("error", "Extraction failed");
@@ -145,125 +268,41 @@
   }
 
   /**
-   * Content extraction function (injected into page)
-   * This function runs in the context of the web page
-   */
-  function extractPageContent() {
-    /**
-     * Clean extracted text by removing extra whitespace and unwanted characters
-     */
-    function cleanText(text) {
-      if (!text) return "";
-
-      return text
-        .replace(/\s+/g, " ")
-        .replace(/[\r\n\t]/g, " ")
-        .trim()
-        .substring(0, 5000); // Limit content length
-    }
-
-    /**
-     * Extract content using multiple fallback strategies
-     */
-    function extractContent() {
-      const selectors = [
-        "article",
-        '[role="main"]',
-        "main",
-        ".post-content",
-        ".entry-content",
-        ".content",
-        ".article-content",
-        ".blog-post",
-        "#content",
-      ];
-
-      // Try each selector
-      for (const selector of selectors) {
-        try {
-          const element = document.querySelector(selector);
-          if (element && element.innerText && element.innerText.length > 100) {
-            console.log("Found content with selector:", selector);
-            return cleanText(element.innerText);
-          }
-        } catch (e) {
-          console.warn("Error with selector", selector, e);
-        }
-      }
-
-      // Fallback to body content, but try to exclude navigation and footer
-      try {
-        const body = document.body.cloneNode(true);
-
-        // Remove common navigation and footer elements
-        const unwantedSelectors = [
-          "nav",
-          "header",
-          "footer",
-          ".navigation",
-          ".nav",
-          ".menu",
-          ".sidebar",
-          ".ads",
-          ".advertisement",
-          ".social",
-          ".share",
-          ".comments",
-          "script",
-          "style",
-          "noscript",
-        ];
-
-        unwantedSelectors.forEach((selector) => {
-          try {
-            const elements = body.querySelectorAll(selector);
-            elements.forEach((el) => el.remove());
-          } catch (e) {
-            console.warn("Error removing elements with selector", selector, e);
-          }
-        });
-
-        console.log("Using body fallback");
-        return cleanText(body.innerText);
-      } catch (e) {
-        console.error("Error with body fallback:", e);
-        return "";
-      }
-    }
+   * Extract content through the content script's extraction engine,
+   * injecting the content scripts first if they are not running in the tab
+   */
+  async function extractFromTab(tabId) {
+    let response;
 
     try {
-      console.log("Extracting content from page:", window.location.href);
-
-      const content = extractContent();
-      const metadata = {
-        title: document.title || "Untitled",
-        url: window.location.href,
-        description:
-          document.querySelector('meta[name="description"]')?.content || "",
-        contentLength: content.length,
-        extractedAt: new Date().toISOString(),
-      };
+      response = await chrome.tabs.sendMessage(
+        tabId,
+        BearPeekMessages.createRequest("extractContent")
+      );
+    } catch (error) {
+      // No listener: the page was loaded before the extension or was skipped
+      console.log("Content script not available, injecting:", error.message);
 
-      console.log("Content extracted successfully, length:", content.length);
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: getContentScriptFiles(),
+      });
 
-      return {
-        content: content,
-        metadata: metadata,
-      };
-    } catch (error) {
-      console.error("Content extraction error:", error);
-      return {
-        content: "Error extracting content: " + error.message,
-        metadata: {
-          title: "Error",
-          url: window.location.href,
-          description: "Failed to extract content",
-          contentLength: 0,
-          extractedAt: new Date().toISOString(),
-          error: error.message,
-        },
-      };
+      response = await chrome.tabs.sendMessage(
+        tabId,
+        BearPeekMessages.createRequest("extractContent")
+      );
     }
+
+    return BearPeekMessages.unwrapResponse(response);
+  }
+
+  /**
+   * Content script files, in injection order, as declared in the manifest
+   */
+  function getContentScriptFiles() {
+    const [contentScript] = chrome.runtime.getManifest().content_scripts;
+    return contentScript.js;
   }
 
   /**
@@ -272,17 +311,15 @@
   function displayExtractedContent(data) {
     const { content, metadata } = data;
 
-    // ✅ THÊM DÒNG NÀY ĐỂ LOG
-    console.log("=== EXTRACTED CONTENT ===");
-    console.log("Title:", metadata.title);
-    console.log("Content Length:", content.length);
-    console.log("Content Preview:", content.substring(0, 500));
-    console.log("Full Content:", content);
-    console.log("Metadata:", metadata);
-    console.log("========================");
-
-    // Show content section
+    // Show content section (analysis arrives later from the background)
     elements.contentSection.style.display = "block";
+    elements.analysisResult.style.display = "none";
+    elements.exportBar.style.display = "none";
+    elements.annotationBar.style.display = "none";
+    elements.translateBar.style.display = "none";
+    elements.translationView.style.display = "none";
+    elements.chatSection.style.display = "none";
+    state.processId = null;
 
     // Create content preview
     const preview =
@@ -306,12 +343,847 @@
     elements.contentSection.scrollIntoView({ behavior: "smooth" });
   }
 
+  /**
+   * Display analysis results and enable export for the stored analysis
+   */
+  function displayAnalysis(processId, result) {
+    if (!result) return;
+
+    state.processId = processId;
+
+    const topics = (result.keyTopics || [])
+      .map((topic) => `<span class="topic-tag">${escapeHtml(topic)}</span>`)
+      .join("");
+
+    elements.analysisResult.innerHTML = `
+            <h4>Summary</h4>
+            <p>${escapeHtml(result.summary || "No summary available.")}</p>
+            <p><small>${result.wordCount} words · ${
+              result.readingTime
+            } min read</small></p>
+            ${topics ? `<h4>Key topics</h4><div class="topic-list">${topics}</div>` : ""}
+            ${renderEntities(result.entities)}
+            ${renderSentiment(result.sentiment)}
+            ${renderRedaction(
+              result.redaction,
+              result.content || state.extractedContent?.content || ""
+            )}
+        `;
+
+    elements.analysisResult.style.display = "block";
+    elements.exportBar.style.display = "flex";
+
+    renderAnnotations(result);
+    elements.annotationBar.style.display = "flex";
+    loadCollectionOptions();
+
+    // Translations are shown on request, into the language setting by default
+    if (state.settings?.language) {
+      elements.translateLanguage.value = state.settings.language;
+    }
+    elements.translateBar.style.display = "flex";
+    elements.translationView.style.display = "none";
+
+    renderChat(result.chat || []);
+    elements.chatSection.style.display = "block";
+  }
+
+  /**
+   * Translate the displayed analysis (cached translations come back right away)
+   */
+  async function handleTranslate(refresh) {
+    if (!state.processId || elements.translateBtn.disabled) return;
+
+    const processId = state.processId;
+    const language = elements.translateLanguage.value;
+    elements.translateBtn.disabled = true;
+    updateStatus("loading", "Translating...");
+
+    try {
+      const translation = await sendMessage("translateAnalysis", {
+        processId,
+        language,
+        refresh,
+        tabId: state.currentTab?.id,
+      });
+
+      if (state.processId === processId) {
+        renderTranslation(translation);
+        updateStatus("success", translation.cached ? "Translation loaded" : "Translated");
+      }
+    } catch (error) {
+      console.error("Translation failed:", error);
+      updateStatus("error", "Translation failed");
+      showError("Translation failed: " + error.message);
+    } finally {
+      elements.translateBtn.disabled = false;
+      hideProgress();
+    }
+  }
+
+  /**
+   * Show a translation paragraph by paragraph next to the original
+   */
+  function renderTranslation(translation) {
+    const languageName =
+      elements.translateLanguage.querySelector(`option[value="${translation.language}"]`)
+        ?.textContent || translation.language;
+    const row = (source, text) => `
+                <div class="translation-row">
+                    <div class="translation-source">${escapeHtml(source)}</div>
+                    ${
+                      text
+                        ? `<div class="translation-text">${escapeHtml(text)}</div>`
+                        : `<div class="translation-text unchanged" title="Already in ${escapeHtml(
+                            languageName
+                          )}">${escapeHtml(source)}</div>`
+                    }
+                </div>`;
+
+    elements.translationView.innerHTML = `
+            <div class="translation-header">
+                <span>${escapeHtml(languageName)} · ${escapeHtml(translation.provider || "")}${
+                  translation.model ? ` · ${escapeHtml(translation.model)}` : ""
+                }${translation.cached ? ` · saved ${formatDate(translation.translatedAt)}` : ""}</span>
+                <span>
+                    <button class="translation-action" data-action="refresh" title="Translate again">↻</button>
+                    <button class="translation-action" data-action="hide" title="Hide translation">✕</button>
+                </span>
+            </div>
+            ${translation.title ? `<h4 class="translation-title">${escapeHtml(translation.title)}</h4>` : ""}
+            ${translation.summary ? `<div class="translation-label">Summary</div>${row(translation.sourceSummary, translation.summary)}` : ""}
+            <div class="translation-label">Article</div>
+            ${translation.paragraphs.map((paragraph) => row(paragraph.source, paragraph.text)).join("")}
+        `;
+    elements.translationView.style.display = "block";
+  }
+
+  function handleTranslationClick(event) {
+    const button = event.target.closest(".translation-action");
+    if (!button) return;
+
+    if (button.dataset.action === "refresh") {
+      handleTranslate(true);
+    } else {
+      elements.translationView.style.display = "none";
+    }
+  }
+
+  /**
+   * Show the star, tags, collections and note of the displayed analysis
+   */
+  function renderAnnotations(annotations) {
+    state.starred = Boolean(annotations.starred);
+    elements.starBtn.textContent = state.starred ? "★" : "☆";
+    elements.starBtn.title = state.starred ? "Unstar" : "Star";
+    elements.tagsInput.value = (annotations.tags || []).join(", ");
+    elements.collectionsInput.value = (annotations.collections || []).join(", ");
+    elements.noteInput.value = annotations.note || "";
+  }
+
+  /**
+   * Save annotation changes of the displayed analysis
+   */
+  async function saveAnnotations(changes) {
+    if (!state.processId) return;
+
+    try {
+      const entry = await sendMessage("annotateAnalysis", {
+        processId: state.processId,
+        ...changes,
+      });
+      renderAnnotations(entry);
+      updateStatus("success", "Saved");
+      loadCollectionOptions();
+    } catch (error) {
+      console.error("Failed to save annotations:", error);
+      showError("Could not save: " + error.message);
+    }
+  }
+
+  /**
+   * Suggest existing collections while typing
+   */
+  async function loadCollectionOptions() {
+    try {
+      const labels = await sendMessage("getLabels");
+      elements.collectionOptions.innerHTML = labels.collections
+        .map((collection) => `<option value="${escapeHtml(collection.name)}"></option>`)
+        .join("");
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+    }
+  }
+
+  function splitList(value) {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Show the questions and answers about the displayed analysis
+   */
+  function renderChat(messages) {
+    elements.chatLog.innerHTML = messages.map(renderChatMessage).join("");
+    elements.chatClearBtn.style.display = messages.length ? "inline-block" : "none";
+    elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+  }
+
+  function renderChatMessage(message) {
+    if (message.role === "user") {
+      return `<li class="chat-message chat-question">${escapeHtml(message.content)}</li>`;
+    }
+
+    const citations = message.citations || [];
+    const local = message.provider === "local";
+    // [n] (and [n, m-k]) markers become references to the cited paragraphs
+    const answer = escapeHtml(message.content).replace(
+      /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g,
+      (marker, numbers) =>
+        numbers.replace(
+          /\d+/g,
+          (number) => `<span class="chat-citation" title="Paragraph ${number}">${number}</span>`
+        )
+    );
+    const sources = citations
+      .map(
+        (citation) => `
+                <li><span class="chat-citation">${citation.paragraph}</span> ${escapeHtml(citation.text)}</li>`
+      )
+      .join("");
+    const origin = local
+      ? message.providerError
+        ? `Matching passages (AI unavailable: ${escapeHtml(message.providerError)})`
+        : "Matching passages (offline)"
+      : `Answered by ${escapeHtml(message.provider)}${
+          message.model ? ` · ${escapeHtml(message.model)}` : ""
+        }`;
+
+    return `
+            <li class="chat-message chat-answer${local ? " local" : ""}">
+                <div class="chat-text">${answer}</div>
+                ${
+                  sources
+                    ? `<details class="chat-sources"${local ? " open" : ""}>
+                    <summary>Sources (${citations.length})</summary>
+                    <ol>${sources}</ol>
+                </details>`
+                    : ""
+                }
+                <div class="chat-origin">${origin}</div>
+            </li>`;
+  }
+
+  /**
+   * Ask a question about the displayed analysis
+   */
+  async function handleAskQuestion(event) {
+    event.preventDefault();
+    const question = elements.chatInput.value.trim();
+    if (!question || !state.processId || state.asking) return;
+
+    const processId = state.processId;
+    state.asking = true;
+    elements.askBtn.disabled = true;
+    elements.chatInput.value = "";
+    elements.chatLog.insertAdjacentHTML(
+      "beforeend",
+      `<li class="chat-message chat-question">${escapeHtml(question)}</li>
+            <li class="chat-message chat-answer pending">Thinking…</li>`
+    );
+    elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+
+    try {
+      const reply = await sendMessage("askQuestion", { processId, question });
+      if (state.processId === processId) {
+        elements.chatLog.querySelector(".pending")?.remove();
+        elements.chatLog.insertAdjacentHTML("beforeend", renderChatMessage(reply.messages[1]));
+        elements.chatClearBtn.style.display = "inline-block";
+        elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+      }
+    } catch (error) {
+      console.error("Question failed:", error);
+      elements.chatLog.querySelector(".pending")?.remove();
+      elements.chatInput.value = question;
+      showError("Could not answer: " + error.message);
+    } finally {
+      state.asking = false;
+      elements.askBtn.disabled = false;
+      elements.chatInput.focus();
+    }
+  }
+
+  async function handleClearChat() {
+    if (!state.processId || !confirm("Clear this conversation?")) return;
+
+    try {
+      await sendMessage("clearChat", { processId: state.processId });
+      renderChat([]);
+    } catch (error) {
+      console.error("Failed to clear conversation:", error);
+      showError("Could not clear conversation: " + error.message);
+    }
+  }
+
+  /**
+   * Named entities grouped by type, with how often each is mentioned
+   */
+  function renderEntities(entities) {
+    if (!Array.isArray(entities) || entities.length === 0) return "";
+
+    const groups = entities
+      .map(
+        (group) => `
+                <div class="entity-group ${escapeHtml(group.type)}">
+                    <span class="entity-label">${escapeHtml(group.label)}</span>
+                    <div class="topic-list">${group.items
+                      .map(
+                        (entity) =>
+                          `<span class="topic-tag entity-tag" title="${escapeHtml(
+                            `Mentioned ${entity.count} time${entity.count === 1 ? "" : "s"}`
+                          )}">${escapeHtml(entity.text)}${
+                            entity.count > 1 ? ` <small>×${entity.count}</small>` : ""
+                          }</span>`
+                      )
+                      .join("")}</div>
+                </div>`
+      )
+      .join("");
+
+    return `<h4>Entities</h4><div class="entity-list">${groups}</div>`;
+  }
+
+  /**
+   * Overall sentiment with one strip segment per paragraph
+   */
+  function renderSentiment(sentiment) {
+    if (!sentiment) return "";
+
+    // Older analyses only stored the label
+    const details = typeof sentiment === "string" ? { label: sentiment } : sentiment;
+    const label = details.label || "neutral";
+    const score =
+      typeof details.score === "number"
+        ? ` · score ${details.score > 0 ? "+" : ""}${details.score.toFixed(2)}`
+        : "";
+    const source =
+      details.source && details.source !== "lexicon"
+        ? ` · refined by ${escapeHtml(details.source)}`
+        : "";
+
+    const segments = (details.paragraphs || [])
+      .map(
+        (paragraph) =>
+          `<span class="sentiment-segment ${escapeHtml(paragraph.label)}" title="${escapeHtml(
+            `${paragraph.score.toFixed(2)} – ${paragraph.excerpt}`
+          )}"></span>`
+      )
+      .join("");
+
+    return `
+            <h4>Sentiment</h4>
+            <p><span class="sentiment-label ${escapeHtml(label)}">${escapeHtml(
+              label
+            )}</span><small>${score}${source}</small></p>
+            ${segments ? `<div class="sentiment-strip">${segments}</div>` : ""}
+        `;
+  }
+
+  /**
+   * What was kept from the AI provider: the never-send notice, or the masked
+   * personal data with a preview of the matches in the content
+   */
+  function renderRedaction(redaction, content) {
+    if (!redaction) return "";
+
+    if (redaction.blockedDomain) {
+      return `<p><small>🔒 Not sent to the AI provider: ${escapeHtml(
+        redaction.blockedDomain
+      )} is on the never-send list</small></p>`;
+    }
+    if (!redaction.total) {
+      return "<p><small>🔒 No personal data detected in the content sent</small></p>";
+    }
+
+    // Matches found again with the current settings, as stored analyses keep no copy of them
+    const matches = state.settings
+      ? BearPeekRedaction.redact(
+          content,
+          BearPeekRedaction.getOptions(state.settings)
+        ).matches.slice(0, MAX_REDACTION_PREVIEW)
+      : [];
+    const items = matches
+      .map(
+        (match) =>
+          `<li><span class="redaction-type">${escapeHtml(
+            BearPeekRedaction.TYPES[match.type].token
+          )}</span> ${escapeHtml(content.substring(match.start, match.end))}</li>`
+      )
+      .join("");
+
+    return `
+            <details class="redaction-details">
+                <summary>🔒 Masked before sending: ${escapeHtml(
+                  BearPeekRedaction.describe(redaction.counts)
+                )}</summary>
+                ${items ? `<ul class="redaction-list">${items}</ul>` : ""}
+            </details>
+        `;
+  }
+
+  /**
+   * Handle export button clicks
+   */
+  async function handleExportClick(event) {
+    const button = event.target.closest(".export-btn");
+    if (!button || !button.dataset.format || !state.processId) return;
+
+    const buttons = elements.exportBar.querySelectorAll(".export-btn");
+    buttons.forEach((item) => (item.disabled = true));
+
+    try {
+      const result = await sendMessage("exportAnalysis", {
+        processId: state.processId,
+        format: button.dataset.format,
+      });
+
+      updateStatus("success", `Saved ${result.filename}`);
+    } catch (error) {
+      console.error("Export failed:", error);
+      showError("Export failed: " + error.message);
+    } finally {
+      buttons.forEach((item) => (item.disabled = false));
+    }
+  }
+
+  /**
+   * Re-run analysis on the displayed stored item
+   */
+  async function handleReanalyze() {
+    if (!state.processId || state.isLoading) return;
+
+    try {
+      setLoadingState(true);
+      updateStatus("loading", "Re-analyzing...");
+
+      const record = await sendMessage("reanalyze", {
+        processId: state.processId,
+        tabId: state.currentTab?.id,
+      });
+
+      displayAnalysis(record.processId, record);
+      updateStatus("success", "Analysis updated");
+    } catch (error) {
+      console.error("Re-analysis failed:", error);
+      updateStatus("error", "Re-analysis failed");
+      showError("Re-analysis failed: " + error.message);
+    } finally {
+      setLoadingState(false);
+      hideProgress();
+    }
+  }
+
+  /**
+   * Show or hide the history list
+   */
+  async function handleToggleHistory() {
+    if (elements.historySection.style.display === "block") {
+      closeHistory();
+      return;
+    }
+
+    elements.historySection.style.display = "block";
+    await loadHistory();
+  }
+
+  function closeHistory() {
+    elements.historySection.style.display = "none";
+  }
+
+  /**
+   * Load stored analyses into the history list
+   */
+  async function loadHistory() {
+    elements.historyList.innerHTML =
+      '<li class="history-empty">Loading...</li>';
+
+    try {
+      const entries = await sendMessage("getHistory");
+      fillDomainFilter(entries);
+      fillLabelFilters(entries);
+
+      if (getSearchRequest()) {
+        await searchHistory();
+      } else {
+        renderHistory(entries);
+      }
+    } catch (error) {
+      console.error("Failed to load history:", error);
+      elements.historyList.innerHTML =
+        '<li class="history-empty">Could not load history</li>';
+    }
+  }
+
+  /**
+   * Offer the sites of stored analyses as domain filters
+   */
+  function fillDomainFilter(entries) {
+    const selected = elements.historyDomain.value;
+    const domains = Array.from(
+      new Set(entries.map((entry) => entry.domain).filter(Boolean))
+    ).sort();
+
+    elements.historyDomain.innerHTML =
+      '<option value="">All sites</option>' +
+      domains
+        .map((domain) => `<option value="${escapeHtml(domain)}">${escapeHtml(domain)}</option>`)
+        .join("");
+    elements.historyDomain.value = domains.includes(selected) ? selected : "";
+  }
+
+  /**
+   * Offer starred analyses, collections and tags as filters
+   */
+  function fillLabelFilters(entries) {
+    const group = elements.historyGroup.value;
+    const tag = elements.historyTag.value;
+    const collections = uniqueSorted(entries.flatMap((entry) => entry.collections));
+    const tags = uniqueSorted(entries.flatMap((entry) => entry.tags));
+
+    elements.historyGroup.innerHTML =
+      '<option value="">All analyses</option><option value="starred">★ Starred</option>' +
+      (collections.length > 0
+        ? `<optgroup label="Collections">${collections
+            .map(
+              (name) =>
+                `<option value="collection:${escapeHtml(name)}">${escapeHtml(name)}</option>`
+            )
+            .join("")}</optgroup>`
+        : "");
+    elements.historyTag.innerHTML =
+      '<option value="">Any tag</option>' +
+      tags
+        .map((name) => `<option value="${escapeHtml(name)}">#${escapeHtml(name)}</option>`)
+        .join("");
+
+    elements.historyGroup.value =
+      group === "starred" || collections.includes(group.replace(/^collection:/, ""))
+        ? group
+        : "";
+    elements.historyTag.value = tags.includes(tag) ? tag : "";
+  }
+
+  function uniqueSorted(values) {
+    return Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Collection chosen in the history filter, if any
+   */
+  function getSelectedCollection() {
+    const group = elements.historyGroup.value;
+    return group.startsWith("collection:") ? group.slice("collection:".length) : "";
+  }
+
+  function scheduleSearch() {
+    clearTimeout(state.searchTimer);
+    state.searchTimer = setTimeout(searchHistory, SEARCH_DELAY);
+  }
+
+  /**
+   * Search request from the search box and filters, or null when none is set
+   */
+  function getSearchRequest() {
+    const request = {};
+    const query = elements.historySearch.value.trim();
+
+    if (query) request.query = elements.historySearch.value;
+    if (elements.historyDomain.value) request.domain = elements.historyDomain.value;
+    if (elements.historyDate.value) {
+      request.from = Date.now() - Number(elements.historyDate.value) * MS_PER_DAY;
+    }
+    if (elements.historySentiment.value) {
+      request.sentiment = elements.historySentiment.value;
+    }
+    if (elements.historyGroup.value === "starred") request.starred = true;
+    if (getSelectedCollection()) request.collection = getSelectedCollection();
+    if (elements.historyTag.value) request.tag = elements.historyTag.value;
+
+    return Object.keys(request).length > 0 ? request : null;
+  }
+
+  /**
+   * Show stored analyses matching the search box and filters (all of them when none is set)
+   */
+  async function searchHistory() {
+    clearTimeout(state.searchTimer);
+    const request = getSearchRequest();
+    elements.collectionExport.style.display = getSelectedCollection() ? "flex" : "none";
+
+    try {
+      if (request) {
+        renderHistory(await sendMessage("searchHistory", request), true);
+      } else {
+        renderHistory(await sendMessage("getHistory"));
+      }
+    } catch (error) {
+      console.error("History search failed:", error);
+      elements.historyList.innerHTML =
+        '<li class="history-empty">Search failed</li>';
+    }
+  }
+
+  /**
+   * Render history entries (search results come with a matching snippet)
+   */
+  function renderHistory(entries, searching = false) {
+    if (entries.length === 0) {
+      elements.historyList.innerHTML = searching
+        ? '<li class="history-empty">No matching analyses</li>'
+        : '<li class="history-empty">No saved analyses yet</li>';
+      return;
+    }
+
+    elements.historyList.innerHTML = entries
+      .map((entry) => {
+        const topics = entry.keyTopics
+          .slice(0, 3)
+          .map((topic) => `<span class="topic-tag">${escapeHtml(topic)}</span>`)
+          .join("");
+        const source = entry.source === "selection" ? " · Selection" : "";
+
+        return `
+            <li class="history-item" data-process-id="${escapeHtml(entry.processId)}">
+                <div class="history-info">
+                    <div class="history-title" title="${escapeHtml(entry.title)}">${escapeHtml(entry.title)}</div>
+                    <div class="history-meta">${escapeHtml(entry.domain)} · ${formatDate(
+          entry.storedAt
+        )} · ${entry.readingTime} min${source}</div>
+                    ${topics ? `<div class="topic-list">${topics}</div>` : ""}
+                    ${renderEntryAnnotations(entry)}
+                    ${entry.snippet ? renderSnippet(entry.snippet) : ""}
+                </div>
+                <button class="close-btn pin-btn${
+                  entry.pinned ? " pinned" : ""
+                }" data-action="pin" title="${
+          entry.pinned ? "Unpin" : "Pin (never deleted automatically)"
+        }">📌</button>
+                <button class="close-btn" data-action="delete" title="Delete">🗑</button>
+            </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Star, collections and tags of a history entry
+   */
+  function renderEntryAnnotations(entry) {
+    const items = [
+      entry.starred ? "<span>★</span>" : "",
+      ...entry.collections.map(
+        (name) => `<span class="collection-name">${escapeHtml(name)}</span>`
+      ),
+      ...entry.tags.map((tag) => `<span>#${escapeHtml(tag)}</span>`),
+      entry.note ? '<span title="Has notes">📝</span>' : "",
+    ].filter(Boolean);
+
+    return items.length > 0
+      ? `<div class="history-annotations">${items.join("")}</div>`
+      : "";
+  }
+
+  /**
+   * Download every analysis of the selected collection as one file
+   */
+  async function handleCollectionExport(event) {
+    const button = event.target.closest(".export-btn");
+    const name = getSelectedCollection();
+    if (!button || !name) return;
+
+    const buttons = elements.collectionExport.querySelectorAll(".export-btn");
+    buttons.forEach((item) => (item.disabled = true));
+
+    try {
+      const result = await sendMessage("exportCollection", {
+        name: name,
+        format: button.dataset.format,
+      });
+      updateStatus("success", `Saved ${result.filename}`);
+    } catch (error) {
+      console.error("Collection export failed:", error);
+      showError("Export failed: " + error.message);
+    } finally {
+      buttons.forEach((item) => (item.disabled = false));
+    }
+  }
+
+  /**
+   * Search result passage with the matched words highlighted
+   */
+  function renderSnippet(snippet) {
+    let html = "";
+    let position = 0;
+
+    snippet.matches.forEach((match) => {
+      html +=
+        escapeHtml(snippet.text.substring(position, match.start)) +
+        `<mark>${escapeHtml(snippet.text.substring(match.start, match.end))}</mark>`;
+      position = match.end;
+    });
+    html += escapeHtml(snippet.text.substring(position));
+
+    return `<div class="history-snippet">${html}</div>`;
+  }
+
+  /**
+   * Open or delete a history entry
+   */
+  async function handleHistoryClick(event) {
+    const item = event.target.closest(".history-item");
+    if (!item) return;
+
+    const processId = item.dataset.processId;
+
+    if (event.target.closest('[data-action="delete"]')) {
+      await deleteHistoryEntry(processId, item);
+    } else if (event.target.closest('[data-action="pin"]')) {
+      await togglePinned(processId, event.target.closest(".pin-btn"));
+    } else {
+      await openHistoryEntry(processId);
+    }
+  }
+
+  /**
+   * List active jobs with a cancel button each
+   */
+  function renderJobs() {
+    const active = Array.from(state.jobs.values())
+      .filter((job) => job.status === "queued" || job.status === "running")
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    elements.jobList.style.display = active.length > 0 ? "block" : "none";
+    elements.jobList.innerHTML = active
+      .map((job) => {
+        const progress = job.progress
+          ? ` · part ${Math.min(job.progress.completed + 1, job.progress.total)} of ${
+              job.progress.total
+            }`
+          : "";
+
+        return `
+            <li class="job-item" data-job-id="${escapeHtml(job.id)}">
+                <div class="job-info">
+                    <div class="job-title" title="${escapeHtml(job.title)}">${escapeHtml(
+          job.title || "Analysis"
+        )}</div>
+                    <div class="job-status">${
+                      job.status === "running" ? "Running" : "Queued"
+                    }${progress}</div>
+                </div>
+                <button class="close-btn" data-action="cancel" title="Cancel">✕</button>
+            </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Cancel a job from the job list
+   */
+  async function handleJobClick(event) {
+    const button = event.target.closest('[data-action="cancel"]');
+    if (!button) return;
+
+    const jobId = button.closest(".job-item").dataset.jobId;
+    button.disabled = true;
+
+    try {
+      await sendMessage("cancelJob", { jobId });
+      updateStatus("ready", "Analysis cancelled");
+    } catch (error) {
+      console.error("Failed to cancel job:", error);
+      showError("Could not cancel: " + error.message);
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show a stored analysis in full
+   */
+  async function openHistoryEntry(processId) {
+    try {
+      await showStoredAnalysis(processId);
+      closeHistory();
+      updateStatus("success", "Loaded from history");
+    } catch (error) {
+      console.error("Failed to open analysis:", error);
+      showError("Could not open analysis: " + error.message);
+    }
+  }
+
+  /**
+   * Display a stored analysis together with its content
+   */
+  async function showStoredAnalysis(processId) {
+    const record = await sendMessage("getAnalysis", { processId });
+    const content = record.content || "";
+
+    displayExtractedContent({
+      content: content,
+      metadata: {
+        title: record.title || record.metadata?.title || "Untitled",
+        url: record.url || "",
+        contentLength: content.length,
+      },
+    });
+    displayAnalysis(processId, record);
+  }
+
+  /**
+   * Pin or unpin a history entry
+   */
+  async function togglePinned(processId, button) {
+    const pinned = !button.classList.contains("pinned");
+
+    try {
+      await sendMessage("setPinned", { processId, pinned });
+      button.classList.toggle("pinned", pinned);
+      button.title = pinned ? "Unpin" : "Pin (never deleted automatically)";
+    } catch (error) {
+      console.error("Failed to pin analysis:", error);
+      showError("Could not pin analysis: " + error.message);
+    }
+  }
+
+  async function deleteHistoryEntry(processId, item) {
+    if (!confirm("Delete this analysis?")) return;
+
+    try {
+      await sendMessage("deleteAnalysis", { processId });
+      item.remove();
+
+      if (state.processId === processId) {
+        handleCloseContent();
+      }
+      if (!elements.historyList.children.length) {
+        renderHistory([]);
+      }
+    } catch (error) {
+      console.error("Failed to delete analysis:", error);
+      showError("Could not delete analysis: " + error.message);
+    }
+  }
+
   /**
    * Handle close content button click
    */
   function handleCloseContent() {
     elements.contentSection.style.display = "none";
     state.extractedContent = null;
+    state.processId = null;
     updateStatus("ready", "Ready");
   }
 
@@ -319,37 +1191,120 @@
    * Handle settings button click
    */
   function handleOpenSettings() {
-    // Simple alert for now - you can implement a proper settings UI later
-    alert(
-      "Settings feature coming soon!\n\nFor now, the extension uses default settings:\n- Language: English\n- Summary: Medium length\n- Auto-extract: Disabled"
-    );
+    chrome.runtime.openOptionsPage().catch((error) => {
+      console.error("Failed to open settings:", error);
+      showError("Could not open settings: " + error.message);
+    });
+  }
+
+  /**
+   * Follow the jobs of this tab. The background replies with a snapshot of the
+   * current state, so reopening the popup mid-analysis picks up where it is.
+   */
+  function connectProgress() {
+    const port = chrome.runtime.connect({
+      name: BearPeekMessages.PROGRESS_PORT,
+    });
+
+    port.onMessage.addListener(handleProgressMessage);
+    port.onDisconnect.addListener(() => {
+      // The service worker was stopped or restarted; reconnect to catch up
+      console.log("Progress channel disconnected:", chrome.runtime.lastError?.message);
+      setTimeout(connectProgress, RECONNECT_DELAY);
+    });
+
+    port.postMessage({
+      version: BearPeekMessages.PROTOCOL_VERSION,
+      type: "subscribe",
+      tabId: state.currentTab?.id,
+    });
   }
 
   /**
-   * Handle messages from background script
+   * Handle events from the progress channel
    */
-  function handleRuntimeMessage(request, sender, sendResponse) {
-    console.log("Popup received message:", request);
+  function handleProgressMessage(message) {
+    switch (message.type) {
+      case "snapshot":
+        state.jobs = new Map((message.jobs || []).map((job) => [job.id, job]));
+        renderJobs();
+        (message.statuses || []).forEach(showJobStatus);
+        (message.partials || []).forEach(showPartialResult);
+        break;
+
+      case "job":
+        state.jobs.set(message.job.id, message.job);
+        renderJobs();
+        break;
+
+      case "status":
+        showJobStatus(message);
+        break;
 
-    switch (request.action) {
-      case "contentProcessed":
-        if (request.success) {
-          updateStatus("success", "Content processed");
-        } else {
-          updateStatus("error", "Processing failed");
-        }
+      case "partial":
+        showPartialResult(message);
         break;
 
-      case "updateStatus":
-        updateStatus(request.type, request.message);
+      case "completed":
+        handleJobCompleted(message);
+        break;
+
+      case "error":
+        console.error("Progress channel error:", message.error);
         break;
 
       default:
-        console.log("Unknown message:", request);
+        console.log("Unknown progress message:", message);
+    }
+  }
+
+  /**
+   * Show the status of a running analysis of this tab
+   */
+  function showJobStatus(event) {
+    updateStatus(event.status, event.message);
+    if (event.progress) {
+      showProgress(event.message, event.progress);
     }
+  }
+
+  /**
+   * Show the summary of a running analysis as it is written
+   */
+  function showPartialResult(event) {
+    if (!event.summary) return;
 
-    // Always send response to prevent errors
-    sendResponse({ received: true });
+    elements.loadingSection.style.display = "flex";
+    elements.partialResult.style.display = "block";
+    elements.partialLabel.textContent = event.parts
+      ? `Summary so far · part ${event.part} of ${event.parts}`
+      : "Summary so far";
+    elements.partialSummary.textContent =
+      event.keyTopics && event.keyTopics.length > 0
+        ? `${event.summary}\n\nTopics: ${event.keyTopics.join(", ")}`
+        : event.summary;
+  }
+
+  /**
+   * Show the outcome of an analysis of this tab
+   */
+  function handleJobCompleted(event) {
+    hideProgress();
+
+    if (event.success && elements.contentSection.style.display === "none") {
+      // Finished an analysis the popup didn't start; load it with its content
+      updateStatus("success", "Analysis ready");
+      showStoredAnalysis(event.processId).catch((error) =>
+        console.error("Failed to load analysis:", error)
+      );
+    } else if (event.success) {
+      updateStatus("success", "Content processed");
+      displayAnalysis(event.processId, event.result);
+    } else if (event.cancelled) {
+      updateStatus("ready", "Analysis cancelled");
+    } else {
+      updateStatus("error", "Processing failed");
+    }
   }
 
   /**
@@ -360,12 +1315,34 @@
     elements.statusIndicator.className = `status-indicator ${type}`;
   }
 
+  /**
+   * Show chunk progress of a long analysis
+   */
+  function showProgress(message, progress) {
+    elements.loadingSection.style.display = "flex";
+    elements.loadingText.textContent = message;
+    elements.progressBar.style.display = "block";
+    elements.progressFill.style.width = `${Math.round(
+      (progress.completed / progress.total) * 100
+    )}%`;
+  }
+
+  function hideProgress() {
+    elements.progressBar.style.display = "none";
+    elements.partialResult.style.display = "none";
+    elements.partialSummary.textContent = "";
+    elements.loadingText.textContent = "Processing content...";
+    if (!state.isLoading) {
+      elements.loadingSection.style.display = "none";
+    }
+  }
+
   /**
    * Set loading state
    */
   function setLoadingState(isLoading) {
     state.isLoading = isLoading;
-    elements.extractBtn.disabled = isLoading;
+    elements.extractBtn.disabled = isLoading || state.policy?.allowed === false;
     elements.loadingSection.style.display = isLoading ? "flex" : "none";
 
     if (isLoading) {
@@ -414,17 +1391,32 @@
    */
   async function loadUserSettings() {
     try {
-      const response = await chrome.runtime.sendMessage({
-        action: "getSettings",
-      });
-      if (response && response.success) {
-        console.log("User settings loaded:", response.data);
-      }
+      state.settings = await sendMessage("getSettings");
+      console.log("User settings loaded, provider:", state.settings.aiProvider);
     } catch (error) {
       console.error("Failed to load settings:", error);
     }
   }
 
+  /**
+   * Send a message to the background worker and unwrap the response
+   */
+  function sendMessage(action, data) {
+    return BearPeekMessages.sendToBackground(action, data);
+  }
+
+  /**
+   * Format a timestamp for display
+   */
+  function formatDate(timestamp) {
+    return timestamp
+      ? new Date(timestamp).toLocaleString(undefined, {
+          dateStyle: "short",
+          timeStyle: "short",
+        })
+      : "";
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
@@ -432,7 +1424,8 @@
     if (!text) return "";
     const div = document.createElement("div");
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, "&quot;");
   }
 
   /**
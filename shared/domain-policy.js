@@ -0,0 +1,128 @@
+/**
+ * Bear Peek Extension - Domain Policy
+ * Decides per page whether Bear Peek may run, auto-analyze and send content to a remote provider.
+ * Used by the content script, background worker and popup so they agree on (and explain) the outcome.
+ * (load after shared/domains.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Settings the policy depends on (content scripts read them straight from chrome.storage.sync)
+    const POLICY_KEYS = ['blockedDomains', 'blockPrivateNetworks', 'autoExtract', 'autoExtractDomains', 'neverSendDomains'];
+
+    // Pages extensions cannot script
+    const PROTECTED_PREFIXES = [
+        'chrome://',
+        'chrome-extension://',
+        'moz-extension://',
+        'edge://',
+        'opera://',
+        'brave://',
+        'file://',
+        'about:',
+        'view-source:',
+        'https://chrome.google.com/webstore',
+        'https://chromewebstore.google.com'
+    ];
+
+    // Host name suffixes used on company and home networks
+    const PRIVATE_SUFFIXES = ['.local', '.localhost', '.internal', '.intranet', '.lan', '.corp', '.home.arpa'];
+
+    /**
+     * Policy for a page URL:
+     * - `allowed`: Bear Peek may extract and analyze the page (else `code` and `reason` say why not)
+     * - `autoExtract`: articles on the page are analyzed automatically
+     * - `sendToProvider`: content may go to a remote provider (else `neverSendDomain` is the domain it matched)
+     */
+    function evaluate(url, settings = {}) {
+        const policy = {
+            allowed: true,
+            code: null,
+            reason: '',
+            autoExtract: false,
+            sendToProvider: true,
+            neverSendDomain: null
+        };
+
+        if (!url || PROTECTED_PREFIXES.some(prefix => url.startsWith(prefix))) {
+            return block(policy, 'protected', 'Browser pages cannot be analyzed');
+        }
+
+        let hostname;
+        try {
+            // Without the trailing dot of a fully qualified name, which would slip past the lists
+            hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+        } catch (error) {
+            return block(policy, 'protected', 'Not a web page');
+        }
+
+        const blockedDomain = findDomain(hostname, settings.blockedDomains);
+        if (blockedDomain) {
+            return block(policy, 'blocked', `${blockedDomain} is on your blocked sites list`, blockedDomain);
+        }
+
+        // Off unless switched on in settings, so local and intranet pages keep working after an upgrade
+        if (settings.blockPrivateNetworks === true && isPrivateHost(hostname)) {
+            return block(policy, 'private', 'Private network and intranet sites are blocked in settings', hostname);
+        }
+
+        const autoDomains = Array.isArray(settings.autoExtractDomains) ? settings.autoExtractDomains : [];
+        policy.autoExtract = settings.autoExtract === true &&
+            (autoDomains.length === 0 || Boolean(findDomain(hostname, autoDomains)));
+
+        policy.neverSendDomain = findDomain(hostname, settings.neverSendDomains);
+        policy.sendToProvider = !policy.neverSendDomain;
+
+        return policy;
+    }
+
+    /**
+     * Blocked pages are never sent to a provider either (e.g. when stored content is re-analyzed)
+     */
+    function block(policy, code, reason, domain = null) {
+        return { ...policy, allowed: false, code: code, reason: reason, sendToProvider: false, neverSendDomain: domain };
+    }
+
+    /**
+     * The entry of a domain list matching a host name, if any
+     */
+    function findDomain(hostname, domains) {
+        if (!Array.isArray(domains)) return null;
+        return domains.find(domain => global.BearPeekDomains.matchesDomain(hostname, domain)) || null;
+    }
+
+    /**
+     * Local, intranet and private-range hosts (localhost, single-label names, RFC 1918 addresses, ...)
+     */
+    function isPrivateHost(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '');
+
+        if (host === 'localhost' || PRIVATE_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+            return true;
+        }
+
+        const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+        if (ipv4) {
+            const [first, second] = [Number(ipv4[1]), Number(ipv4[2])];
+            return first === 10 || first === 127 ||
+                (first === 172 && second >= 16 && second <= 31) ||
+                (first === 192 && second === 168) ||
+                (first === 169 && second === 254);
+        }
+
+        if (host.includes(':')) {
+            // IPv6 loopback, unique local (fc00::/7) and link-local (fe80::/10)
+            return host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+        }
+
+        // Single-label names such as "wiki" or "jira" only resolve on internal networks
+        return !host.includes('.');
+    }
+
+    global.BearPeekDomainPolicy = {
+        POLICY_KEYS,
+        evaluate,
+        isPrivateHost
+    };
+})(globalThis);
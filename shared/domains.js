@@ -0,0 +1,29 @@
+/**
+ * Bear Peek Extension - Domain Matching
+ * Helpers for the domain lists used in settings
+ */
+
+'use strict';
+
+(function (global) {
+    // Host names such as "vnexpress.net" or "news.example.co.uk"
+    const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+    function isValidDomain(domain) {
+        return typeof domain === 'string' && DOMAIN_PATTERN.test(domain.trim());
+    }
+
+    /**
+     * Whether a hostname is the domain itself or one of its subdomains
+     * (a fully qualified "bank.example." is bank.example)
+     */
+    function matchesDomain(hostname, domain) {
+        const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+        return host === domain || host.endsWith(`.${domain}`);
+    }
+
+    global.BearPeekDomains = {
+        isValidDomain,
+        matchesDomain
+    };
+})(globalThis);
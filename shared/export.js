@@ -0,0 +1,510 @@
+/**
+ * Bear Peek Extension - Analysis Export
+ * Renders stored analyses, alone or as a collection, as Markdown, JSON or standalone HTML files
+ */
+
+'use strict';
+
+(function (global) {
+    const DEFAULT_FILENAME_TEMPLATE = '{date}-{domain}-{title}';
+
+    // Placeholders available in filename templates
+    const FILENAME_PLACEHOLDERS = ['title', 'domain', 'date', 'time', 'id'];
+
+    const FORMATS = {
+        markdown: {
+            extension: 'md',
+            mimeType: 'text/markdown',
+            render: toMarkdown,
+            renderCollection: collectionToMarkdown
+        },
+        json: {
+            extension: 'json',
+            mimeType: 'application/json',
+            render: toJson,
+            renderCollection: collectionToJson
+        },
+        html: {
+            extension: 'html',
+            mimeType: 'text/html',
+            render: toHtml,
+            renderCollection: collectionToHtml
+        }
+    };
+
+    const MAX_FILENAME_LENGTH = 120;
+
+    // Inline styles of exported HTML documents
+    const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1e293b; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+h1 { font-size: 28px; line-height: 1.3; margin-bottom: 8px; }
+.details { color: #64748b; font-size: 14px; margin-bottom: 24px; }
+.details a { color: #2563eb; }
+.summary { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 16px 20px; margin-bottom: 24px; }
+.summary h2 { font-size: 16px; margin: 0 0 8px; }
+.topics { list-style: none; padding: 0; margin: 12px 0 0; display: flex; flex-wrap: wrap; gap: 6px; }
+.topics li { background: #e2e8f0; border-radius: 12px; padding: 2px 10px; font-size: 13px; }
+blockquote { border-left: 3px solid #e2e8f0; margin-left: 0; padding-left: 16px; color: #475569; }
+pre { background: #f1f5f9; padding: 12px; overflow-x: auto; }
+footer { margin-top: 40px; color: #94a3b8; font-size: 12px; }
+.tags { color: #64748b; font-size: 13px; margin-top: 8px; }
+.note { background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 12px 16px; margin-bottom: 24px; white-space: pre-wrap; }
+.entry { border-top: 1px solid #e2e8f0; padding-top: 16px; margin-top: 24px; }
+.entry h2 { font-size: 20px; margin-bottom: 4px; }`.trim();
+
+    /**
+     * Build a downloadable export of a stored analysis
+     */
+    function createExport(record, format, template = DEFAULT_FILENAME_TEMPLATE) {
+        const definition = FORMATS[format];
+        if (!definition) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        return {
+            filename: buildFilename(template, record, definition.extension),
+            mimeType: definition.mimeType,
+            content: definition.render(record)
+        };
+    }
+
+    /**
+     * Build one file with every analysis of a collection: a digest (summary, topics, tags, notes
+     * and link of each) in Markdown and HTML, the full analyses in JSON
+     */
+    function createCollectionExport(name, records, format) {
+        const definition = FORMATS[format];
+        if (!definition) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const date = new Date().toISOString().substring(0, 10);
+        return {
+            filename: `${sanitizeFilename(`${date}-collection-${name}`)}.${definition.extension}`,
+            mimeType: definition.mimeType,
+            content: definition.renderCollection(name, records)
+        };
+    }
+
+    /**
+     * Collect the fields every export format shares
+     */
+    function describeRecord(record) {
+        const metadata = record.metadata || {};
+        const url = record.url || metadata.url || '';
+
+        return {
+            id: record.processId || '',
+            title: record.title || metadata.title || 'Untitled',
+            url: url,
+            domain: metadata.domain || getDomain(url),
+            author: metadata.author || '',
+            publishDate: metadata.publishDate || '',
+            description: metadata.description || '',
+            extractedAt: record.extractedAt || metadata.extractedAt || '',
+            summary: record.summary || '',
+            keyTopics: Array.isArray(record.keyTopics) ? record.keyTopics : [],
+            entities: Array.isArray(record.entities) ? record.entities : [],
+            sentiment: record.sentiment || '',
+            wordCount: record.wordCount || 0,
+            readingTime: record.readingTime || 0,
+            provider: record.provider || '',
+            content: record.content || '',
+            markdown: record.markdown || record.content || '',
+            starred: Boolean(record.starred),
+            tags: Array.isArray(record.tags) ? record.tags : [],
+            collections: Array.isArray(record.collections) ? record.collections : [],
+            note: record.note || ''
+        };
+    }
+
+    /**
+     * Markdown with YAML front matter
+     */
+    function toMarkdown(record) {
+        const item = describeRecord(record);
+
+        const frontMatter = [
+            '---',
+            `title: ${yamlString(item.title)}`,
+            `url: ${yamlString(item.url)}`,
+            `domain: ${yamlString(item.domain)}`,
+            item.author ? `author: ${yamlString(item.author)}` : '',
+            item.publishDate ? `published: ${yamlString(item.publishDate)}` : '',
+            `extracted: ${yamlString(item.extractedAt)}`,
+            `word_count: ${item.wordCount}`,
+            `reading_time: ${item.readingTime}`,
+            `sentiment: ${yamlString(formatSentiment(item.sentiment))}`,
+            `topics: [${item.keyTopics.map(yamlString).join(', ')}]`,
+            item.provider ? `provider: ${yamlString(item.provider)}` : '',
+            item.tags.length > 0 ? `tags: [${item.tags.map(yamlString).join(', ')}]` : '',
+            item.collections.length > 0 ? `collections: [${item.collections.map(yamlString).join(', ')}]` : '',
+            item.starred ? 'starred: true' : '',
+            '---'
+        ].filter(Boolean).join('\n');
+
+        const sections = [
+            frontMatter,
+            `# ${item.title}`,
+            '## Summary',
+            item.summary || '_No summary available._'
+        ];
+
+        if (item.keyTopics.length > 0) {
+            sections.push('## Key topics', item.keyTopics.map(topic => `- ${topic}`).join('\n'));
+        }
+
+        if (item.entities.length > 0) {
+            sections.push('## Entities', item.entities
+                .map(group => `- **${group.label}:** ${group.items.map(entity => `${entity.text} (${entity.count})`).join(', ')}`)
+                .join('\n'));
+        }
+
+        if (item.note) {
+            sections.push('## Notes', item.note);
+        }
+
+        sections.push('## Content', item.markdown);
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * JSON with content, metadata and analysis results
+     */
+    function toJson(record) {
+        return JSON.stringify({ ...toJsonObject(record), exportedAt: new Date().toISOString() }, null, 2);
+    }
+
+    function toJsonObject(record) {
+        const item = describeRecord(record);
+
+        return {
+            title: item.title,
+            url: item.url,
+            domain: item.domain,
+            metadata: record.metadata || {},
+            analysis: {
+                summary: item.summary,
+                keyTopics: item.keyTopics,
+                entities: item.entities,
+                sentiment: item.sentiment,
+                wordCount: item.wordCount,
+                readingTime: item.readingTime,
+                provider: item.provider,
+                extractedAt: item.extractedAt
+            },
+            annotations: {
+                starred: item.starred,
+                tags: item.tags,
+                collections: item.collections,
+                note: item.note
+            },
+            content: item.content,
+            markdown: item.markdown
+        };
+    }
+
+    /**
+     * Self-contained HTML document (inline styles, no external resources)
+     */
+    function toHtml(record) {
+        const item = describeRecord(record);
+
+        const details = [
+            item.domain ? `<a href="${escapeAttribute(item.url)}">${escapeHtml(item.domain)}</a>` : '',
+            item.author ? escapeHtml(item.author) : '',
+            item.publishDate ? escapeHtml(item.publishDate) : '',
+            `${item.wordCount} words`,
+            `${item.readingTime} min read`
+        ].filter(Boolean).join(' · ');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(item.title)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<article>
+<h1>${escapeHtml(item.title)}</h1>
+<div class="details">${details}</div>
+${renderHtmlSummary(item)}
+${renderHtmlNote(item)}
+${markdownToHtml(item.markdown)}
+</article>
+<footer>Exported with Bear Peek on ${escapeHtml(new Date().toISOString())}</footer>
+</body>
+</html>
+`;
+    }
+
+    function renderHtmlSummary(item) {
+        const topics = item.keyTopics.length > 0
+            ? `<ul class="topics">${item.keyTopics.map(topic => `<li>${escapeHtml(topic)}</li>`).join('')}</ul>`
+            : '';
+        const tags = item.tags.length > 0
+            ? `<p class="tags">${item.tags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</p>`
+            : '';
+
+        return `<section class="summary">
+<h2>${item.starred ? '★ ' : ''}Summary</h2>
+<p>${escapeHtml(item.summary || 'No summary available.')}</p>
+${topics}
+${tags}
+</section>`;
+    }
+
+    function renderHtmlNote(item) {
+        return item.note ? `<section class="note">${escapeHtml(item.note)}</section>` : '';
+    }
+
+    /**
+     * Collection digest in Markdown: one section per analysis
+     */
+    function collectionToMarkdown(name, records) {
+        const entries = records.map(record => {
+            const item = describeRecord(record);
+            const details = [
+                item.url ? `[${item.domain || item.url}](${item.url})` : '',
+                item.extractedAt ? item.extractedAt.substring(0, 10) : '',
+                formatSentiment(item.sentiment),
+                item.tags.length > 0 ? item.tags.map(tag => `#${tag}`).join(' ') : ''
+            ].filter(Boolean).join(' · ');
+
+            const section = [`## ${item.starred ? '★ ' : ''}${item.title}`, details, item.summary || '_No summary available._'];
+            if (item.keyTopics.length > 0) {
+                section.push(`**Key topics:** ${item.keyTopics.join(', ')}`);
+            }
+            if (item.note) {
+                section.push(item.note.split('\n').map(line => `> ${line}`).join('\n'));
+            }
+            return section.filter(Boolean).join('\n\n');
+        });
+
+        const frontMatter = [
+            '---',
+            `collection: ${yamlString(name)}`,
+            `analyses: ${records.length}`,
+            `exported: ${yamlString(new Date().toISOString())}`,
+            '---'
+        ].join('\n');
+
+        return [frontMatter, `# ${name}`, ...entries].join('\n\n') + '\n';
+    }
+
+    /**
+     * Collection as JSON: the full analyses, as in single exports
+     */
+    function collectionToJson(name, records) {
+        return JSON.stringify({
+            collection: name,
+            exportedAt: new Date().toISOString(),
+            analyses: records.map(toJsonObject)
+        }, null, 2);
+    }
+
+    /**
+     * Collection digest as a self-contained HTML document
+     */
+    function collectionToHtml(name, records) {
+        const entries = records.map(record => {
+            const item = describeRecord(record);
+            const details = [
+                item.domain ? `<a href="${escapeAttribute(item.url)}">${escapeHtml(item.domain)}</a>` : '',
+                item.extractedAt ? escapeHtml(item.extractedAt.substring(0, 10)) : '',
+                `${item.readingTime} min read`
+            ].filter(Boolean).join(' · ');
+
+            return `<article class="entry">
+<h2>${escapeHtml(item.title)}</h2>
+<div class="details">${details}</div>
+${renderHtmlSummary(item)}
+${renderHtmlNote(item)}
+</article>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(name)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(name)}</h1>
+<div class="details">${records.length} ${records.length === 1 ? 'analysis' : 'analyses'}</div>
+${entries.join('\n')}
+<footer>Exported with Bear Peek on ${escapeHtml(new Date().toISOString())}</footer>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Minimal Markdown renderer for the subset produced by extraction
+     * (headings, paragraphs, lists, blockquotes, code, emphasis and links).
+     * Images are dropped so the file stays self-contained.
+     */
+    function markdownToHtml(markdown) {
+        return markdown.split(/\n{2,}/).map(block => {
+            const trimmed = block.trim();
+            if (!trimmed) return '';
+
+            const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                // Article headings sit below the document title
+                const level = Math.min(heading[1].length + 1, 6);
+                return `<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`;
+            }
+
+            if (trimmed.startsWith('```')) {
+                return `<pre>${escapeHtml(trimmed.replace(/^```\w*\n?/, '').replace(/\n?```$/, ''))}</pre>`;
+            }
+
+            const lines = trimmed.split('\n');
+
+            if (lines.every(line => /^>/.test(line))) {
+                const quote = lines.map(line => line.replace(/^>\s?/, '')).join('\n');
+                return `<blockquote>${markdownToHtml(quote)}</blockquote>`;
+            }
+
+            if (lines.every(line => /^\s*(-|\d+\.)\s/.test(line))) {
+                const ordered = /^\s*\d+\./.test(lines[0]);
+                const tag = ordered ? 'ol' : 'ul';
+                const items = lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*(-|\d+\.)\s/, ''))}</li>`);
+                return `<${tag}>${items.join('')}</${tag}>`;
+            }
+
+            const text = lines
+                .filter(line => !/^!\[[^\]]*\]\([^)]*\)$/.test(line.trim()))
+                .map(renderInlineMarkdown)
+                .join('<br>');
+
+            return text ? `<p>${text}</p>` : '';
+        }).filter(Boolean).join('\n');
+    }
+
+    function renderInlineMarkdown(text) {
+        const placeholders = [];
+        const keep = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+        const rendered = text
+            // Drop inline images, keep links
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)/g, (match, label, href) =>
+                keep(/^(https?:|mailto:)/i.test(href)
+                    ? `<a href="${escapeAttribute(href)}">${renderInlineMarkdown(label)}</a>`
+                    : renderInlineMarkdown(label)))
+            .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+
+        return escapeHtml(rendered)
+            .replace(/\*\*((?:\\.|[^*\\])+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*((?:\\.|[^*\\])+)\*/g, '<em>$1</em>')
+            .replace(/\\([\\`*_[\]])/g, '$1')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+    }
+
+    /**
+     * Fill a filename template and make the result safe for the file system
+     */
+    function buildFilename(template, record, extension) {
+        const item = describeRecord(record);
+        const date = parseDate(item.extractedAt);
+
+        const values = {
+            title: item.title,
+            domain: item.domain.replace(/^www\./, ''),
+            date: date.toISOString().substring(0, 10),
+            time: date.toISOString().substring(11, 16).replace(':', ''),
+            id: item.id.replace(/^process_/, '')
+        };
+
+        const name = (template || DEFAULT_FILENAME_TEMPLATE)
+            .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+        return `${sanitizeFilename(name)}.${extension}`;
+    }
+
+    /**
+     * Make a file name safe for the file system
+     */
+    function sanitizeFilename(name) {
+        return name
+            .replace(/[\\/:*?"<>|\x00-\x1F]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-{2,}/g, '-')
+            .replace(/^[-.]+|[-.]+$/g, '')
+            .substring(0, MAX_FILENAME_LENGTH) || 'bear-peek-export';
+    }
+
+    /**
+     * Check a filename template, returning an error message or null
+     */
+    function validateFilenameTemplate(template) {
+        if (typeof template !== 'string' || !template.trim()) {
+            return 'Filename template must not be empty';
+        }
+        if (template.length > 200) {
+            return 'Filename template is too long (max 200 characters)';
+        }
+
+        const unknown = (template.match(/\{(\w+)\}/g) || [])
+            .map(placeholder => placeholder.slice(1, -1))
+            .filter(key => !FILENAME_PLACEHOLDERS.includes(key));
+
+        if (unknown.length > 0) {
+            return `Unknown placeholder(s): ${unknown.map(key => `{${key}}`).join(', ')}`;
+        }
+        return null;
+    }
+
+    function formatSentiment(sentiment) {
+        return typeof sentiment === 'string' ? sentiment : sentiment?.label || '';
+    }
+
+    function parseDate(value) {
+        const date = new Date(value || Date.now());
+        return isNaN(date.getTime()) ? new Date() : date;
+    }
+
+    function getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function yamlString(value) {
+        return JSON.stringify(String(value ?? ''));
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    function escapeAttribute(text) {
+        return escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    global.BearPeekExport = {
+        DEFAULT_FILENAME_TEMPLATE,
+        FILENAME_PLACEHOLDERS,
+        FORMATS,
+        createExport,
+        createCollectionExport,
+        buildFilename,
+        validateFilenameTemplate
+    };
+})(globalThis);
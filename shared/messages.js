@@ -0,0 +1,336 @@
+/**
+ * Bear Peek Extension - Message Protocol
+ * Action names, payload schemas and error codes shared by the background worker, popup, options page
+ * and content script
+ */
+
+'use strict';
+
+(function (global) {
+    // Bumped when a request or response shape changes incompatibly
+    const PROTOCOL_VERSION = 1;
+
+    // Name of the long-lived port streaming job progress to the popup
+    const PROGRESS_PORT = 'bear-peek-progress';
+
+    const ERROR_CODES = {
+        INVALID_REQUEST: 'INVALID_REQUEST',
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+        INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+        HANDLER_ERROR: 'HANDLER_ERROR',
+        POLICY_BLOCKED: 'POLICY_BLOCKED' // The page's domain policy does not allow Bear Peek to run
+    };
+
+    /**
+     * Every action, the context that handles it and the fields of its payload.
+     * `open` payloads are objects validated by the handler itself (e.g. settings);
+     * `secret` fields are redacted when requests are logged.
+     */
+    const ACTIONS = {
+        processContent: {
+            target: 'background',
+            fields: {
+                content: { type: 'object', required: true },
+                url: { type: 'string', required: true },
+                title: { type: 'string' },
+                tabId: { type: 'integer' },
+                trigger: { type: 'string', values: ['manual', 'auto'] }
+            }
+        },
+        getSettings: { target: 'background', fields: {} },
+        saveSettings: { target: 'background', open: true },
+        getProviders: { target: 'background', fields: {} },
+        getApiKeyStatus: { target: 'background', fields: {} },
+        setApiKey: {
+            target: 'background',
+            fields: {
+                apiKey: { type: 'string', secret: true },
+                passphrase: { type: 'string', secret: true }
+            }
+        },
+        unlockApiKey: {
+            target: 'background',
+            fields: { passphrase: { type: 'string', required: true, secret: true } }
+        },
+        lockApiKey: { target: 'background', fields: {} },
+        exportAnalysis: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                format: { type: 'string', required: true }
+            }
+        },
+        getHistory: { target: 'background', fields: {} },
+        searchHistory: {
+            target: 'background',
+            fields: {
+                query: { type: 'string' },
+                domain: { type: 'string' },
+                from: { type: 'integer' },
+                to: { type: 'integer' },
+                sentiment: { type: 'string', values: ['positive', 'neutral', 'negative'] },
+                tag: { type: 'string' },
+                collection: { type: 'string' },
+                starred: { type: 'boolean' },
+                limit: { type: 'integer' }
+            }
+        },
+        annotateAnalysis: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                starred: { type: 'boolean' },
+                tags: { type: 'array' },
+                collections: { type: 'array' },
+                note: { type: 'string' }
+            }
+        },
+        getLabels: { target: 'background', fields: {} },
+        exportCollection: {
+            target: 'background',
+            fields: {
+                name: { type: 'string', required: true },
+                format: { type: 'string', required: true }
+            }
+        },
+        getAnalysis: {
+            target: 'background',
+            fields: { processId: { type: 'string', required: true } }
+        },
+        askQuestion: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                question: { type: 'string', required: true }
+            }
+        },
+        clearChat: {
+            target: 'background',
+            fields: { processId: { type: 'string', required: true } }
+        },
+        translateAnalysis: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                language: { type: 'string', values: ['english', 'vietnamese'] },
+                refresh: { type: 'boolean' },
+                tabId: { type: 'integer' }
+            }
+        },
+        deleteAnalysis: {
+            target: 'background',
+            fields: { processId: { type: 'string', required: true } }
+        },
+        reanalyze: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                tabId: { type: 'integer' }
+            }
+        },
+        getJobs: { target: 'background', fields: {} },
+        cancelJob: {
+            target: 'background',
+            fields: { jobId: { type: 'string', required: true } }
+        },
+        setPinned: {
+            target: 'background',
+            fields: {
+                processId: { type: 'string', required: true },
+                pinned: { type: 'boolean', required: true }
+            }
+        },
+        getStorageUsage: { target: 'background', fields: {} },
+        contentChanged: {
+            target: 'background',
+            fields: { url: { type: 'string', required: true } }
+        },
+        getTabAnalysis: {
+            target: 'background',
+            fields: {
+                tabId: { type: 'integer', required: true },
+                url: { type: 'string' }
+            }
+        },
+        ping: { target: 'background', fields: {} },
+        extractContent: { target: 'content', fields: {} }
+    };
+
+    const typeChecks = {
+        string: value => typeof value === 'string',
+        integer: value => Number.isInteger(value),
+        boolean: value => typeof value === 'boolean',
+        object: value => isObject(value),
+        // Lists of strings (tags, names)
+        array: value => Array.isArray(value) && value.every(item => typeof item === 'string')
+    };
+
+    /**
+     * Error carrying one of ERROR_CODES
+     */
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Build a request, throwing if the action or payload is invalid
+     */
+    function createRequest(action, data) {
+        const request = { version: PROTOCOL_VERSION, action: action };
+        if (data !== undefined) {
+            request.data = data;
+        }
+
+        const error = validateRequest(request, ACTIONS[action]?.target);
+        if (error) {
+            throw error;
+        }
+        return request;
+    }
+
+    /**
+     * Whether a message is a request for the given context ('background' or 'content')
+     */
+    function isRequestFor(request, target) {
+        return isObject(request) && ACTIONS[request.action]?.target === target;
+    }
+
+    /**
+     * Check a received request; returns an error with a code, or null if it is valid
+     */
+    function validateRequest(request, target) {
+        if (!isObject(request) || typeof request.action !== 'string') {
+            return createError(ERROR_CODES.INVALID_REQUEST, 'Message must be an object with an action');
+        }
+        if (request.version !== PROTOCOL_VERSION) {
+            return createError(ERROR_CODES.UNSUPPORTED_VERSION,
+                `Unsupported protocol version ${request.version} (expected ${PROTOCOL_VERSION})`);
+        }
+
+        const schema = ACTIONS[request.action];
+        if (!schema || schema.target !== target) {
+            return createError(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${request.action}`);
+        }
+
+        const problems = validatePayload(schema, request.data);
+        if (problems.length > 0) {
+            return createError(ERROR_CODES.INVALID_PAYLOAD,
+                `Invalid payload for ${request.action}: ${problems.join('; ')}`);
+        }
+        return null;
+    }
+
+    function validatePayload(schema, data) {
+        if (data === undefined || data === null) {
+            data = {};
+        }
+        if (!isObject(data)) {
+            return ['payload must be an object'];
+        }
+        if (schema.open) {
+            return [];
+        }
+
+        const problems = [];
+
+        Object.entries(schema.fields).forEach(([name, field]) => {
+            const value = data[name];
+
+            if (value === undefined || value === null || value === '') {
+                if (field.required) problems.push(`${name} is required`);
+                return;
+            }
+            if (!typeChecks[field.type](value)) {
+                problems.push(`${name} must be ${/^[aeiou]/.test(field.type) ? 'an' : 'a'} ${field.type}`);
+            } else if (field.values && !field.values.includes(value)) {
+                problems.push(`${name} must be one of: ${field.values.join(', ')}`);
+            }
+        });
+
+        Object.keys(data)
+            .filter(name => !schema.fields[name])
+            .forEach(name => problems.push(`unexpected field ${name}`));
+
+        return problems;
+    }
+
+    /**
+     * Copy of a request that is safe to log
+     */
+    function redactRequest(request) {
+        const fields = ACTIONS[request?.action]?.fields;
+        if (!fields || !isObject(request.data)) {
+            return request;
+        }
+
+        const data = { ...request.data };
+        Object.keys(data)
+            .filter(name => fields[name]?.secret)
+            .forEach(name => (data[name] = '[redacted]'));
+
+        return { ...request, data: data };
+    }
+
+    function toResponse(data) {
+        return { success: true, data: data };
+    }
+
+    function toErrorResponse(error) {
+        return {
+            success: false,
+            error: error.message,
+            code: error.code || ERROR_CODES.HANDLER_ERROR
+        };
+    }
+
+    /**
+     * Data of a response, or its error (with code) thrown
+     */
+    function unwrapResponse(response) {
+        if (!response) {
+            throw createError(ERROR_CODES.HANDLER_ERROR, 'No response received');
+        }
+        if (!response.success) {
+            throw createError(response.code || ERROR_CODES.HANDLER_ERROR, response.error || 'Request failed');
+        }
+        return response.data;
+    }
+
+    /**
+     * Send a request to the background worker and unwrap the response
+     */
+    async function sendToBackground(action, data) {
+        return unwrapResponse(await chrome.runtime.sendMessage(createRequest(action, data)));
+    }
+
+    /**
+     * Send a request to the content script of a tab and unwrap the response
+     */
+    async function sendToTab(tabId, action, data) {
+        return unwrapResponse(await chrome.tabs.sendMessage(tabId, createRequest(action, data)));
+    }
+
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    global.BearPeekMessages = {
+        PROTOCOL_VERSION,
+        PROGRESS_PORT,
+        ERROR_CODES,
+        ACTIONS,
+        createError,
+        createRequest,
+        isRequestFor,
+        validateRequest,
+        redactRequest,
+        toResponse,
+        toErrorResponse,
+        unwrapResponse,
+        sendToBackground,
+        sendToTab
+    };
+})(globalThis);
@@ -0,0 +1,326 @@
+/**
+ * Bear Peek Extension - PII Redaction
+ * Masks personal data (emails, phone numbers, ID and card numbers, street addresses, custom patterns)
+ * in text sent to remote AI providers. Shared by the background worker and the settings preview.
+ */
+
+'use strict';
+
+(function (global) {
+    // Detectors: setting that enables each one, labels and replacement token
+    const TYPES = {
+        email: { setting: 'redactEmail', label: 'email', plural: 'emails', token: '[EMAIL]' },
+        phone: { setting: 'redactPhone', label: 'phone number', plural: 'phone numbers', token: '[PHONE]' },
+        idNumber: { setting: 'redactIdNumber', label: 'ID number', plural: 'ID numbers', token: '[ID]' },
+        cardNumber: { setting: 'redactCardNumber', label: 'card number', plural: 'card numbers', token: '[CARD]' },
+        address: { setting: 'redactAddress', label: 'address', plural: 'addresses', token: '[ADDRESS]' },
+        custom: { setting: null, label: 'custom match', plural: 'custom matches', token: '[REDACTED]' }
+    };
+
+    // Custom patterns allowed in settings
+    const MAX_CUSTOM_PATTERNS = 20;
+    const MAX_PATTERN_LENGTH = 200;
+
+    // Custom patterns run on one paragraph (or piece of a long one) at a time, so a slow pattern
+    // only sees short texts, and stop once they have used their time budget for the text
+    const CUSTOM_SEGMENT_LENGTH = 1000;
+    const CUSTOM_PATTERN_BUDGET_MS = 100;
+
+    // Vietnamese tax codes (mã số thuế): 10 digits, with a 3-digit suffix for branches ("0101234567-001")
+    const TAX_CODE_CONTEXT = /(?:MST|[Mm]ã số thuế|[Mm]ã số doanh nghiệp|[Tt]ax (?:code|ID))\s*(?:số|no\.?)?\s*[:：]?\s*$/u;
+
+    // Vietnamese mobile numbers are 10 digits starting 03, 05, 07, 08 or 09; landlines have 11 digits
+    const MOBILE_PREFIX = /^0[35789]/;
+
+    const PATTERNS = {
+        email: [/[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu],
+
+        phone: [
+            // Vietnamese mobile and landline numbers: 0912 345 678, +84 28 3822 1234, 0084-912-345-678
+            /(?<![\p{N}.,])(?:\+84|0084|0)[\s.-]?(?:\d[\s.-]?){8,9}\d(?![\p{N}])/gu,
+            // International numbers with a country code: +1 (415) 555-0100, +44 20 7946 0958
+            /(?<![\p{N}])\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}(?![\p{N}])/gu,
+            // North American style: (415) 555-0100, 415-555-0100
+            /(?<![\p{N}])\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?![\p{N}])/gu
+        ],
+
+        idNumber: [
+            // Numbers introduced by an ID document name (CCCD/CMND, passport, SSN, ...)
+            /(?<=(?:CCCD|CMND|CMT|[Cc]ăn cước(?: công dân)?|[Cc]hứng minh(?: nhân dân| thư)?|[Hh]ộ chiếu|[Pp]assport|ID(?: card| number)?|SSN|[Ss]ố định danh)(?:\s*(?:số|no\.?|number|#))?\s*[:：]?\s*)(?:\d{12}|\d{9}|[A-Z]\d{7,8})(?![\p{N}])/gu,
+            // US social security numbers
+            /(?<![\p{N}-])\d{3}-\d{2}-\d{4}(?![\p{N}-])/gu
+        ],
+
+        cardNumber: [/(?<![\p{N}])\d(?:[ -]?\d){12,18}(?![\p{N}])/gu],
+
+        address: [
+            // Vietnamese: "số 12 đường Nguyễn Huệ, phường Bến Nghé", "123/4 Lê Lợi, Q.1"
+            /(?:[Ss]ố\s+)?\d{1,4}[A-Za-z]?(?:\/\d{1,4}[A-Za-z]?)*\s+(?:(?:[Đđ]ường|[Pp]hố|[Nn]gõ|[Hh]ẻm|[Nn]gách)\s+)?(?:\p{Lu}\p{Ll}*\s?){1,4}(?:,\s*(?:[Pp]hường|P\.|[Xx]ã|[Qq]uận|Q\.|[Hh]uyện|[Tt]hị (?:trấn|xã)|TP\.?|[Tt]hành phố|[Tt]ỉnh)\s*[\p{L}\p{N}]+(?:\s[\p{Lu}\p{N}][\p{L}\p{N}]*){0,3})+/gu,
+            // English: "221 Baker Street", "1600 Pennsylvania Avenue NW"
+            /(?<![\p{N}])\d{1,5}\s+(?:\p{Lu}\p{Ll}+\s){1,3}(?:Street|St\.|Avenue|Ave\.|Road|Rd\.|Boulevard|Blvd\.|Lane|Ln\.|Drive|Dr\.|Court|Ct\.|Place|Pl\.|Way)(?:\s(?:N|S|E|W|NE|NW|SE|SW)\b)?/gu
+        ]
+    };
+
+    /**
+     * Redaction options from settings: enabled detector types and custom patterns
+     */
+    function getOptions(settings = {}) {
+        return {
+            types: Object.keys(TYPES).filter(type => TYPES[type].setting && settings[TYPES[type].setting]),
+            patterns: Array.isArray(settings.redactionPatterns) ? settings.redactionPatterns : []
+        };
+    }
+
+    /**
+     * Mask personal data in a text.
+     * Returns the redacted text, the masked ranges of the original text ({ type, start, end })
+     * and the number of matches per type.
+     */
+    function redact(text, options = {}) {
+        const source = typeof text === 'string' ? text : String(text || '');
+        const candidates = [];
+
+        (options.types || []).forEach(type => {
+            (PATTERNS[type] || []).forEach(pattern => {
+                collectMatches(source, pattern, type, candidates);
+            });
+        });
+
+        const patterns = (options.patterns || []).map(compilePattern).filter(Boolean);
+        if (patterns.length > 0) {
+            const segments = splitSegments(source);
+            patterns.forEach(regex => collectCustomMatches(segments, regex, candidates));
+        }
+
+        // Earlier, then longer matches win; overlapping ones are dropped
+        candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+        const matches = [];
+        candidates.forEach(match => {
+            const last = matches[matches.length - 1];
+            if (!last || match.start >= last.end) {
+                matches.push(match);
+            }
+        });
+
+        let redacted = '';
+        let position = 0;
+        const counts = {};
+        matches.forEach(match => {
+            redacted += source.substring(position, match.start) + TYPES[match.type].token;
+            position = match.end;
+            counts[match.type] = (counts[match.type] || 0) + 1;
+        });
+        redacted += source.substring(position);
+
+        return { text: redacted, matches: matches, counts: counts, total: matches.length };
+    }
+
+    function collectMatches(source, pattern, type, candidates) {
+        const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+        let match;
+
+        while ((match = regex.exec(source)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            if (type === 'cardNumber' && !passesLuhn(match[0])) {
+                continue;
+            }
+            if (type === 'phone' && isTaxCode(source, match.index, match.index + match[0].length)) {
+                continue;
+            }
+            candidates.push({ type: type, start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    /**
+     * Matches of a custom pattern, segment by segment, until its time budget runs out
+     */
+    function collectCustomMatches(segments, regex, candidates) {
+        const deadline = Date.now() + CUSTOM_PATTERN_BUDGET_MS;
+
+        for (const segment of segments) {
+            if (Date.now() > deadline) {
+                console.warn('Redaction pattern is too slow, skipping the rest of the text:', regex.source);
+                return;
+            }
+
+            const found = [];
+            collectMatches(segment.text, regex, 'custom', found);
+            found.forEach(match => candidates.push({
+                type: match.type,
+                start: match.start + segment.start,
+                end: match.end + segment.start
+            }));
+        }
+    }
+
+    /**
+     * Paragraphs of a text with their offsets; longer ones are cut at a space near CUSTOM_SEGMENT_LENGTH
+     */
+    function splitSegments(source) {
+        const segments = [];
+        const paragraph = /[^\n]+/g;
+        let match;
+
+        while ((match = paragraph.exec(source)) !== null) {
+            let start = match.index;
+            const end = match.index + match[0].length;
+
+            while (end - start > CUSTOM_SEGMENT_LENGTH) {
+                const space = source.lastIndexOf(' ', start + CUSTOM_SEGMENT_LENGTH);
+                const cut = space > start + CUSTOM_SEGMENT_LENGTH / 2 ? space : start + CUSTOM_SEGMENT_LENGTH;
+                segments.push({ start: start, text: source.substring(start, cut) });
+                start = cut;
+            }
+            segments.push({ start: start, text: source.substring(start, end) });
+        }
+        return segments;
+    }
+
+    /**
+     * A 10-digit number that is a tax code rather than a phone number: it has a branch suffix,
+     * follows "MST" or "mã số thuế", or does not start like a Vietnamese mobile number
+     */
+    function isTaxCode(source, start, end) {
+        const digits = source.substring(start, end);
+        if (!/^\d{10}$/.test(digits)) {
+            return false;
+        }
+        return /^-\d{3}(?!\d)/.test(source.substring(end, end + 5)) ||
+            TAX_CODE_CONTEXT.test(source.substring(Math.max(0, start - 30), start)) ||
+            !MOBILE_PREFIX.test(digits);
+    }
+
+    /**
+     * Card numbers carry a Luhn check digit, which rules out most other long numbers
+     */
+    function passesLuhn(value) {
+        const digits = value.replace(/\D/g, '');
+        let sum = 0;
+
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    function compilePattern(pattern) {
+        // Settings saved elsewhere (or before these checks) may hold patterns that would be rejected now
+        const error = validatePattern(pattern);
+        if (error) {
+            console.warn('Ignoring redaction pattern:', error);
+            return null;
+        }
+        return new RegExp(pattern, 'gu');
+    }
+
+    /**
+     * Check a custom pattern from settings; returns an error message or null
+     */
+    function validatePattern(pattern) {
+        if (typeof pattern !== 'string' || !pattern.trim()) {
+            return 'Pattern must be text';
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return `Pattern is too long (max ${MAX_PATTERN_LENGTH} characters): ${pattern.substring(0, 40)}…`;
+        }
+        try {
+            const regex = new RegExp(pattern, 'gu');
+            if (regex.test('')) {
+                return `Pattern matches empty text: ${pattern}`;
+            }
+        } catch (error) {
+            return `Invalid pattern ${pattern}: ${error.message}`;
+        }
+        if (/\\(?:[1-9]|k<)/.test(pattern)) {
+            return `Back-references are not supported: ${pattern}`;
+        }
+        if (hasNestedQuantifier(pattern)) {
+            return `Pattern may be very slow (a repeated group contains a repetition, e.g. (a+)+): ${pattern}`;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a repeated group contains an unbounded repetition, e.g. (a+)+ or (\w*\s?)*,
+     * the usual cause of catastrophic backtracking
+     */
+    function hasNestedQuantifier(pattern) {
+        const QUANTIFIER = /^(?:[+*]|\{\d*,\d*\})/;
+        // For each open group: whether it contains + * or {n,}
+        const groups = [];
+        let inClass = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                i++;
+            } else if (inClass) {
+                inClass = char !== ']';
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push(false);
+            } else if (char === ')') {
+                const repeated = groups.pop();
+                const quantifier = pattern.substring(i + 1).match(QUANTIFIER);
+                if (repeated && quantifier && !/^\{\d*,[01]\}/.test(quantifier[0])) {
+                    return true;
+                }
+                // The group's own quantifier is seen by the next character
+                if (groups.length > 0 && repeated) {
+                    groups[groups.length - 1] = true;
+                }
+            } else if (groups.length > 0 && isUnbounded(pattern.substring(i).match(QUANTIFIER)?.[0])) {
+                groups[groups.length - 1] = true;
+            }
+        }
+        return false;
+    }
+
+    function isUnbounded(quantifier) {
+        return quantifier === '+' || quantifier === '*' || /^\{\d*,\}$/.test(quantifier || '');
+    }
+
+    /**
+     * Add up match counts (e.g. of the chunks of one article)
+     */
+    function mergeCounts(countsList) {
+        const merged = {};
+        countsList.filter(Boolean).forEach(counts => {
+            Object.entries(counts).forEach(([type, count]) => {
+                merged[type] = (merged[type] || 0) + count;
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Human readable match counts: "2 emails, 1 phone number"
+     */
+    function describe(counts) {
+        return Object.entries(counts || {})
+            .filter(([type, count]) => TYPES[type] && count > 0)
+            .map(([type, count]) => `${count} ${count === 1 ? TYPES[type].label : TYPES[type].plural}`)
+            .join(', ');
+    }
+
+    global.BearPeekRedaction = {
+        TYPES,
+        MAX_CUSTOM_PATTERNS,
+        MAX_PATTERN_LENGTH,
+        getOptions,
+        redact,
+        validatePattern,
+        mergeCounts,
+        describe
+    };
+})(globalThis);
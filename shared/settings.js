@@ -0,0 +1,193 @@
+/**
+ * Bear Peek Extension - Settings Schema
+ * Default values and validation shared by the background worker and settings UI
+ * (load after shared/domains.js, shared/export.js and shared/redaction.js)
+ */
+
+'use strict';
+
+(function (global) {
+    // Allowed values for enumerated settings
+    const SETTING_OPTIONS = {
+        language: ['english', 'vietnamese'],
+        summaryLength: ['short', 'medium', 'long'],
+        aiProvider: ['local', 'openai', 'anthropic']
+    };
+
+    const DEFAULT_SETTINGS = Object.freeze({
+        language: 'english',
+        summaryLength: 'medium',
+        autoExtract: false,
+        autoExtractDomains: [], // Empty means every site
+        blockedDomains: [], // Sites Bear Peek never runs on
+        blockPrivateNetworks: false, // Opt-in: also never run on localhost, intranet and private-network hosts
+        aiProvider: 'local',
+        apiEndpoint: '', // Empty means the provider's default endpoint
+        apiModel: '', // Empty means the provider's default model
+        redactEmail: true, // Personal data masked before content is sent to a remote provider
+        redactPhone: true,
+        redactIdNumber: true,
+        redactCardNumber: true,
+        redactAddress: false,
+        redactionPatterns: [], // Extra regular expressions to mask
+        neverSendDomains: [], // Sites whose content is only ever analyzed locally
+        exportFilenameTemplate: global.BearPeekExport.DEFAULT_FILENAME_TEMPLATE,
+        retentionMaxEntries: 100, // 0 means no limit
+        retentionMaxAgeDays: 0, // 0 means keep forever
+        retentionMaxMegabytes: 5 // 0 means no limit
+    });
+
+    const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+    // Per-setting validators: return an error message or null
+    const validators = {
+        language: value => validateOption('language', value),
+        summaryLength: value => validateOption('summaryLength', value),
+        aiProvider: value => validateOption('aiProvider', value),
+
+        autoExtract(value) {
+            return typeof value === 'boolean' ? null : 'Auto-extract must be true or false';
+        },
+
+        autoExtractDomains: value => validateDomainList(value),
+        neverSendDomains: value => validateDomainList(value),
+        blockedDomains: value => validateDomainList(value),
+        blockPrivateNetworks: value => validateBoolean(value, 'Private network blocking'),
+
+        redactEmail: value => validateBoolean(value, 'Email redaction'),
+        redactPhone: value => validateBoolean(value, 'Phone redaction'),
+        redactIdNumber: value => validateBoolean(value, 'ID number redaction'),
+        redactCardNumber: value => validateBoolean(value, 'Card number redaction'),
+        redactAddress: value => validateBoolean(value, 'Address redaction'),
+
+        redactionPatterns(value) {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                return 'Patterns must be a list';
+            }
+            if (value.length > global.BearPeekRedaction.MAX_CUSTOM_PATTERNS) {
+                return `At most ${global.BearPeekRedaction.MAX_CUSTOM_PATTERNS} patterns`;
+            }
+            const errors = value.map(item => global.BearPeekRedaction.validatePattern(item.trim())).filter(Boolean);
+            return errors.length > 0 ? errors.join('; ') : null;
+        },
+
+        apiEndpoint(value) {
+            if (typeof value !== 'string') return 'Endpoint must be text';
+            if (!value.trim()) return null;
+
+            try {
+                const url = new URL(value.trim());
+                if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                    return 'Endpoint must be an http(s) URL';
+                }
+            } catch (error) {
+                return 'Endpoint is not a valid URL';
+            }
+            return null;
+        },
+
+        apiModel(value) {
+            if (typeof value !== 'string') return 'Model must be text';
+            if (value.length > 100) return 'Model name is too long (max 100 characters)';
+            return null;
+        },
+
+        exportFilenameTemplate(value) {
+            return global.BearPeekExport.validateFilenameTemplate(value);
+        },
+
+        retentionMaxEntries: value => validateNumber(value, 0, 1000, true, 'Maximum entries'),
+        retentionMaxAgeDays: value => validateNumber(value, 0, 3650, true, 'Maximum age'),
+        retentionMaxMegabytes: value => validateNumber(value, 0, 1024, false, 'Maximum size')
+    };
+
+    /**
+     * The API key is not a synced setting (see background/key-store.js) but is checked the same way
+     */
+    function validateApiKey(value) {
+        if (typeof value !== 'string') return 'API key must be text';
+        if (/\s/.test(value.trim())) return 'API key must not contain spaces';
+        if (value.length > 500) return 'API key is too long';
+        return null;
+    }
+
+    // Lists compared and stored as typed (domains are lowercased)
+    const CASE_SENSITIVE_LISTS = ['redactionPatterns'];
+
+    function validateDomainList(value) {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            return 'Domains must be a list';
+        }
+        const invalid = value.filter(item => !global.BearPeekDomains.isValidDomain(item));
+        return invalid.length > 0 ? `Invalid domain(s): ${invalid.join(', ')}` : null;
+    }
+
+    function validateBoolean(value, label) {
+        return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    }
+
+    function validateOption(key, value) {
+        return SETTING_OPTIONS[key].includes(value)
+            ? null
+            : `${key} must be one of: ${SETTING_OPTIONS[key].join(', ')}`;
+    }
+
+    function validateNumber(value, min, max, integer, label) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return `${label} must be a number`;
+        if (integer && !Number.isInteger(value)) return `${label} must be a whole number`;
+        if (value < min || value > max) return `${label} must be between ${min} and ${max}`;
+        return null;
+    }
+
+    function normalizeValue(key, value) {
+        if (typeof value === 'string') return value.trim();
+        if (Array.isArray(value)) {
+            const items = value.map(item => item.trim()).filter(Boolean);
+            return Array.from(new Set(
+                CASE_SENSITIVE_LISTS.includes(key) ? items : items.map(item => item.toLowerCase())
+            ));
+        }
+        return value;
+    }
+
+    /**
+     * Validate a (partial) settings object.
+     * Returns the normalized settings and an error message per invalid key.
+     */
+    function validateSettings(settings) {
+        const errors = {};
+        const normalized = {};
+
+        if (!settings || typeof settings !== 'object') {
+            return { valid: false, errors: { _: 'Settings must be an object' }, settings: normalized };
+        }
+
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!validators[key]) {
+                errors[key] = `Unknown setting: ${key}`;
+                return;
+            }
+
+            const error = validators[key](value);
+            if (error) {
+                errors[key] = error;
+            } else {
+                normalized[key] = normalizeValue(key, value);
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors,
+            settings: normalized
+        };
+    }
+
+    global.BearPeekSettings = {
+        DEFAULT_SETTINGS,
+        SETTINGS_KEYS,
+        SETTING_OPTIONS,
+        validateSettings,
+        validateApiKey
+    };
+})(globalThis);
@@ -0,0 +1,305 @@
+/**
+ * Bear Peek Extension - Site Extraction Rules
+ * Declarative per-domain extraction rules shared by the content script and settings UI
+ */
+
+'use strict';
+
+(function (global) {
+    // chrome.storage.local key holding user-defined and user-modified rules
+    const STORAGE_KEY = 'siteRules';
+
+    // Shipped rules for the news sites we support out of the box
+    const DEFAULT_SITE_RULES = [
+        {
+            id: 'cafef',
+            name: 'CafeF',
+            domains: ['cafef.vn'],
+            contentSelectors: [
+                '.edittor-content',
+                '.article-content',
+                '.detail-content',
+                '.content-detail',
+                '#detail-content'
+            ],
+            titleSelectors: ['h1.title', 'h1'],
+            removeSelectors: [],
+            cleanupPatterns: [],
+            enabled: true
+        },
+        {
+            id: 'vnexpress',
+            name: 'VnExpress',
+            domains: ['vnexpress.net'],
+            contentSelectors: [
+                '.fck_detail',
+                '.content_detail',
+                '.Normal',
+                'article .content'
+            ],
+            titleSelectors: ['h1.title-detail', 'h1'],
+            removeSelectors: [],
+            cleanupPatterns: [
+                { pattern: '^.*?Theo\\s+VnExpress.*?$', flags: 'gim', replacement: '' }
+            ],
+            enabled: true
+        },
+        {
+            id: 'tuoitre',
+            name: 'Tuổi Trẻ',
+            domains: ['tuoitre.vn'],
+            contentSelectors: [
+                '.detail-content',
+                '.article-content',
+                '#main-detail-body'
+            ],
+            titleSelectors: ['h1.detail-title', 'h1'],
+            removeSelectors: [],
+            cleanupPatterns: [],
+            enabled: true
+        },
+        {
+            id: 'dantri',
+            name: 'Dân Trí',
+            domains: ['dantri.com.vn'],
+            contentSelectors: [
+                '.singular-content',
+                '.detail-content',
+                'article .content'
+            ],
+            titleSelectors: ['h1.title-page', 'h1'],
+            removeSelectors: [],
+            cleanupPatterns: [],
+            enabled: true
+        },
+        {
+            id: 'thanhnien',
+            name: 'Thanh Niên',
+            domains: ['thanhnien.vn'],
+            contentSelectors: [
+                '.detail-content',
+                '.article-body',
+                '#detail-content'
+            ],
+            titleSelectors: ['h1.detail-title', 'h1'],
+            removeSelectors: [],
+            cleanupPatterns: [],
+            enabled: true
+        }
+    ];
+
+    const RULE_ARRAY_FIELDS = ['domains', 'contentSelectors', 'titleSelectors', 'removeSelectors'];
+
+    /**
+     * Validate a single rule and return a list of problems (empty when valid)
+     */
+    function validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return ['Rule must be an object'];
+        }
+
+        if (typeof rule.id !== 'string' || !/^[a-z0-9_-]{1,50}$/i.test(rule.id)) {
+            errors.push('id must be 1-50 letters, digits, "-" or "_"');
+        }
+
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            errors.push('name is required');
+        }
+
+        RULE_ARRAY_FIELDS.forEach(field => {
+            const value = rule[field];
+            if (value === undefined && field !== 'domains' && field !== 'contentSelectors') return;
+
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+                errors.push(`${field} must be a list of non-empty strings`);
+            }
+        });
+
+        if (Array.isArray(rule.domains) && rule.domains.length === 0) {
+            errors.push('domains must contain at least one domain');
+        }
+
+        if (Array.isArray(rule.contentSelectors) && rule.contentSelectors.length === 0) {
+            errors.push('contentSelectors must contain at least one selector');
+        }
+
+        if (rule.cleanupPatterns !== undefined) {
+            if (!Array.isArray(rule.cleanupPatterns)) {
+                errors.push('cleanupPatterns must be a list');
+            } else {
+                rule.cleanupPatterns.forEach((entry, index) => {
+                    const error = validatePattern(entry);
+                    if (error) errors.push(`cleanupPatterns[${index}]: ${error}`);
+                });
+            }
+        }
+
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+
+        return errors;
+    }
+
+    function validatePattern(entry) {
+        if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+            return 'pattern is required';
+        }
+        if (entry.flags !== undefined && !/^[gimsuy]*$/.test(entry.flags)) {
+            return 'flags may only contain g, i, m, s, u, y';
+        }
+        if (entry.replacement !== undefined && typeof entry.replacement !== 'string') {
+            return 'replacement must be text';
+        }
+
+        try {
+            new RegExp(entry.pattern, entry.flags || 'g');
+        } catch (error) {
+            return `invalid regular expression (${error.message})`;
+        }
+        return null;
+    }
+
+    /**
+     * Fill optional fields so consumers can rely on the full rule shape
+     */
+    function normalizeRule(rule) {
+        return {
+            id: rule.id,
+            name: rule.name.trim(),
+            domains: rule.domains.map(domain => domain.trim().toLowerCase()),
+            contentSelectors: rule.contentSelectors.map(selector => selector.trim()),
+            titleSelectors: (rule.titleSelectors || []).map(selector => selector.trim()),
+            removeSelectors: (rule.removeSelectors || []).map(selector => selector.trim()),
+            cleanupPatterns: (rule.cleanupPatterns || []).map(entry => ({
+                pattern: entry.pattern,
+                flags: entry.flags === undefined ? 'g' : entry.flags,
+                replacement: entry.replacement || ''
+            })),
+            enabled: rule.enabled !== false
+        };
+    }
+
+    /**
+     * Parse and validate a JSON export. Accepts a list of rules or { rules: [...] }.
+     */
+    function parseRules(json) {
+        let parsed;
+
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Rules file is not valid JSON: ${error.message}`);
+        }
+
+        const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('Rules file must contain a list of rules');
+        }
+
+        rules.forEach((rule, index) => {
+            const errors = validateRule(rule);
+            if (errors.length > 0) {
+                throw new Error(`Rule ${rule?.id || index + 1}: ${errors.join('; ')}`);
+            }
+        });
+
+        return rules.map(normalizeRule);
+    }
+
+    /**
+     * Serialize rules for export
+     */
+    function serializeRules(rules) {
+        return JSON.stringify({ version: 1, rules: rules }, null, 2);
+    }
+
+    /**
+     * Rules added or modified by the user
+     */
+    async function getUserRules() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        return Array.isArray(stored[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+    }
+
+    async function saveUserRules(rules) {
+        rules.forEach(rule => {
+            const errors = validateRule(rule);
+            if (errors.length > 0) {
+                throw new Error(`Rule ${rule?.id}: ${errors.join('; ')}`);
+            }
+        });
+
+        await chrome.storage.local.set({ [STORAGE_KEY]: rules.map(normalizeRule) });
+    }
+
+    /**
+     * Merge shipped defaults with user rules (user rules win by id)
+     */
+    function mergeRules(userRules) {
+        const merged = new Map();
+
+        DEFAULT_SITE_RULES.forEach(rule => merged.set(rule.id, normalizeRule(rule)));
+        userRules.forEach(rule => merged.set(rule.id, normalizeRule(rule)));
+
+        return Array.from(merged.values());
+    }
+
+    async function loadRules() {
+        try {
+            return mergeRules(await getUserRules());
+        } catch (error) {
+            console.error('Failed to load site rules, using defaults:', error);
+            return mergeRules([]);
+        }
+    }
+
+    /**
+     * Find the enabled rule matching a hostname (exact domain or subdomain)
+     */
+    function findRule(rules, hostname) {
+        const host = (hostname || '').toLowerCase();
+
+        return rules.find(rule => rule.enabled && rule.domains.some(domain =>
+            host === domain || host.endsWith(`.${domain}`)
+        )) || null;
+    }
+
+    /**
+     * Apply a rule's cleanup patterns to extracted text
+     */
+    function applyCleanupPatterns(rule, text) {
+        if (!rule) return text;
+
+        return rule.cleanupPatterns.reduce((result, entry) => {
+            try {
+                return result.replace(new RegExp(entry.pattern, entry.flags), entry.replacement);
+            } catch (error) {
+                console.warn('Skipping invalid cleanup pattern:', entry.pattern);
+                return result;
+            }
+        }, text);
+    }
+
+    function isDefaultRule(id) {
+        return DEFAULT_SITE_RULES.some(rule => rule.id === id);
+    }
+
+    global.BearPeekSiteRules = {
+        STORAGE_KEY,
+        DEFAULT_SITE_RULES,
+        validateRule,
+        normalizeRule,
+        parseRules,
+        serializeRules,
+        getUserRules,
+        saveUserRules,
+        mergeRules,
+        loadRules,
+        findRule,
+        applyCleanupPatterns,
+        isDefaultRule
+    };
+})(globalThis);
@@ -0,0 +1,46 @@
+/**
+ * Bear Peek Extension - Domain policy tests
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('../shared/domains.js');
+require('../shared/domain-policy.js');
+require('../shared/export.js');
+require('../shared/redaction.js');
+require('../shared/settings.js');
+
+const { evaluate } = globalThis.BearPeekDomainPolicy;
+const { DEFAULT_SETTINGS } = globalThis.BearPeekSettings;
+
+const PRIVATE_URLS = ['http://localhost:3000/docs', 'http://wiki/Start', 'http://192.168.1.10/', 'https://tools.corp/page'];
+
+test('private network pages are allowed by default', () => {
+    PRIVATE_URLS.forEach(url => assert.strictEqual(evaluate(url, DEFAULT_SETTINGS).allowed, true, url));
+    PRIVATE_URLS.forEach(url => assert.strictEqual(evaluate(url, {}).allowed, true, url));
+});
+
+test('private network pages are blocked when the setting is switched on', () => {
+    const settings = { ...DEFAULT_SETTINGS, blockPrivateNetworks: true };
+
+    PRIVATE_URLS.forEach(url => {
+        const policy = evaluate(url, settings);
+        assert.strictEqual(policy.allowed, false, url);
+        assert.strictEqual(policy.code, 'private', url);
+    });
+    assert.strictEqual(evaluate('https://example.com/news', settings).allowed, true);
+    assert.strictEqual(evaluate('http://localhost.:3000/', settings).code, 'private');
+});
+
+test('blocked sites are blocked with their subdomains', () => {
+    const settings = { ...DEFAULT_SETTINGS, blockedDomains: ['bank.example'] };
+
+    assert.strictEqual(evaluate('https://online.bank.example/login', settings).code, 'blocked');
+    assert.strictEqual(evaluate('https://online.bank.example./login', settings).code, 'blocked');
+    assert.strictEqual(evaluate('https://bank.example./', settings).code, 'blocked');
+    assert.strictEqual(evaluate('https://example.com/', settings).allowed, true);
+});
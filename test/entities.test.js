@@ -0,0 +1,80 @@
+/**
+ * Bear Peek Extension - Entity extraction tests
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('../background/text.js');
+require('../background/keywords.js');
+require('../background/entities.js');
+
+const { extract } = globalThis.BearPeekEntities;
+
+function names(text, type) {
+    const group = extract(text).find(entities => entities.type === type);
+    return group ? group.items.map(entity => entity.text) : [];
+}
+
+test('tickers of four and five letters are found after a context word', () => {
+    const text = 'Investors bought shares of AAPL and shares of GOOGL, while the ticker MSFT rose.';
+    assert.deepStrictEqual(names(text, 'ticker').sort(), ['AAPL', 'GOOGL', 'MSFT']);
+});
+
+test('tickers with an exchange or market suffix are found', () => {
+    assert.deepStrictEqual(names('Alphabet (NASDAQ: GOOGL) gained 2% today on strong cloud revenue.', 'ticker'),
+        ['GOOGL']);
+    assert.ok(names('Nhà đầu tư ngoại mua ròng mã VNM.HM trong phiên sáng nay.', 'ticker').includes('VNM.HM'));
+    assert.ok(names('Cổ phiếu niêm yết trên sàn NASDAQ: NVDA tăng mạnh trong phiên hôm qua.', 'ticker')
+        .includes('NVDA'));
+});
+
+test('lowercase words after a context word are not tickers', () => {
+    assert.deepStrictEqual(names('He sold his shares of the company to a fund last year.', 'ticker'), []);
+});
+
+test('places and organizations are named in the language of the text', () => {
+    const english = 'China and the U.S. agreed on new tariffs, the Federal Reserve and the IMF said on Monday.';
+    assert.deepStrictEqual(names(english, 'place').sort(), ['China', 'United States']);
+    assert.deepStrictEqual(names(english, 'organization').sort(), ['Federal Reserve', 'International Monetary Fund']);
+
+    const vietnamese = 'Trung Quốc và Mỹ đã đạt thỏa thuận thương mại mới, theo Ngân hàng Thế giới cho biết hôm nay.';
+    assert.deepStrictEqual(names(vietnamese, 'place').sort(), ['Mỹ', 'Trung Quốc']);
+    assert.deepStrictEqual(names(vietnamese, 'organization'), ['Ngân hàng Thế giới']);
+});
+
+test('the pronoun "Anh" is not taken for the United Kingdom', () => {
+    assert.deepStrictEqual(names('Anh cho biết công ty sẽ mở rộng sản xuất trong năm nay tại Việt Nam.', 'place'),
+        ['Việt Nam']);
+    assert.deepStrictEqual(names('Xuất khẩu sang Vương quốc Anh tăng mạnh trong quý ba của năm nay.', 'place'),
+        ['Vương quốc Anh']);
+});
+
+test('organizations after a job title are not taken for people', () => {
+    const hoaPhat = 'Chủ tịch HĐQT Hòa Phát cho biết lợi nhuận quý 3 tăng mạnh so với cùng kỳ năm ngoái.';
+    assert.deepStrictEqual(names(hoaPhat, 'organization'), ['Hòa Phát']);
+    assert.deepStrictEqual(names(hoaPhat, 'person'), []);
+
+    const vinamilk = 'Tổng giám đốc Vinamilk cho biết doanh thu xuất khẩu tăng trưởng tốt trong năm nay.';
+    assert.deepStrictEqual(names(vinamilk, 'organization'), ['Vinamilk']);
+    assert.deepStrictEqual(names(vinamilk, 'person'), []);
+
+    const ministry = 'Bộ trưởng Bộ Tài chính cho biết thu ngân sách năm nay vượt dự toán đề ra.';
+    assert.deepStrictEqual(names(ministry, 'organization'), ['Bộ Tài chính']);
+    assert.deepStrictEqual(names(ministry, 'person'), []);
+
+    const nvidia = 'CEO Nvidia Jensen Huang said demand for chips remains strong this year.';
+    assert.deepStrictEqual(names(nvidia, 'organization'), ['Nvidia']);
+    assert.deepStrictEqual(names(nvidia, 'person'), ['Jensen Huang']);
+});
+
+test('a name after a title and an organization is still a person', () => {
+    const text = 'Chủ tịch Hòa Phát Trần Đình Long cho biết công ty sẽ đầu tư thêm vào thép.';
+    assert.deepStrictEqual(names(text, 'organization'), ['Hòa Phát']);
+    assert.deepStrictEqual(names(text, 'person'), ['Trần Đình Long']);
+
+    assert.deepStrictEqual(names('Ông Đức cho biết công ty sẽ mở rộng sản xuất trong năm nay.', 'person'), ['Đức']);
+});
@@ -0,0 +1,110 @@
+/**
+ * Bear Peek Extension - History store retention tests
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// In-memory chrome.storage.local
+let storage = {};
+globalThis.chrome = {
+    storage: {
+        local: {
+            get: async key => {
+                if (key === undefined) return structuredClone(storage);
+                return key in storage ? { [key]: structuredClone(storage[key]) } : {};
+            },
+            set: async items => Object.assign(storage, structuredClone(items)),
+            remove: async keys => [].concat(keys).forEach(key => delete storage[key]),
+            getBytesInUse: async () => JSON.stringify(storage).length
+        }
+    }
+};
+
+require('../shared/messages.js');
+require('../background/history-store.js');
+
+const store = globalThis.BearPeekHistoryStore;
+
+function article(size) {
+    return { title: 'Article', url: 'https://example.com/a', content: 'x'.repeat(size) };
+}
+
+async function storedIds() {
+    return (await store.list()).map(entry => entry.processId);
+}
+
+test.beforeEach(() => {
+    storage = { processedIndex: [] };
+});
+
+test('tagged analyses are kept like starred ones', async () => {
+    await store.add('tagged', article(10), {});
+    await store.annotate('tagged', { tags: ['banks'] });
+    await store.add('plain', article(10), {});
+    await store.add('newest', article(10), { maxEntries: 2 });
+
+    assert.deepStrictEqual((await storedIds()).sort(), ['newest', 'tagged']);
+});
+
+test('kept analyses count towards the size limit and are reported over it', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    await store.add('starred', article(3000), {});
+    await store.annotate('starred', { starred: true });
+    await store.add('plain', article(100), {});
+    await store.applyRetention({ maxBytes: 2000 });
+
+    assert.deepStrictEqual(await storedIds(), ['starred']);
+    assert.strictEqual(warn.mock.callCount(), 1);
+
+    const usage = await store.getUsage({ maxBytes: 2000 });
+    assert.strictEqual(usage.overLimit, true);
+    assert.ok(usage.keptBytes > 2000);
+});
+
+test('updates apply the retention policy', async t => {
+    t.mock.method(console, 'log', () => {});
+
+    await store.add('older', article(500), {});
+    await store.add('newer', article(500), {});
+
+    const record = await store.get('newer');
+    await store.update('newer', { ...record, chat: [{ role: 'user', content: 'y'.repeat(1000) }] }, { maxBytes: 2000 });
+
+    assert.deepStrictEqual(await storedIds(), ['newer']);
+    assert.strictEqual(storage.processed_older, undefined);
+});
+
+test('an update never removes the analysis being updated', async t => {
+    t.mock.method(console, 'log', () => {});
+
+    await store.add('old', article(500), {});
+    await store.add('newer', article(500), {});
+
+    const record = await store.get('old');
+    await store.update('old', { ...record, chat: [{ role: 'user', content: 'y'.repeat(1000) }] }, { maxBytes: 2000 });
+
+    assert.deepStrictEqual(await storedIds(), ['old']);
+    assert.strictEqual((await store.get('old')).chat.length, 1);
+});
+
+test('a new analysis is kept when kept ones fill the entry limit', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await store.add('starred', article(10), {});
+    await store.annotate('starred', { starred: true });
+    await store.add('plain', article(10), { maxEntries: 1 });
+    await store.add('latest', article(10), { maxEntries: 1 });
+
+    assert.deepStrictEqual((await storedIds()).sort(), ['latest', 'starred']);
+    assert.ok((await store.get('latest')).content);
+    assert.strictEqual(warn.mock.callCount(), 2);
+
+    const usage = await store.getUsage({ maxEntries: 1 });
+    assert.strictEqual(usage.overEntryLimit, true);
+});
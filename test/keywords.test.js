@@ -0,0 +1,69 @@
+/**
+ * Bear Peek Extension - Keyword document frequency tests
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// In-memory chrome.storage.local
+const storage = {};
+globalThis.chrome = {
+    storage: {
+        local: {
+            get: async key => (key in storage ? { [key]: storage[key] } : {}),
+            set: async items => Object.assign(storage, structuredClone(items))
+        }
+    }
+};
+
+require('../background/text.js');
+require('../background/keywords.js');
+
+const { STATS_KEY, addDocument, documentTerms } = globalThis.BearPeekKeywords;
+
+const ARTICLE = 'Lithium battery factories expanded quickly. Lithium battery exports and semiconductor ' +
+    'investment grew, and semiconductor makers hired engineers for the battery plants.';
+
+test('new terms are kept when the vocabulary is full of terms seen once', async () => {
+    const frequencies = {};
+    for (let i = 0; i < 5000; i++) {
+        frequencies[`old term ${i}`] = 1;
+    }
+    storage[STATS_KEY] = { documentCount: 5000, frequencies: frequencies };
+
+    await addDocument(ARTICLE, 'english');
+
+    const stats = storage[STATS_KEY];
+    const terms = documentTerms(ARTICLE, 'english');
+    assert.ok(terms.length > 0);
+    assert.strictEqual(Object.keys(stats.frequencies).length, 5000);
+    terms.forEach(term => assert.strictEqual(stats.frequencies[term], 1, term));
+});
+
+test('terms seen in more documents outrank recent ones', async () => {
+    const frequencies = {};
+    for (let i = 0; i < 5000; i++) {
+        frequencies[`common term ${i}`] = 3;
+    }
+    storage[STATS_KEY] = { documentCount: 5000, frequencies: frequencies };
+
+    await addDocument(ARTICLE, 'english');
+
+    const stats = storage[STATS_KEY];
+    assert.strictEqual(Object.keys(stats.frequencies).length, 5000);
+    documentTerms(ARTICLE, 'english').forEach(term => assert.strictEqual(stats.frequencies[term], undefined, term));
+});
+
+test('counts decay periodically so old terms make room', async () => {
+    storage[STATS_KEY] = { documentCount: 1000, added: 499, frequencies: { 'stale term': 1, 'frequent term': 9 } };
+
+    await addDocument(ARTICLE, 'english');
+
+    const stats = storage[STATS_KEY];
+    assert.strictEqual(stats.documentCount, 501);
+    assert.strictEqual(stats.frequencies['stale term'], undefined);
+    assert.strictEqual(stats.frequencies['frequent term'], 4);
+});
@@ -0,0 +1,248 @@
+/**
+ * Bear Peek Extension - AI provider tests against a local mock HTTP server
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+require('../shared/redaction.js');
+require('../background/text.js');
+require('../background/sentiment.js');
+require('../background/keywords.js');
+require('../background/summarizer.js');
+require('../background/providers.js');
+
+const { analyze, ask } = globalThis.BearPeekProviders;
+
+const API_KEY = 'sk-test-1234567890';
+
+const ARTICLE = 'The central bank kept interest rates unchanged on Tuesday. Analysts had expected the decision. ' +
+    'Markets rose slightly after the announcement, and bond yields fell.';
+
+const ANALYSIS = { summary: 'Rates were left unchanged.', keyTopics: ['interest rates'], sentiment: 'neutral' };
+
+// Routes of the mock server; each test sets the reply of the path it uses
+const routes = {};
+const requests = [];
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => (body += chunk));
+        request.on('end', () => {
+            requests.push({ url: request.url, headers: request.headers, body: JSON.parse(body || '{}') });
+            const route = routes[request.url];
+            if (route) {
+                route(response);
+            } else {
+                response.writeHead(404).end();
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+function lastRequest() {
+    return requests[requests.length - 1];
+}
+
+function replyJson(status, data) {
+    return response => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+    };
+}
+
+/**
+ * Server-sent events, written one at a time
+ */
+function replyEvents(events) {
+    return response => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        let i = 0;
+        const next = () => {
+            if (i === events.length) return response.end();
+            const event = events[i++];
+            response.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+            setTimeout(next, 5);
+        };
+        next();
+    };
+}
+
+// Accepts the request and never answers
+function replyNever() {
+    return () => {};
+}
+
+function settingsFor(provider, path) {
+    return { aiProvider: provider, apiEndpoint: baseUrl + path, apiKey: API_KEY, language: 'english' };
+}
+
+function openAiDeltas(text) {
+    return [...text.match(/.{1,8}/gs).map(part => ({ choices: [{ delta: { content: part } }] })), '[DONE]'];
+}
+
+function anthropicDeltas(text) {
+    return [
+        { type: 'message_start', message: { id: 'msg_1' } },
+        ...text.match(/.{1,8}/gs).map(part => ({
+            type: 'content_block_delta',
+            delta: { type: 'text_delta', text: part }
+        })),
+        { type: 'message_stop' }
+    ];
+}
+
+test('openai: analysis from a JSON reply', async () => {
+    routes['/openai/json'] = replyJson(200, { choices: [{ message: { content: JSON.stringify(ANALYSIS) } }] });
+
+    const settings = { ...settingsFor('openai', '/openai/json'), apiModel: 'test-model' };
+    const result = await analyze(ARTICLE, { title: 'Rates' }, settings);
+
+    assert.strictEqual(result.provider, 'openai');
+    assert.strictEqual(result.model, 'test-model');
+    assert.strictEqual(result.summary, ANALYSIS.summary);
+    assert.deepStrictEqual(result.keyTopics, ANALYSIS.keyTopics);
+    assert.strictEqual(result.providerError, undefined);
+
+    const request = lastRequest();
+    assert.strictEqual(request.headers.authorization, `Bearer ${API_KEY}`);
+    assert.strictEqual(request.body.model, 'test-model');
+    assert.strictEqual(request.body.stream, undefined);
+    assert.strictEqual(request.body.messages[0].role, 'system');
+    assert.match(request.body.messages[1].content, /central bank/);
+});
+
+test('openai: streamed reply reports partial text', async () => {
+    routes['/openai/stream'] = replyEvents(openAiDeltas('The bank held rates [1].'));
+    const partials = [];
+
+    const reply = await ask({ system: 'Answer.', messages: [{ role: 'user', content: 'What happened?' }] },
+        { onPartial: partial => partials.push(partial.text) }, settingsFor('openai', '/openai/stream'));
+
+    assert.strictEqual(reply.text, 'The bank held rates [1].');
+    assert.strictEqual(reply.provider, 'openai');
+    assert.ok(partials.length > 1);
+    assert.strictEqual(partials[partials.length - 1], 'The bank held rates [1].');
+    assert.strictEqual(lastRequest().body.stream, true);
+});
+
+test('openai: streamed analysis reports the summary as it is written', async () => {
+    routes['/openai/analysis-stream'] = replyEvents(openAiDeltas(JSON.stringify(ANALYSIS)));
+    const summaries = [];
+
+    const result = await analyze(ARTICLE, { onPartial: partial => summaries.push(partial.summary) },
+        settingsFor('openai', '/openai/analysis-stream'));
+
+    assert.strictEqual(result.summary, ANALYSIS.summary);
+    assert.ok(summaries.length > 1);
+    assert.strictEqual(summaries[summaries.length - 1], ANALYSIS.summary);
+});
+
+test('anthropic: analysis from a JSON reply', async () => {
+    routes['/anthropic/json'] = replyJson(200, { content: [{ type: 'text', text: JSON.stringify(ANALYSIS) }] });
+
+    const result = await analyze(ARTICLE, {}, settingsFor('anthropic', '/anthropic/json'));
+
+    assert.strictEqual(result.provider, 'anthropic');
+    assert.strictEqual(result.summary, ANALYSIS.summary);
+
+    const request = lastRequest();
+    assert.strictEqual(request.headers['x-api-key'], API_KEY);
+    assert.strictEqual(request.headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(request.body.max_tokens, 1024);
+    assert.strictEqual(typeof request.body.system, 'string');
+    assert.strictEqual(request.body.messages[0].role, 'user');
+});
+
+test('anthropic: streamed reply reports partial text', async () => {
+    routes['/anthropic/stream'] = replyEvents(anthropicDeltas('Rates were held steady.'));
+    const partials = [];
+
+    const prompt = { system: 'Answer.', messages: [{ role: 'user', content: 'What happened?' }], maxTokens: 200 };
+    const reply = await ask(prompt, { onPartial: partial => partials.push(partial.text) }, settingsFor('anthropic', '/anthropic/stream'));
+
+    assert.strictEqual(reply.text, 'Rates were held steady.');
+    assert.ok(partials.length > 1);
+    assert.strictEqual(lastRequest().body.max_tokens, 200);
+    assert.strictEqual(lastRequest().body.stream, true);
+});
+
+test('anthropic: an error event in the stream fails the request', async () => {
+    routes['/anthropic/stream-error'] = replyEvents([
+        ...anthropicDeltas('Partial').slice(0, 2),
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ]);
+
+    await assert.rejects(
+        ask({ system: 'Answer.', messages: [{ role: 'user', content: 'Hi' }] }, { onPartial: () => {} },
+            settingsFor('anthropic', '/anthropic/stream-error')),
+        /Provider stream failed: Overloaded/
+    );
+});
+
+test('error statuses fall back to local analysis with the key scrubbed', async () => {
+    routes['/openai/error'] = replyJson(500, { error: { message: `Invalid key ${API_KEY}` } });
+
+    const result = await analyze(ARTICLE, {}, settingsFor('openai', '/openai/error'));
+
+    assert.strictEqual(result.provider, 'local');
+    assert.match(result.providerError, /Provider request failed \(500\)/);
+    assert.ok(!result.providerError.includes(API_KEY));
+    assert.ok(result.summary);
+});
+
+test('error statuses are thrown by ask()', async () => {
+    routes['/anthropic/error'] = replyJson(401, {
+        error: { type: 'authentication_error', message: `Bad key ${API_KEY}` }
+    });
+
+    await assert.rejects(
+        ask({ system: 'Answer.', messages: [{ role: 'user', content: 'Hi' }] }, {},
+            settingsFor('anthropic', '/anthropic/error')),
+        error => /\(401\)/.test(error.message) && !error.message.includes(API_KEY)
+    );
+});
+
+test('abort cancels a pending request without falling back', async () => {
+    routes['/openai/hang'] = replyNever();
+
+    for (const onPartial of [undefined, () => {}]) {
+        const controller = new AbortController();
+        const pending = analyze(ARTICLE, { signal: controller.signal, onPartial: onPartial },
+            settingsFor('openai', '/openai/hang'));
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(pending, /Provider request cancelled/);
+    }
+});
+
+test('abort cancels a stream in progress', async () => {
+    routes['/anthropic/slow-stream'] = response => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        response.write(`data: ${JSON.stringify(anthropicDeltas('Started')[1])}\n\n`);
+    };
+    const controller = new AbortController();
+    const partials = [];
+
+    const pending = ask({ system: 'Answer.', messages: [{ role: 'user', content: 'Hi' }] },
+        { signal: controller.signal, onPartial: partial => partials.push(partial.text) },
+        settingsFor('anthropic', '/anthropic/slow-stream'));
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(pending, /Provider request cancelled/);
+    assert.deepStrictEqual(partials, ['Started']);
+});
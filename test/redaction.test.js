@@ -0,0 +1,61 @@
+/**
+ * Bear Peek Extension - Redaction tests
+ * Run with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+require('../shared/redaction.js');
+
+const { redact, validatePattern } = globalThis.BearPeekRedaction;
+
+const ALL_TYPES = { types: ['email', 'phone', 'idNumber', 'cardNumber'] };
+
+test('phone numbers are masked', () => {
+    const result = redact('Gọi 0912 345 678 hoặc 0912345678, tổng đài +84 28 3822 1234.', ALL_TYPES);
+
+    assert.strictEqual(result.counts.phone, 3);
+    assert.ok(!/\d{3}/.test(result.text));
+});
+
+test('tax codes are not masked as phone numbers', () => {
+    const text = 'Công ty có MST 0312345678, chi nhánh 0101234567-001, mã số thuế: 0901234567.';
+    const result = redact(text, ALL_TYPES);
+
+    assert.strictEqual(result.text, text);
+    assert.strictEqual(result.total, 0);
+});
+
+test('slow custom patterns are rejected', () => {
+    ['(a+)+$', '(\\w*\\s?)*x', '(?:\\d+-?){2,}!', '((ab)*c)+', '(a|b)\\1'].forEach(pattern => {
+        assert.ok(validatePattern(pattern), pattern);
+    });
+    ['KH-\\d{6}', '(?:ORD|INV)-\\d+', '[A-Z]{2}\\d{4,8}', '(ab)+', '(?:\\d{3}-)?\\d{4}', '[(+*)]+x'].forEach(pattern => {
+        assert.strictEqual(validatePattern(pattern), null, pattern);
+    });
+});
+
+test('rejected patterns stored in settings are skipped', t => {
+    t.mock.method(console, 'warn', () => {});
+    const text = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!';
+
+    const started = Date.now();
+    const result = redact(text, { patterns: ['(a+)+$'] });
+
+    assert.strictEqual(result.text, text);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('custom patterns match in every paragraph of a long text', () => {
+    const paragraph = `${'Lorem ipsum dolor sit amet. '.repeat(60)}Khách hàng KH-123456 đã thanh toán.`;
+    const text = [paragraph, paragraph, paragraph].join('\n\n');
+
+    const result = redact(text, { patterns: ['KH-\\d{6}'] });
+
+    assert.strictEqual(result.counts.custom, 3);
+    assert.ok(!result.text.includes('KH-123456'));
+    assert.strictEqual(result.text.length, text.length - 3 * ('KH-123456'.length - '[REDACTED]'.length));
+});